@@ -46,9 +46,7 @@ const sequelize = new Sequelize(
   }
 );
 
-// Sync database schema - alter: true adds missing columns without dropping data
-sequelize.sync({ alter: true }).catch(err => {
-  console.error('Database sync error:', err);
-});
+// Schema changes are applied on startup by server.js (utils/migrate.js adds
+// missing columns, then sync() creates missing tables and indexes)
 
 module.exports = sequelize;
@@ -1,10 +1,25 @@
 module.exports = (sequelize, DataTypes) => {
+  // Double-entry coin ledger (see utils/wallet.js): each change is a 'wallet'
+  // row and an opposite 'house' or 'escrow' row sharing a transferId
   const CoinTransaction = sequelize.define('CoinTransaction', {
     id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
-    userId: { type: DataTypes.BIGINT.UNSIGNED },
+    transferId: { type: DataTypes.STRING(36), allowNull: true }, // Null on rows written before the wallet service
+    account: { type: DataTypes.ENUM('wallet', 'house', 'escrow'), allowNull: false, defaultValue: 'wallet' },
+    userId: { type: DataTypes.BIGINT.UNSIGNED }, // Owner of the wallet (also set on the house leg)
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true }, // Set for game entry/reward/refund rows
+    type: { type: DataTypes.STRING, allowNull: true }, // One of wallet.LEDGER_TYPES
     amount: { type: DataTypes.INTEGER },
-    reason: { type: DataTypes.STRING }
-  }, { tableName: 'coin_transactions' });
+    balanceAfter: { type: DataTypes.INTEGER, allowNull: true }, // Wallet leg only
+    reason: { type: DataTypes.STRING },
+    idempotencyKey: { type: DataTypes.STRING, allowNull: true, unique: true } // Wallet leg only
+  }, {
+    tableName: 'coin_transactions',
+    indexes: [
+      { fields: ['userId', 'account'] },
+      { fields: ['roomId', 'reason'] },
+      { fields: ['transferId'] }
+    ]
+  });
 
   return CoinTransaction;
 };
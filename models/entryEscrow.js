@@ -0,0 +1,22 @@
+module.exports = (sequelize, DataTypes) => {
+  // Entry fees held for a room until its game settles (see utils/escrow.js)
+  const EntryEscrow = sequelize.define('EntryEscrow', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false }, // No FK: rows outlive deleted rooms
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    amount: { type: DataTypes.INTEGER, defaultValue: 0 },
+    status: {
+      type: DataTypes.ENUM('held', 'released', 'refunded', 'forfeited'),
+      defaultValue: 'held'
+    }, // released = paid into the game's prize pot
+    settledAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'entry_escrows',
+    indexes: [
+      { fields: ['roomId', 'status'] },
+      { fields: ['userId', 'status'] }
+    ]
+  });
+
+  return EntryEscrow;
+};
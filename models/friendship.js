@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+  // A request is one pending row from the requester; accepting it makes
+  // that row accepted and adds the accepted row in the other direction
+  const Friendship = sequelize.define('Friendship', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    friendId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    status: {
+      type: DataTypes.ENUM('pending', 'accepted'),
+      defaultValue: 'pending'
+    }
+  }, {
+    tableName: 'friendships',
+    indexes: [
+      { unique: true, fields: ['userId', 'friendId'] }
+    ]
+  });
+
+  return Friendship;
+};
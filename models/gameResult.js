@@ -0,0 +1,31 @@
+module.exports = (sequelize, DataTypes) => {
+  const GameResult = sequelize.define('GameResult', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    matchId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    placement: { type: DataTypes.INTEGER, allowNull: false }, // 1 = winner
+    playerCount: { type: DataTypes.INTEGER, allowNull: false },
+    score: { type: DataTypes.INTEGER, defaultValue: 0 },
+    correctGuesses: { type: DataTypes.INTEGER, defaultValue: 0 },
+    guessSeconds: { type: DataTypes.INTEGER, defaultValue: 0 }, // Total time to guess, over correctGuesses
+    drawerPoints: { type: DataTypes.INTEGER, defaultValue: 0 },
+    coinsSpent: { type: DataTypes.INTEGER, defaultValue: 0 }, // Entry fee
+    coinsAwarded: { type: DataTypes.INTEGER, defaultValue: 0 },
+    ratingChange: { type: DataTypes.INTEGER, allowNull: true },
+    team: { type: DataTypes.STRING, allowNull: true },
+    gameMode: { type: DataTypes.STRING, allowNull: true },
+    language: { type: DataTypes.STRING, allowNull: true }, // Normalised code ('en', 'hi', ...)
+    category: { type: DataTypes.STRING, allowNull: true },
+    isRanked: { type: DataTypes.BOOLEAN, defaultValue: false }
+  }, {
+    tableName: 'game_results',
+    indexes: [
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['roomId'] },
+      { fields: ['matchId'] }
+    ]
+  });
+
+  return GameResult;
+};
@@ -13,6 +13,15 @@ const Report = require("./report")(sequelize, DataTypes);
 const Language = require("./language")(sequelize, DataTypes);
 const Keyword = require("./keyword")(sequelize, DataTypes);
 const Translation = require("./translation")(sequelize, DataTypes);
+const ModerationHit = require("./moderationHit")(sequelize, DataTypes);
+const RoomBan = require("./roomBan")(sequelize, DataTypes);
+const VoteKick = require("./voteKick")(sequelize, DataTypes);
+const GameResult = require("./gameResult")(sequelize, DataTypes);
+const LeaderboardEntry = require("./leaderboardEntry")(sequelize, DataTypes);
+const Friendship = require("./friendship")(sequelize, DataTypes);
+const Match = require("./match")(sequelize, DataTypes);
+const EntryEscrow = require("./entryEscrow")(sequelize, DataTypes);
+const Purchase = require("./purchase")(sequelize, DataTypes);
 
 // ===================================
 // ASSOCIATIONS
@@ -57,6 +66,29 @@ Message.belongsTo(User, { foreignKey: "userId" });
 // User-CoinTransaction
 User.hasMany(CoinTransaction, { foreignKey: "userId" });
 CoinTransaction.belongsTo(User, { foreignKey: "userId" });
+User.hasMany(Purchase, { foreignKey: "userId" });
+Purchase.belongsTo(User, { foreignKey: "userId" });
+
+// User-ModerationHit
+User.hasMany(ModerationHit, { foreignKey: "userId" });
+ModerationHit.belongsTo(User, { foreignKey: "userId" });
+
+// Room-RoomBan
+Room.hasMany(RoomBan, { foreignKey: "roomId" });
+RoomBan.belongsTo(Room, { foreignKey: "roomId" });
+Room.hasMany(VoteKick, { foreignKey: "roomId" });
+VoteKick.belongsTo(Room, { foreignKey: "roomId" });
+
+// Game results and leaderboards
+User.hasMany(GameResult, { foreignKey: "userId" });
+GameResult.belongsTo(User, { foreignKey: "userId", as: "user" });
+Room.hasMany(GameResult, { foreignKey: "roomId" });
+GameResult.belongsTo(Room, { foreignKey: "roomId" });
+LeaderboardEntry.belongsTo(User, { foreignKey: "userId", as: "user" });
+Match.hasMany(GameResult, { foreignKey: "matchId", as: "results" });
+GameResult.belongsTo(Match, { foreignKey: "matchId", as: "match" });
+Friendship.belongsTo(User, { foreignKey: "friendId", as: "friend" });
+Friendship.belongsTo(User, { foreignKey: "userId", as: "requester" });
 
 // ===================================
 // KEYWORD/TRANSLATION STRUCTURE (Core Fix Area)
@@ -106,4 +138,13 @@ module.exports = {
   Language,
   Keyword,
   Translation,
+  ModerationHit,
+  RoomBan,
+  VoteKick,
+  GameResult,
+  LeaderboardEntry,
+  Friendship,
+  Match,
+  EntryEscrow,
+  Purchase,
 };
@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+  // Running totals per board, bumped when a game ends (see utils/leaderboard.js)
+  const LeaderboardEntry = sequelize.define('LeaderboardEntry', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    period: { type: DataTypes.STRING, allowNull: false }, // 'all', 'week:2025-01-06', 'day:2025-01-08'
+    scope: { type: DataTypes.STRING, allowNull: false }, // 'global', 'lang:en', 'country:india'
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    points: { type: DataTypes.INTEGER, defaultValue: 0 },
+    games: { type: DataTypes.INTEGER, defaultValue: 0 },
+    wins: { type: DataTypes.INTEGER, defaultValue: 0 }
+  }, {
+    tableName: 'leaderboard_entries',
+    indexes: [
+      { unique: true, fields: ['period', 'scope', 'userId'] },
+      { fields: ['period', 'scope', 'points'] }
+    ]
+  });
+
+  return LeaderboardEntry;
+};
@@ -0,0 +1,25 @@
+module.exports = (sequelize, DataTypes) => {
+  // One game from start_game to game_ended (see utils/matchHistory.js)
+  const Match = sequelize.define('Match', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    roomName: { type: DataTypes.STRING, allowNull: true },
+    gameMode: { type: DataTypes.STRING, allowNull: true },
+    language: { type: DataTypes.STRING, allowNull: true },
+    category: { type: DataTypes.STRING, allowNull: true },
+    isRanked: { type: DataTypes.BOOLEAN, defaultValue: false },
+    entryCost: { type: DataTypes.INTEGER, defaultValue: 0 },
+    status: { type: DataTypes.STRING, defaultValue: 'playing' }, // 'playing', 'finished' or 'aborted'
+    // [{ round, drawerId, word, drawerPoints, guesses: [{ userId, seconds, points }] }]
+    rounds: { type: DataTypes.JSON, defaultValue: [] },
+    startedAt: { type: DataTypes.DATE, allowNull: false },
+    endedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'matches',
+    indexes: [
+      { fields: ['roomId', 'status'] }
+    ]
+  });
+
+  return Match;
+};
@@ -4,7 +4,7 @@ module.exports = (sequelize, DataTypes) => {
     roomId: { type: DataTypes.BIGINT.UNSIGNED },
     userId: { type: DataTypes.BIGINT.UNSIGNED },
     content: { type: DataTypes.TEXT, allowNull: false },
-    type: { type: DataTypes.STRING, defaultValue: 'text' } // 'text' or 'system'
+    type: { type: DataTypes.STRING, defaultValue: 'text' } // 'text', 'system', 'guessed' or 'spectator' (private channels)
   }, { tableName: 'messages' });
 
   return Message;
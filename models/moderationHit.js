@@ -0,0 +1,18 @@
+module.exports = (sequelize, DataTypes) => {
+  const ModerationHit = sequelize.define('ModerationHit', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
+    event: { type: DataTypes.STRING, allowNull: false }, // 'chat' or 'guess'
+    action: { type: DataTypes.STRING, allowNull: false }, // 'mask' or 'drop'
+    language: { type: DataTypes.STRING, allowNull: true },
+    terms: { type: DataTypes.JSON, defaultValue: [] } // Normalised blocklist terms that matched
+  }, {
+    tableName: 'moderation_hits',
+    indexes: [
+      { fields: ['userId', 'roomId'] }
+    ]
+  });
+
+  return ModerationHit;
+};
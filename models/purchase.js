@@ -0,0 +1,27 @@
+module.exports = (sequelize, DataTypes) => {
+  // In-app coin pack purchases, one row per store order (see utils/store.js)
+  const Purchase = sequelize.define('Purchase', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    platform: { type: DataTypes.ENUM('google_play', 'app_store', 'fake'), allowNull: false },
+    orderId: { type: DataTypes.STRING, allowNull: false }, // Play order id / App Store transaction id
+    productId: { type: DataTypes.STRING, allowNull: false },
+    purchaseToken: { type: DataTypes.TEXT, allowNull: true }, // Google Play only
+    coins: { type: DataTypes.INTEGER, allowNull: false },
+    status: {
+      type: DataTypes.ENUM('completed', 'refunded'),
+      defaultValue: 'completed'
+    }, // refunded covers voided and revoked purchases too
+    clawedBack: { type: DataTypes.INTEGER, defaultValue: 0 }, // Coins taken back on refund
+    purchasedAt: { type: DataTypes.DATE, allowNull: true },
+    refundedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'purchases',
+    indexes: [
+      { unique: true, fields: ['platform', 'orderId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return Purchase;
+};
@@ -18,18 +18,32 @@ module.exports = (sequelize, DataTypes) => {
     entryPoints: { type: DataTypes.INTEGER, defaultValue: 250 }, // 100, 250, 500
     targetPoints: { type: DataTypes.INTEGER, defaultValue: 100 }, // Points needed to win
     maxPointsPerRound: { type: DataTypes.INTEGER, defaultValue: 10 }, // Max points per round
+    maxRounds: { type: DataTypes.INTEGER, allowNull: true }, // Optional: end after N rounds instead of targetPoints
+
+    // Pacing (owner configurable, see ROOM_TIMING_BOUNDS)
+    drawTime: { type: DataTypes.INTEGER, defaultValue: 80 }, // Seconds to draw
+    chooseTime: { type: DataTypes.INTEGER, defaultValue: 10 }, // Seconds to choose a word
+    wordOptionCount: { type: DataTypes.INTEGER, defaultValue: 3 }, // Word choices offered to the drawer
     
     maxPlayers: { type: DataTypes.INTEGER, defaultValue: 5 }, // Default 5, can be incremented up to 15 in lobby
     voiceEnabled: { type: DataTypes.BOOLEAN, defaultValue: false },
     isPublic: { type: DataTypes.BOOLEAN, defaultValue: false }, // Default private
+    isRanked: { type: DataTypes.BOOLEAN, defaultValue: false }, // Created by the ranked queue
+
+    // Delayed broadcast for streamers (see sockets/broadcastDelay.js)
+    watchCode: { type: DataTypes.STRING, allowNull: true, unique: true }, // Set while a broadcast is open
+    broadcastDelay: { type: DataTypes.INTEGER, defaultValue: 30 }, // Seconds watchers lag behind the room
     
     // Game state
     status: { type: DataTypes.STRING, defaultValue: 'lobby' }, // lobby, playing, finished
     currentWord: { type: DataTypes.STRING, allowNull: true },
     currentWordOptions: { type: DataTypes.JSON, allowNull: true }, // 3 word choices for drawer
+    currentWordKeywordIds: { type: DataTypes.JSON, allowNull: true }, // Keyword id per word choice (same order)
+    currentKeywordId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true }, // Keyword behind currentWord
     currentDrawerId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
     currentRound: { type: DataTypes.INTEGER, defaultValue: 0 },
     roundStartTime: { type: DataTypes.DATE, allowNull: true },
+    gameStartedAt: { type: DataTypes.DATE, allowNull: true }, // When the current game took entry fees
     roundPhase: { type: DataTypes.STRING, allowNull: true }, // 'selecting_drawer', 'choosing_word', 'drawing', 'reveal', 'interval'
     roundPhaseEndTime: { type: DataTypes.DATE, allowNull: true },
     roundRemainingTime: { type: DataTypes.INTEGER, defaultValue: 80 }, // Drawing time in seconds
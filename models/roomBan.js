@@ -0,0 +1,17 @@
+module.exports = (sequelize, DataTypes) => {
+  const RoomBan = sequelize.define('RoomBan', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    bannedBy: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true }, // null = automatic (reports, votekick)
+    reason: { type: DataTypes.STRING, allowNull: true }
+  }, {
+    tableName: 'room_bans',
+    indexes: [
+      { unique: true, fields: ['roomId', 'userId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return RoomBan;
+};
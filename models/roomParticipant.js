@@ -9,6 +9,8 @@ module.exports = (sequelize, DataTypes) => {
     
     isDrawer: { type: DataTypes.BOOLEAN, defaultValue: false },
     score: { type: DataTypes.INTEGER, defaultValue: 0 }, // Points in current game
+    correctGuesses: { type: DataTypes.INTEGER, defaultValue: 0 }, // In current game
+    drawerPoints: { type: DataTypes.INTEGER, defaultValue: 0 }, // Points earned as drawer in current game
     
     // Track if player has drawn in current game
     hasDrawn: { type: DataTypes.BOOLEAN, defaultValue: false },
@@ -26,6 +28,15 @@ module.exports = (sequelize, DataTypes) => {
       field: 'elimination_count' // Explicit column name mapping for MySQL
     },
 
+    // 'player' or 'spectator' (watches only; not counted toward maxPlayers)
+    role: { type: DataTypes.STRING, defaultValue: 'player' },
+    // Spectator waiting for a free player slot (promoted between rounds)
+    wantsToPlay: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    // Owner moderation
+    isChatMuted: { type: DataTypes.BOOLEAN, defaultValue: false },
+    isVoiceMuted: { type: DataTypes.BOOLEAN, defaultValue: false },
+
     // Player status
     isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
     socketId: { type: DataTypes.STRING, allowNull: true },
@@ -11,7 +11,14 @@ module.exports = (sequelize, DataTypes) => {
     language: { type: DataTypes.STRING, allowNull: true },
     country: { type: DataTypes.STRING, allowNull: true },
     lastLoginDate: { type: DataTypes.DATE, allowNull: true }, // Track daily login bonus
-    dailyLoginStreak: { type: DataTypes.INTEGER, defaultValue: 0 } // Track consecutive logins
+    dailyLoginStreak: { type: DataTypes.INTEGER, defaultValue: 0 }, // Track consecutive logins
+    // Skill rating (Glicko-1, see utils/rating.js)
+    rating: { type: DataTypes.INTEGER, defaultValue: 1500 },
+    ratingDeviation: { type: DataTypes.INTEGER, defaultValue: 350 },
+    ratedGames: { type: DataTypes.INTEGER, defaultValue: 0 },
+    lastRatedAt: { type: DataTypes.DATE, allowNull: true },
+    walletFlaggedAt: { type: DataTypes.DATE, allowNull: true }, // Set while coins disagree with the ledger (utils/wallet.js)
+    isAdmin: { type: DataTypes.BOOLEAN, defaultValue: false } // May adjust balances (POST /users/add-coins)
   }, { 
     tableName: 'users',
     indexes: [
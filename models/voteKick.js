@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+  const VoteKick = sequelize.define('VoteKick', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    initiatorId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    targetId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    yesVotes: { type: DataTypes.INTEGER, defaultValue: 0 },
+    noVotes: { type: DataTypes.INTEGER, defaultValue: 0 },
+    votesNeeded: { type: DataTypes.INTEGER, allowNull: false },
+    outcome: { type: DataTypes.STRING, allowNull: false } // 'passed', 'failed' or 'timeout'
+  }, {
+    tableName: 'vote_kicks',
+    indexes: [
+      { fields: ['initiatorId', 'createdAt'] },
+      { fields: ['roomId'] }
+    ]
+  });
+
+  return VoteKick;
+};
@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
-const { User, CoinTransaction, Token } = require("../models");
+const { sequelize, User, Token } = require("../models");
 const { sign, authMiddleware } = require("../utils/auth");
+const { credit } = require("../utils/wallet");
 
 const coinsForRegisteredUsers = 1000;
 const coinsForGuestUsers = 1000;
@@ -16,38 +17,30 @@ router.post("/signup", async (req, res) => {
     let user = await User.findOne({ where: { provider, providerId } });
     let isNew = false;
     if (!user) {
-      if (provider === "guest") {
-        user = await User.create({
-          provider,
-          name,
-          avatar,
-          coins: coinsForGuestUsers,
-          language,
-          country,
+      const signupCoins =
+        provider === "guest" ? coinsForGuestUsers : coinsForRegisteredUsers;
+      // The bonus goes through the wallet so the ledger covers it
+      user = await sequelize.transaction(async (t) => {
+        const created = await User.create(
+          {
+            provider,
+            providerId: provider === "guest" ? null : providerId,
+            name,
+            avatar,
+            coins: 0,
+            language,
+            country,
+          },
+          { transaction: t },
+        );
+        const { user: funded } = await credit(created.id, signupCoins, {
+          type: "signup_bonus",
+          idempotencyKey: `signup_bonus:${created.id}`,
+          transaction: t,
         });
-        isNew = true;
-        await CoinTransaction.create({
-          userId: user.id,
-          amount: coinsForGuestUsers,
-          reason: "signup_bonus",
-        });
-      } else {
-        user = await User.create({
-          provider,
-          providerId,
-          name,
-          avatar,
-          coins: coinsForRegisteredUsers,
-          language,
-          country,
-        });
-        isNew = true;
-        await CoinTransaction.create({
-          userId: user.id,
-          amount: coinsForRegisteredUsers,
-          reason: "signup_bonus",
-        });
-      }
+        return funded;
+      });
+      isNew = true;
     }
 
     const token = sign(user.id);
@@ -9,6 +9,9 @@ const roomRoutes = require("./rooms");
 const themeRoutes = require("./themes");
 const reportRoutes = require("./reports");
 const agoraRoutes = require("./agora");
+const leaderboardRoutes = require("./leaderboards");
+const rewardRoutes = require("./rewards");
+const storeRoutes = require("./store");
 
 // Auth routes don't need authentication middleware
 router.use("/auth", authRoutes);
@@ -19,7 +22,12 @@ router.use("/rooms", authMiddleware, roomRoutes);
 router.use("/themes", authMiddleware, themeRoutes);
 router.use("/report", authMiddleware, reportRoutes);
 router.use("/agora", authMiddleware, agoraRoutes);
+router.use("/leaderboards", authMiddleware, leaderboardRoutes);
 
 router.use("/words", wordRoutes);
+// The ad callback comes from the ad network; /rewards/status checks the token itself
+router.use("/rewards", rewardRoutes);
+// Store notifications come from Google Play / the App Store; the other store routes check the token themselves
+router.use("/store", storeRoutes);
 
 module.exports = router;
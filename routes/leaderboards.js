@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const { getLeaderboard } = require("../utils/leaderboard");
+
+// GET /leaderboards?period=all|weekly|daily&scope=global|language|country|friends
+//   &language=EN&country=India&page=1&limit=20
+// Country defaults to the caller's own country.
+router.get("/", async (req, res) => {
+  try {
+    const { period, scope, language, country, page, limit } = req.query;
+
+    const result = await getLeaderboard({
+      userId: req.user.id,
+      period,
+      scope,
+      language,
+      country: country || req.user.country,
+      page,
+      limit,
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.json(result);
+  } catch (err) {
+    console.error("Leaderboard error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+module.exports = router;
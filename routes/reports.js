@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const { Report, Room, RoomParticipant, User } = require("../models");
+const { RoomParticipant } = require("../models");
+const { reportUser } = require("../utils/reportUser");
 
 // POST /report - Report a user in a room
 router.post("/", async (req, res) => {
@@ -39,128 +40,24 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ error: "You cannot report yourself" });
     }
 
-    // Find or create report entry
-    let report = await Report.findOne({
-      where: { roomId, userToBlockId },
-    });
-
-    if (!report) {
-      // Create new report entry
-      report = await Report.create({
-        roomId,
-        userToBlockId,
-        reportedBy: [],
-        reportCount: 0,
-      });
-    }
+    const { duplicate, reportCount, banned } = await reportUser(
+      req.app.locals.io,
+      { roomId, userToBlockId, reporterId: userRequestingToBlockId },
+    );
 
-    // Check if user has already reported this user in this room
-    const reportedByArray = report.reportedBy || [];
-    if (reportedByArray.includes(userRequestingToBlockId.toString())) {
+    if (duplicate) {
       return res
         .status(400)
         .json({ error: "You have already reported this user" });
     }
 
-    // Add reporting user to reportedBy array
-    reportedByArray.push(userRequestingToBlockId.toString());
-    const newReportCount = reportedByArray.length;
-
-    // Update report entry
-    await report.update({
-      reportedBy: reportedByArray,
-      reportCount: newReportCount,
-    });
-
-    // Check if reportCount reached 3
-    if (newReportCount >= 3) {
-      // Get room details
-      const room = await Room.findByPk(roomId);
-      if (!room) {
-        return res.status(404).json({ error: "Room not found" });
-      }
-
-      // Get user details for the message
-      const bannedUser = await User.findByPk(userToBlockId);
-      const userName = bannedUser ? bannedUser.name : "User";
-
-      // Get socket.io instance from app.locals (set in server.js)
-      const io = req.app.locals.io;
-
-      // Store socketId before updating (since we'll set it to null)
-      const userSocketId = targetUserParticipant.socketId;
-
-      // Ban the user from the room (set isActive to false)
-      await RoomParticipant.update(
-        { isActive: false, socketId: null },
-        { where: { roomId, userId: userToBlockId } },
-      );
-
-      if (io) {
-        // If user is connected via socket, kick them
-        if (userSocketId) {
-          const userSocket = io.sockets.sockets.get(userSocketId);
-          if (userSocket) {
-            userSocket.leave(room.code);
-            userSocket.emit("user_banned", {
-              message: `You have been banned from this room due to multiple reports`,
-              roomId: roomId,
-            });
-          }
-        }
-
-        // Broadcast to room that user was banned
-        io.to(room.code).emit("user_banned_from_room", {
-          message: `${userName} has been banned from the room for multiple reports`,
-          bannedUserId: userToBlockId,
-          roomId: roomId,
-        });
-
-        // Update room participants list
-        const activeParticipants = await RoomParticipant.findAll({
-          where: { roomId, isActive: true },
-          include: [
-            {
-              model: User,
-              as: "user",
-              attributes: ["id", "name", "avatar", "coins"],
-            },
-          ],
-        });
-
-        io.to(room.code).emit("room_participants", {
-          participants: activeParticipants.map((p) => ({
-            id: p.userId,
-            name: p.user ? p.user.name : "Guest",
-            avatar: p.user ? p.user.avatar : null,
-            coins: p.user ? p.user.coins : 0,
-            score: p.score,
-            team: p.team,
-            isDrawer: p.isDrawer,
-            socketId: p.socketId,
-            hasPaidEntry: p.hasPaidEntry,
-          })),
-        });
-      }
-
-      console.log(
-        `🚫 User ${userToBlockId} (${userName}) banned from room ${roomId} after ${newReportCount} reports`,
-      );
-
-      return res.json({
-        success: true,
-        message: "User reported and banned from room",
-        reportCount: newReportCount,
-        banned: true,
-      });
-    }
-
-    // Report added but count not reached 3 yet
     return res.json({
       success: true,
-      message: "User reported successfully",
-      reportCount: newReportCount,
-      banned: false,
+      message: banned
+        ? "User reported and banned from room"
+        : "User reported successfully",
+      reportCount,
+      banned,
     });
   } catch (err) {
     console.error("Report error:", err);
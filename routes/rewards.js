@@ -0,0 +1,64 @@
+const express = require("express");
+const router = express.Router();
+const { authMiddleware } = require("../utils/auth");
+const { verifyAdCallback } = require("../utils/adVerification");
+const {
+  REWARD_RULES,
+  grantReward,
+  getRewardStatus,
+  adRewardKey,
+} = require("../utils/rewards");
+
+// Rewarded-ad server-side verification callback, called by the ad network
+// (no user token). Anything but a bad signature answers 200 so the network
+// doesn't retry a grant that a rule refused.
+router.get("/ad-callback", async (req, res) => {
+  try {
+    const rawQuery = req.originalUrl.split("?")[1] || "";
+    const verified = await verifyAdCallback(rawQuery);
+    if (verified.error) {
+      console.log(`❌ Rejected ad callback: ${verified.error}`);
+      return res.status(403).json({ error: verified.error });
+    }
+
+    const { user_id: userId, transaction_id: transactionId } = verified.params;
+    if (!Number(userId) || !transactionId) {
+      return res.status(400).json({ error: "user_and_transaction_required" });
+    }
+
+    // custom_data carries the ad type set by the app
+    const adType = verified.params.custom_data || "unknown";
+    const grant = await grantReward(Number(userId), "ad_reward", {
+      reason: `ad_reward_${adType}`.slice(0, 255),
+      idempotencyKey: adRewardKey(transactionId),
+    });
+    if (grant.error) {
+      console.log(`📺 Ad reward for user ${userId} refused: ${grant.error}`);
+      return res.json({ granted: false, error: grant.error });
+    }
+
+    if (!grant.duplicate) {
+      console.log(`📺 User ${userId} watched ad and earned ${grant.coins} coins`);
+    }
+    res.json({ granted: true, coins: grant.coins });
+  } catch (err) {
+    console.error("Ad callback error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Where the caller stands against every reward rule
+router.get("/status", authMiddleware, async (req, res) => {
+  try {
+    const rewards = [];
+    for (const source of Object.keys(REWARD_RULES)) {
+      rewards.push(await getRewardStatus(req.user.id, source));
+    }
+    res.json({ rewards });
+  } catch (err) {
+    console.error("Reward status error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,21 @@ const {
   sequelize,
 } = require("../models");
 const { Op } = require("sequelize");
+const { applyTimingSettings } = require("../sockets/gameHelpers");
+const { transferOwnership } = require("../utils/cleanRoom");
+const { rankRooms } = require("../utils/roomMatcher");
+const { isWalletError } = require("../utils/wallet");
+const {
+  holdEntry,
+  refundEntries,
+  refundIfNotStarted,
+} = require("../utils/escrow");
+const { rejoinRoom } = require("../utils/roomSeats");
+const {
+  isBannedFromRoom,
+  getBannedRoomIds,
+  runOwnerAction,
+} = require("../utils/roomModeration");
 
 // Generate unique room code
 function generateRoomCode() {
@@ -116,6 +131,12 @@ router.post("/:roomId/update-settings", async (req, res) => {
       maxPlayers,
     } = req.body;
 
+    // Pacing (draw/choose time, word options, round limit)
+    const timingError = applyTimingSettings(room, req.body);
+    if (timingError) {
+      return res.status(400).json({ error: timingError });
+    }
+
     // Update room settings
     if (gameMode !== undefined) room.gameMode = gameMode;
     if (language !== undefined) room.language = language;
@@ -157,6 +178,10 @@ router.post("/:roomId/update-settings", async (req, res) => {
         isPublic: room.isPublic,
         maxPlayers: room.maxPlayers,
         status: room.status,
+        drawTime: room.drawTime,
+        chooseTime: room.chooseTime,
+        wordOptionCount: room.wordOptionCount,
+        maxRounds: room.maxRounds,
       },
     });
   } catch (err) {
@@ -223,7 +248,7 @@ router.post("/:roomId/select-team", async (req, res) => {
 // JOIN ROOM BY CODE - Protected by global middleware
 router.post("/join", async (req, res) => {
   try {
-    const { code, team } = req.body;
+    const { code, team, spectate } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: "code_required" });
@@ -235,19 +260,20 @@ router.post("/join", async (req, res) => {
       return res.status(404).json({ error: "room_not_found" });
     }
 
-    // Check if room is full
-    const participantCount = await RoomParticipant.count({
-      where: { roomId: room.id, isActive: true },
-    });
-
-    if (participantCount >= room.maxPlayers) {
-      return res.status(400).json({ error: "room_full" });
+    if (await isBannedFromRoom(room.id, req.user.id)) {
+      return res.status(403).json({ error: "banned_from_room" });
     }
 
-    // Check if user has enough coins
+    // A full room (spectators don't count) takes newcomers as spectators
+    const playerCount = await RoomParticipant.count({
+      where: { roomId: room.id, isActive: true, role: "player" },
+    });
+    const asSpectator = !!spectate || playerCount >= room.maxPlayers;
+
+    // Check if user has enough coins (spectators pay only if they get a seat)
     const user = await User.findByPk(req.user.id);
 
-    if (!user || user.coins < room.entryPoints) {
+    if (!asSpectator && (!user || user.coins < room.entryPoints)) {
       return res.status(400).json({
         error: "insufficient_coins",
         message: `You need ${room.entryPoints} coins to join this room`,
@@ -262,18 +288,20 @@ router.post("/join", async (req, res) => {
     });
 
     if (participant) {
-      // Reactivate if was inactive
-      participant.isActive = true;
-      participant.hasPaidEntry = true;
-      await participant.save();
+      participant = await rejoinRoom(room, participant, {
+        asSpectator,
+        spectate,
+      });
+    } else if (asSpectator) {
+      // Pushed out by a full room: take the next free seat between rounds
+      participant = await RoomParticipant.create({
+        roomId: room.id,
+        userId: req.user.id,
+        isDrawer: false,
+        role: "spectator",
+        wantsToPlay: !spectate,
+      });
     } else {
-      // Deduct coins from user
-      user.coins -= room.entryPoints;
-      await user.save();
-      console.log(
-        `💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${user.coins}`,
-      );
-
       // Assign team if team mode (gameMode: 'team' or 'team_vs_team')
       let assignedTeam = null;
       if (room.gameMode === "team" || room.gameMode === "team_vs_team") {
@@ -288,12 +316,24 @@ router.post("/join", async (req, res) => {
         }
       }
 
-      participant = await RoomParticipant.create({
-        roomId: room.id,
-        userId: req.user.id,
-        team: assignedTeam,
-        isDrawer: false,
-        hasPaidEntry: true,
+      // Charge the entry into escrow and take the seat together
+      participant = await sequelize.transaction(async (t) => {
+        const charged = await holdEntry(room, req.user.id, room.entryPoints, {
+          transaction: t,
+        });
+        console.log(
+          `💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${charged.coins}`,
+        );
+        return RoomParticipant.create(
+          {
+            roomId: room.id,
+            userId: req.user.id,
+            team: assignedTeam,
+            isDrawer: false,
+            hasPaidEntry: true,
+          },
+          { transaction: t },
+        );
       });
     }
 
@@ -320,53 +360,55 @@ router.post("/join", async (req, res) => {
         id: participant.id,
         team: participant.team,
         score: participant.score,
+        role: participant.role,
       },
     });
   } catch (err) {
+    // Balance dropped between the check above and the charge
+    if (isWalletError(err, "insufficient_coins")) {
+      return res.status(400).json({ error: "insufficient_coins" });
+    }
     console.error("Join room error:", err);
     res.status(500).json({ error: "server_error", message: err.message });
   }
 });
 
-// PLAY RANDOM - Find and join a matching public room (no room creation) - Protected by global middleware
+// PLAY RANDOM - Find and join the best public room for the player's preferences
+// (no room creation). Language must match; the rest are weighted preferences
+// that may be relaxed (see utils/roomMatcher.js) - Protected by global middleware
 router.post("/play-random", async (req, res) => {
   try {
-    const { language, category, country, voiceEnabled, targetPoints } =
-      req.body;
+    const {
+      language,
+      category,
+      country,
+      voiceEnabled,
+      targetPoints,
+      allowInProgress,
+    } = req.body;
 
     console.log(
       `🎲 Play Random request from user ${req.user.id}: ${language}, ${category}, ${country}, voice: ${voiceEnabled}, targetPoints: ${targetPoints}`,
     );
 
-    if (
-      !language ||
-      !category ||
-      !country ||
-      voiceEnabled === undefined ||
-      !targetPoints
-    ) {
+    if (!language) {
       return res.status(400).json({
         error: "missing_parameters",
-        message:
-          "language, category, country, voiceEnabled, and targetPoints are required",
+        message: "language is required",
       });
     }
 
-    // Build exact match criteria for public 1v1 rooms only
-    const where = {
-      isPublic: true,
-      status: { [Op.in]: ["lobby", "waiting"] }, // Match both lobby and waiting status
-      gameMode: "1v1", // Only match 1v1 rooms for play random
-      language: language,
-      category: category,
-      country: country,
-      voiceEnabled: voiceEnabled,
-      targetPoints: parseInt(targetPoints), // Match target points
-    };
+    const statuses = ["lobby", "waiting"];
+    if (allowInProgress) statuses.push("playing");
 
-    // Find matching public rooms with available slots
+    // Public 1v1 rooms only; everything but language is scored below
     const rooms = await Room.findAll({
-      where,
+      where: {
+        isPublic: true,
+        isRanked: false, // Ranked rooms are filled by the ranked queue only
+        status: { [Op.in]: statuses },
+        gameMode: "1v1", // Only match 1v1 rooms for play random
+      },
       include: [
         {
           model: RoomParticipant,
@@ -377,58 +419,44 @@ router.post("/play-random", async (req, res) => {
       ],
     });
 
-    console.log(
-      `🔍 Play Random: Found ${rooms.length} matching rooms for user ${req.user.id}`,
-    );
-
-    // Filter rooms that aren't full and user isn't already active in them
-    const availableRooms = [];
-    for (const room of rooms) {
-      const participantCount = room.participants ? room.participants.length : 0;
-      const isRoomFull = participantCount >= room.maxPlayers;
-
-      // Check if user is already ACTIVE in this room (only active participants matter)
-      const userActiveInRoom =
-        room.participants &&
-        room.participants.some((p) => p.userId === req.user.id && p.isActive);
+    // Skip rooms the user is banned from or already active in
+    const bannedRoomIds = new Set(await getBannedRoomIds(req.user.id));
+    const candidates = rooms
+      .filter((room) => !bannedRoomIds.has(room.id))
+      .filter(
+        (room) =>
+          !(room.participants || []).some((p) => p.userId === req.user.id),
+      )
+      .map((room) => ({
+        room,
+        // Spectators don't take player slots
+        playerCount: (room.participants || []).filter(
+          (p) => p.role !== "spectator",
+        ).length,
+      }));
 
-      if (!isRoomFull && !userActiveInRoom) {
-        availableRooms.push(room);
-        console.log(
-          `✅ Available room found: ${room.id} (${room.name}) - ${participantCount}/${room.maxPlayers} players`,
-        );
-      } else {
-        console.log(
-          `❌ Room ${room.id} not available - Full: ${isRoomFull}, UserActiveInRoom: ${userActiveInRoom}`,
-        );
-      }
-    }
+    const ranked = rankRooms(
+      candidates,
+      { language, category, country, voiceEnabled, targetPoints },
+      { allowInProgress: !!allowInProgress },
+    );
 
-    console.log(`🎯 Total available rooms: ${availableRooms.length}`);
+    console.log(
+      `🎯 Play Random: ${ranked.length} of ${rooms.length} public rooms match language ${language}`,
+    );
 
-    if (availableRooms.length === 0) {
+    if (ranked.length === 0) {
       return res.json({
         success: false,
         matched: false,
         message: "no_matches_found",
-        suggestion: "Try with different preferences or create a new room",
+        suggestion: "Try another language or create a new room",
       });
     }
 
-    // Sort rooms by participant count (descending) to prioritize rooms with more players
-    availableRooms.sort((a, b) => {
-      const aCount = a.participants ? a.participants.length : 0;
-      const bCount = b.participants ? b.participants.length : 0;
-      return bCount - aCount; // Higher participant count first
-    });
-
-    // Join the room with the most players (best match)
-    const room = availableRooms[0];
-    const roomParticipantCount = room.participants
-      ? room.participants.length
-      : 0;
+    const { room, playerCount, score, relaxed } = ranked[0];
     console.log(
-      `🎯 Selected room ${room.id} (${room.name}) with ${roomParticipantCount} existing players`,
+      `🎯 Selected room ${room.id} (${room.name}) with ${playerCount} existing players, score ${score}, relaxed: ${relaxed.join(", ") || "none"}`,
     );
 
     console.log(
@@ -461,27 +489,28 @@ router.post("/play-random", async (req, res) => {
     });
 
     if (participant) {
-      // Reactivate existing participant
-      participant.isActive = true;
-      participant.hasPaidEntry = true;
-      await participant.save();
+      participant = await rejoinRoom(room, participant, { asSpectator: false });
       console.log(
         `🔄 Reactivated existing participant for user ${req.user.id} in room ${room.id}`,
       );
     } else {
-      // Deduct coins from user
-      user.coins -= room.entryPoints;
-      await user.save();
-      console.log(
-        `💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${user.coins}`,
-      );
-
-      // Create new participant entry
-      participant = await RoomParticipant.create({
-        roomId: room.id,
-        userId: req.user.id,
-        isDrawer: false,
-        hasPaidEntry: true,
+      // Charge the entry into escrow and create the participant together
+      participant = await sequelize.transaction(async (t) => {
+        const charged = await holdEntry(room, req.user.id, room.entryPoints, {
+          transaction: t,
+        });
+        console.log(
+          `💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${charged.coins}`,
+        );
+        return RoomParticipant.create(
+          {
+            roomId: room.id,
+            userId: req.user.id,
+            isDrawer: false,
+            hasPaidEntry: true,
+          },
+          { transaction: t },
+        );
       });
       console.log(
         `✨ Created new participant for user ${req.user.id} in room ${room.id}`,
@@ -503,7 +532,9 @@ router.post("/play-random", async (req, res) => {
         category: room.category,
         country: room.country,
         voiceEnabled: room.voiceEnabled,
+        targetPoints: room.targetPoints,
         status: room.status,
+        roundPhase: room.roundPhase,
         maxPlayers: room.maxPlayers,
         participantCount,
       },
@@ -511,8 +542,15 @@ router.post("/play-random", async (req, res) => {
         id: participant.id,
         score: participant.score,
       },
+      // Preferences this room doesn't meet, e.g. ["category", "country"]
+      relaxed,
+      matchScore: score,
     });
   } catch (err) {
+    // Balance dropped between the check above and the charge
+    if (isWalletError(err, "insufficient_coins")) {
+      return res.status(400).json({ error: "insufficient_coins" });
+    }
     console.error("Play random error:", err);
     res.status(500).json({ error: "server_error", message: err.message });
   }
@@ -521,7 +559,7 @@ router.post("/play-random", async (req, res) => {
 // JOIN ROOM BY ID (for public rooms) - Protected by global middleware
 router.post("/join-by-id", async (req, res) => {
   try {
-    const { roomId, team } = req.body;
+    const { roomId, team, spectate } = req.body;
 
     if (!roomId) {
       return res.status(400).json({ error: "room_id_required" });
@@ -533,18 +571,19 @@ router.post("/join-by-id", async (req, res) => {
       return res.status(404).json({ error: "room_not_found" });
     }
 
-    // Check if room is full
-    const participantCount = await RoomParticipant.count({
-      where: { roomId: room.id, isActive: true },
-    });
-
-    if (participantCount >= room.maxPlayers) {
-      return res.status(400).json({ error: "room_full" });
+    if (await isBannedFromRoom(room.id, req.user.id)) {
+      return res.status(403).json({ error: "banned_from_room" });
     }
 
-    // Check if user has enough coins
+    // A full room (spectators don't count) takes newcomers as spectators
+    const playerCount = await RoomParticipant.count({
+      where: { roomId: room.id, isActive: true, role: "player" },
+    });
+    const asSpectator = !!spectate || playerCount >= room.maxPlayers;
+
+    // Check if user has enough coins (spectators pay only if they get a seat)
     const user = await User.findByPk(req.user.id);
-    if (!user || user.coins < room.entryPoints) {
+    if (!asSpectator && (!user || user.coins < room.entryPoints)) {
       return res.status(400).json({
         error: "insufficient_coins",
         message: `You need ${room.entryPoints} coins to join this room`,
@@ -559,18 +598,20 @@ router.post("/join-by-id", async (req, res) => {
     });
 
     if (participant) {
-      // Reactivate if was inactive
-      participant.isActive = true;
-      participant.hasPaidEntry = true;
-      await participant.save();
+      participant = await rejoinRoom(room, participant, {
+        asSpectator,
+        spectate,
+      });
+    } else if (asSpectator) {
+      // Pushed out by a full room: take the next free seat between rounds
+      participant = await RoomParticipant.create({
+        roomId: room.id,
+        userId: req.user.id,
+        isDrawer: false,
+        role: "spectator",
+        wantsToPlay: !spectate,
+      });
     } else {
-      // Deduct coins from user
-      user.coins -= room.entryPoints;
-      await user.save();
-      console.log(
-        `💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${user.coins}`,
-      );
-
       // Assign team if team mode (gameMode: 'team' or 'team_vs_team')
       let assignedTeam = null;
       if (room.gameMode === "team" || room.gameMode === "team_vs_team") {
@@ -585,12 +626,24 @@ router.post("/join-by-id", async (req, res) => {
         }
       }
 
-      participant = await RoomParticipant.create({
-        roomId: room.id,
-        userId: req.user.id,
-        team: assignedTeam,
-        isDrawer: false,
-        hasPaidEntry: true,
+      // Charge the entry into escrow and take the seat together
+      participant = await sequelize.transaction(async (t) => {
+        const charged = await holdEntry(room, req.user.id, room.entryPoints, {
+          transaction: t,
+        });
+        console.log(
+          `💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${charged.coins}`,
+        );
+        return RoomParticipant.create(
+          {
+            roomId: room.id,
+            userId: req.user.id,
+            team: assignedTeam,
+            isDrawer: false,
+            hasPaidEntry: true,
+          },
+          { transaction: t },
+        );
       });
     }
 
@@ -617,9 +670,14 @@ router.post("/join-by-id", async (req, res) => {
         id: participant.id,
         team: participant.team,
         score: participant.score,
+        role: participant.role,
       },
     });
   } catch (err) {
+    // Balance dropped between the check above and the charge
+    if (isWalletError(err, "insufficient_coins")) {
+      return res.status(400).json({ error: "insufficient_coins" });
+    }
     console.error("Join room by ID error:", err);
     res.status(500).json({ error: "server_error", message: err.message });
   }
@@ -920,6 +978,41 @@ router.get("/:roomId", async (req, res) => {
   }
 });
 
+// OWNER MODERATION (kick / ban / mute) - Only owner, protected by global middleware
+async function sendOwnerAction(req, res, action) {
+  try {
+    const result = await runOwnerAction(req.app.locals.io, {
+      roomId: req.params.roomId,
+      actorId: req.user.id,
+      targetUserId: req.body.userId || req.params.userId,
+      action,
+      reason: req.body.reason,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, action });
+  } catch (err) {
+    console.error(`Owner ${action} error:`, err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+}
+
+router.post("/:roomId/kick", (req, res) => sendOwnerAction(req, res, "kick"));
+router.post("/:roomId/ban", (req, res) => sendOwnerAction(req, res, "ban"));
+router.delete("/:roomId/ban/:userId", (req, res) =>
+  sendOwnerAction(req, res, "unban"),
+);
+
+// body: { userId, type: "chat" | "voice", muted: boolean }
+router.post("/:roomId/mute", (req, res) => {
+  const { type, muted = true } = req.body;
+  if (type !== "chat" && type !== "voice") {
+    return res.status(400).json({ error: "invalid_mute_type" });
+  }
+  return sendOwnerAction(req, res, `${muted ? "mute" : "unmute"}_${type}`);
+});
+
 // LEAVE ROOM - Protected by global middleware
 router.post("/:roomId/leave", async (req, res) => {
   try {
@@ -955,10 +1048,19 @@ router.post("/:roomId/leave", async (req, res) => {
 
       const room = await Room.findByPk(req.params.roomId);
       if (room) {
+        // Nobody is left to finish a game: every held entry fee goes back
+        await refundEntries(room, "room closed");
         console.log(
           `🏠 Room ${req.params.roomId} (${room.name}) closed via HTTP - no active participants`,
         );
       }
+    } else {
+      const room = await Room.findByPk(req.params.roomId);
+      if (room) await refundIfNotStarted(room, req.user.id);
+      // The owner walked out; the remaining players keep the room
+      if (room && room.ownerId === req.user.id) {
+        await transferOwnership(req.app.locals.io, room);
+      }
     }
 
     res.json({ success: true, message: "left_room" });
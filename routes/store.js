@@ -0,0 +1,65 @@
+const express = require("express");
+const router = express.Router();
+const { authMiddleware } = require("../utils/auth");
+const {
+  listProducts,
+  purchaseCoins,
+  handleStoreNotification,
+} = require("../utils/store");
+const { StoreError } = require("../utils/storeVerifiers");
+
+function sendStoreError(res, err, label) {
+  if (err instanceof StoreError) {
+    return res.status(err.status).json({ error: err.code });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ error: "server_error", message: err.message });
+}
+
+// Coin packs on sale
+router.get("/products", authMiddleware, (req, res) => {
+  res.json({ products: listProducts() });
+});
+
+// Redeem a store receipt: { platform, receipt }
+router.post("/purchase", authMiddleware, async (req, res) => {
+  try {
+    const { platform, receipt } = req.body;
+    if (!platform || !receipt) {
+      return res.status(400).json({ error: "platform_and_receipt_required" });
+    }
+
+    const { purchase, user, duplicate } = await purchaseCoins(
+      req.user.id,
+      platform,
+      receipt,
+    );
+    res.json({
+      success: true,
+      duplicate,
+      coinsAdded: duplicate ? 0 : purchase.coins,
+      newBalance: user.coins,
+      purchase: {
+        orderId: purchase.orderId,
+        productId: purchase.productId,
+        coins: purchase.coins,
+        status: purchase.status,
+      },
+    });
+  } catch (err) {
+    sendStoreError(res, err, "Purchase");
+  }
+});
+
+// Store server notifications (refunds, voided purchases); authenticated by
+// the platform's verifier, not a user token
+router.post("/notifications/:platform", async (req, res) => {
+  try {
+    await handleStoreNotification(req.params.platform, req);
+    res.json({ received: true });
+  } catch (err) {
+    sendStoreError(res, err, "Store notification");
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,28 @@
 const express = require("express");
 const router = express.Router();
-const { User, CoinTransaction, Language } = require("../models");
-
-// Configurable rewards
-const DAILY_LOGIN_COINS = 1000;
-const AD_REWARD_COINS = 1000;
+const {
+  sequelize,
+  User,
+  CoinTransaction,
+  Language,
+  Friendship,
+} = require("../models");
+const { adminMiddleware } = require("../utils/auth");
+const {
+  listMatches,
+  getMatch,
+  getUserStats,
+} = require("../utils/matchHistory");
+const {
+  changeBalance,
+  isWalletError,
+  requestIdempotencyKey,
+} = require("../utils/wallet");
+const {
+  grantReward,
+  getRewardStatus,
+  adRewardKey,
+} = require("../utils/rewards");
 
 // Get current user profile (protected by global middleware)
 router.get("/me", async (req, res) => {
@@ -13,76 +31,97 @@ router.get("/me", async (req, res) => {
   res.json({ user });
 });
 
-// Add coins to user account (protected by global middleware)
-router.post("/add-coins", async (req, res) => {
-  const { amount, reason } = req.body;
-  if (!amount) return res.status(400).json({ error: "amount_required" });
-  const user = await User.findByPk(req.user.id);
-  if (!user) return res.status(404).json({ error: "not_found" });
-  user.coins += parseInt(amount, 10);
-  await user.save();
-  await CoinTransaction.create({
-    userId: user.id,
-    amount,
-    reason: reason || "manual",
-  });
-  res.json({ user });
+// Credit or debit any user's coins (admins only). Players earn coins through
+// the reward rules in utils/rewards.js
+router.post("/add-coins", adminMiddleware, async (req, res) => {
+  const { amount, reason, userId } = req.body;
+  const coins = parseInt(amount, 10);
+  if (!coins) return res.status(400).json({ error: "amount_required" });
+  if (!reason) return res.status(400).json({ error: "reason_required" });
+  try {
+    const { user } = await changeBalance(Number(userId) || req.user.id, coins, {
+      type: "adjustment",
+      reason: `admin_${req.user.id}: ${reason}`.slice(0, 255),
+      idempotencyKey: requestIdempotencyKey(req, "add_coins"),
+    });
+    console.log(
+      `🛠️ Admin ${req.user.id} changed coins of user ${user.id} by ${coins} (${reason})`,
+    );
+    res.json({ user });
+  } catch (err) {
+    if (isWalletError(err, "user_not_found")) {
+      return res.status(404).json({ error: "not_found" });
+    }
+    if (isWalletError(err, "insufficient_coins")) {
+      return res.status(400).json({ error: "insufficient_coins" });
+    }
+    console.error("Add coins error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
 });
 
 // Claim daily login bonus (protected by global middleware)
 router.post("/claim-daily-bonus", async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id);
-    if (!user) return res.status(404).json({ error: "not_found" });
+    const result = await sequelize.transaction(async (t) => {
+      const user = await User.findByPk(req.user.id, {
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      if (!user) return { status: 404, body: { error: "not_found" } };
 
-    const now = new Date();
-    const lastLogin = user.lastLoginDate ? new Date(user.lastLoginDate) : null;
-
-    // Check if 24 hours have passed
-    if (lastLogin) {
-      const hoursSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60);
-
-      if (hoursSinceLastLogin < 24) {
-        const hoursRemaining = Math.ceil(24 - hoursSinceLastLogin);
-        return res.status(400).json({
-          error: "already_claimed_today",
-          message: `Come back in ${hoursRemaining} hours`,
-          hoursRemaining,
-        });
+      // Cooldown and daily limits come from the daily_login rule
+      const grant = await grantReward(user.id, "daily_login", {
+        reason: "daily_login_bonus",
+        transaction: t,
+      });
+      if (grant.error) {
+        const hoursRemaining = Math.ceil(grant.retryAfterSeconds / 3600);
+        return {
+          status: 400,
+          body: {
+            error: "already_claimed_today",
+            message: `Come back in ${hoursRemaining} hours`,
+            hoursRemaining,
+          },
+        };
       }
-    }
 
-    // Award daily login bonus
-    user.coins += DAILY_LOGIN_COINS;
-    user.lastLoginDate = now;
+      const now = new Date();
+      const lastLogin = user.lastLoginDate
+        ? new Date(user.lastLoginDate)
+        : null;
+      user.lastLoginDate = now;
 
-    // Update streak
-    if (lastLogin) {
-      const daysSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60 * 24);
-      if (daysSinceLastLogin <= 1.5) {
-        // Allow some grace period
-        user.dailyLoginStreak += 1;
+      // Update streak
+      if (lastLogin) {
+        const daysSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60 * 24);
+        if (daysSinceLastLogin <= 1.5) {
+          // Allow some grace period
+          user.dailyLoginStreak += 1;
+        } else {
+          user.dailyLoginStreak = 1; // Reset streak
+        }
       } else {
-        user.dailyLoginStreak = 1; // Reset streak
+        user.dailyLoginStreak = 1;
       }
-    } else {
-      user.dailyLoginStreak = 1;
-    }
+      await user.save({ transaction: t });
 
-    await user.save();
-    await CoinTransaction.create({
-      userId: user.id,
-      amount: DAILY_LOGIN_COINS,
-      reason: "daily_login_bonus",
+      // Pick up the balance the grant just wrote
+      await user.reload({ transaction: t });
+      return { user, coins: grant.coins };
     });
 
+    if (result.status) return res.status(result.status).json(result.body);
+    const { user, coins } = result;
+
     console.log(
-      `💰 User ${user.name} claimed daily bonus: ${DAILY_LOGIN_COINS} coins (Streak: ${user.dailyLoginStreak})`,
+      `💰 User ${user.name} claimed daily bonus: ${coins} coins (Streak: ${user.dailyLoginStreak})`,
     );
 
     res.json({
       success: true,
-      coinsAwarded: DAILY_LOGIN_COINS,
+      coinsAwarded: coins,
       totalCoins: user.coins,
       streak: user.dailyLoginStreak,
       user,
@@ -99,24 +138,12 @@ router.get("/daily-bonus-status", async (req, res) => {
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ error: "not_found" });
 
-    const now = new Date();
-    const lastLogin = user.lastLoginDate ? new Date(user.lastLoginDate) : null;
-
-    let canClaim = true;
-    let hoursRemaining = 0;
-
-    if (lastLogin) {
-      const hoursSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60);
-      if (hoursSinceLastLogin < 24) {
-        canClaim = false;
-        hoursRemaining = Math.ceil(24 - hoursSinceLastLogin);
-      }
-    }
+    const status = await getRewardStatus(user.id, "daily_login");
 
     res.json({
-      canClaim,
-      hoursRemaining,
-      rewardAmount: DAILY_LOGIN_COINS,
+      canClaim: status.canClaim,
+      hoursRemaining: Math.ceil(status.retryAfterSeconds / 3600),
+      rewardAmount: status.coins,
       streak: user.dailyLoginStreak || 0,
       lastClaimDate: user.lastLoginDate,
     });
@@ -126,31 +153,36 @@ router.get("/daily-bonus-status", async (req, res) => {
   }
 });
 
-// Claim ad reward (protected by global middleware)
+// Collect an ad reward (protected by global middleware). Coins are granted
+// by the ad network's signed callback (/api/rewards/ad-callback); this only
+// reports the grant for the ad's transactionId back to the app.
 router.post("/claim-ad-reward", async (req, res) => {
   try {
-    const { adType } = req.body; // 'banner' or 'interstitial'
-
-    const user = await User.findByPk(req.user.id);
-    if (!user) return res.status(404).json({ error: "not_found" });
-
-    // Award ad coins
-    user.coins += AD_REWARD_COINS;
-    await user.save();
+    const { transactionId } = req.body;
+    if (!transactionId) {
+      return res.status(400).json({ error: "transaction_id_required" });
+    }
 
-    await CoinTransaction.create({
-      userId: user.id,
-      amount: AD_REWARD_COINS,
-      reason: `ad_reward_${adType || "unknown"}`,
+    const entry = await CoinTransaction.findOne({
+      where: {
+        idempotencyKey: adRewardKey(transactionId),
+        userId: req.user.id,
+        account: "wallet",
+      },
     });
+    if (!entry) {
+      // Either the callback hasn't arrived yet or a rule blocked the grant
+      const status = await getRewardStatus(req.user.id, "ad_reward");
+      return res.status(status.canClaim ? 202 : 429).json({
+        error: status.canClaim ? "verification_pending" : status.reason,
+        retryAfterSeconds: status.retryAfterSeconds,
+      });
+    }
 
-    console.log(
-      `📺 User ${user.name} watched ad and earned ${AD_REWARD_COINS} coins`,
-    );
-
+    const user = await User.findByPk(req.user.id);
     res.json({
       success: true,
-      coinsAwarded: AD_REWARD_COINS,
+      coinsAwarded: entry.amount,
       totalCoins: user.coins,
       user,
     });
@@ -160,6 +192,152 @@ router.post("/claim-ad-reward", async (req, res) => {
   }
 });
 
+// List friends (used by the friends leaderboard)
+router.get("/friends", async (req, res) => {
+  try {
+    const friendships = await Friendship.findAll({
+      where: { userId: req.user.id, status: "accepted" },
+      include: [
+        { model: User, as: "friend", attributes: ["id", "name", "avatar"] },
+      ],
+    });
+    res.json({
+      friends: friendships
+        .filter((f) => f.friend)
+        .map((f) => ({
+          id: f.friend.id,
+          name: f.friend.name,
+          avatar: f.friend.avatar,
+        })),
+    });
+  } catch (err) {
+    console.error("List friends error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Friend requests waiting for the caller's answer
+router.get("/friends/requests", async (req, res) => {
+  try {
+    const requests = await Friendship.findAll({
+      where: { friendId: req.user.id, status: "pending" },
+      include: [
+        { model: User, as: "requester", attributes: ["id", "name", "avatar"] },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+    res.json({
+      requests: requests
+        .filter((r) => r.requester)
+        .map((r) => ({
+          id: r.requester.id,
+          name: r.requester.name,
+          avatar: r.requester.avatar,
+          requestedAt: r.createdAt,
+        })),
+    });
+  } catch (err) {
+    console.error("List friend requests error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Send a friend request, or accept the one this user sent you
+router.post("/friends/:friendId", async (req, res) => {
+  try {
+    const friendId = Number(req.params.friendId);
+    if (!friendId || friendId === req.user.id) {
+      return res.status(400).json({ error: "invalid_friend" });
+    }
+    const friend = await User.findByPk(friendId, { attributes: ["id"] });
+    if (!friend) return res.status(404).json({ error: "user_not_found" });
+
+    const incoming = await Friendship.findOne({
+      where: { userId: friendId, friendId: req.user.id },
+    });
+    if (!incoming) {
+      await Friendship.findOrCreate({
+        where: { userId: req.user.id, friendId },
+        defaults: { status: "pending" },
+      });
+      return res.json({ success: true, status: "pending" });
+    }
+
+    await sequelize.transaction(async (t) => {
+      await incoming.update({ status: "accepted" }, { transaction: t });
+      const [outgoing] = await Friendship.findOrCreate({
+        where: { userId: req.user.id, friendId },
+        defaults: { status: "accepted" },
+        transaction: t,
+      });
+      await outgoing.update({ status: "accepted" }, { transaction: t });
+    });
+    res.json({ success: true, status: "accepted" });
+  } catch (err) {
+    console.error("Add friend error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Remove a friend, or cancel/decline a request (both directions)
+router.delete("/friends/:friendId", async (req, res) => {
+  try {
+    const friendId = Number(req.params.friendId);
+    await Friendship.destroy({ where: { userId: req.user.id, friendId } });
+    await Friendship.destroy({
+      where: { userId: friendId, friendId: req.user.id },
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove friend error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Match history, newest first (?page=&limit=)
+router.get("/me/matches", async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    res.json(await listMatches(req.user.id, { page, limit }));
+  } catch (err) {
+    console.error("Match history error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// One match in full: players, placements, words drawn and guesses
+router.get("/me/matches/:matchId", async (req, res) => {
+  try {
+    const matchId = Number(req.params.matchId);
+    if (!matchId) return res.status(400).json({ error: "invalid_match" });
+
+    const result = await getMatch(matchId, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ match: result });
+  } catch (err) {
+    console.error("Match detail error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Lifetime stats for any user ("me" for the caller)
+router.get("/:id/stats", async (req, res) => {
+  try {
+    const userId =
+      req.params.id === "me" ? req.user.id : Number(req.params.id);
+    if (!userId) return res.status(400).json({ error: "invalid_user" });
+
+    const stats = await getUserStats(userId);
+    if (!stats) return res.status(404).json({ error: "user_not_found" });
+    res.json({ stats });
+  } catch (err) {
+    console.error("User stats error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
 // Get all supported languages (protected by global middleware)
 router.get("/languages", async (req, res) => {
   try {
@@ -6,6 +6,12 @@ const { sequelize } = require("./models");
 const routes = require("./routes");
 const initSockets = require("./sockets/socket");
 const { seedThemes } = require("./utils/seedThemes");
+const { addMissingColumns } = require("./utils/migrate");
+const { recoverInFlightGames } = require("./sockets/gameRecovery");
+const {
+  postOpeningBalances,
+  startReconciliationJob,
+} = require("./utils/wallet");
 
 const app = express();
 app.use(cors());
@@ -41,6 +47,10 @@ async function startServer() {
     await sequelize.authenticate();
     console.log("Database connection established successfully.");
 
+    // sync() never adds columns to existing tables, so do that first
+    console.log("Migrating database schema...");
+    await addMissingColumns();
+
     console.log("Syncing database models...");
     await sequelize.sync({});
     console.log("Database models synced successfully.");
@@ -50,6 +60,16 @@ async function startServer() {
     // await seedThemes();
     console.log("Themes seeded successfully.");
 
+    // Ledger entries for balances from before the ledger; first, since
+    // recovery below already writes transfers
+    await postOpeningBalances();
+
+    // Pick up games that were running when the previous process stopped
+    await recoverInFlightGames(io);
+
+    // Periodically check balances against the coin ledger
+    startReconciliationJob();
+
     server.listen(PORT, "0.0.0.0", () => {
       console.log(`Server running on port ${PORT}`);
       console.log(
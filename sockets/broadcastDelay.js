@@ -0,0 +1,261 @@
+/*
+Delayed broadcast for streamed games.
+
+The room owner opens a broadcast and gets a watch code. Room events are
+copied into a per-room queue and replayed to watchers N seconds later, so a
+stream can't be used to feed players the word. Anything that gives the
+word away before the reveal phase is stripped on the way in; private chat
+channels and per-player events are never relayed.
+*/
+
+const crypto = require("crypto");
+const { Room } = require("../models");
+const { getRoomState, getParticipantList } = require("./roomState");
+const { maskWord } = require("./gameHelpers");
+const { getReplay } = require("./strokeLog");
+const { PROTOCOL_VERSION } = require("./drawingOps");
+
+const DEFAULT_DELAY_SECONDS = 30;
+const MIN_DELAY_SECONDS = 5;
+const MAX_DELAY_SECONDS = 300;
+
+// Map<roomCode, broadcast>
+const broadcasts = new Map();
+
+// What watchers may see of a participant (no socket ids or coins)
+function publicParticipant(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    avatar: p.avatar,
+    score: p.score,
+    team: p.team,
+    role: p.role,
+    isDrawer: p.isDrawer,
+    isConnected: p.isConnected,
+  };
+}
+
+function omit(payload, key) {
+  const { [key]: _omitted, ...rest } = payload;
+  return rest;
+}
+
+// Relayed events and how each is cleaned up; return null to drop it
+const RELAYED_EVENTS = {
+  drawing_data: (p) => omit(p, "from"),
+  drawing_op: (p) => omit(p, "from"),
+  canvas_cleared: (p) => p,
+  clear_chat: (p) => p,
+  // "guessed" and "spectator" messages stay private
+  chat_message: (p) => (p.channel === "room" ? p : null),
+  incorrect_guess: (p) => p,
+  // The word only travels in the drawer's and guesser's own copies; strip
+  // it here too so a stray one never reaches watchers
+  correct_guess: (p) => omit(p, "word"),
+  phase_change: (p) => (p.phase === "drawing" ? omit(p, "word") : p),
+  time_update: (p) => p,
+  word_hint: (p) => p,
+  drawer_selected: (p) => p,
+  drawer_skipped: (p) => p,
+  room_participants: (p) => ({
+    participants: (p.participants || []).map(publicParticipant),
+  }),
+  game_started: (p) => p,
+  game_ended: (p) => p,
+};
+
+function clampDelay(seconds) {
+  const value = Number.isInteger(seconds) ? seconds : DEFAULT_DELAY_SECONDS;
+  return Math.min(Math.max(value, MIN_DELAY_SECONDS), MAX_DELAY_SECONDS);
+}
+
+function watchChannel(watchCode) {
+  return `watch_${watchCode}`;
+}
+
+function generateWatchCode() {
+  return crypto.randomBytes(4).toString("hex").toUpperCase();
+}
+
+function schedule(broadcast) {
+  if (broadcast.timer || !broadcast.queue.length) return;
+  const wait = Math.max(0, broadcast.queue[0].at - Date.now());
+  broadcast.timer = setTimeout(() => flush(broadcast), wait);
+}
+
+function flush(broadcast) {
+  broadcast.timer = null;
+  const now = Date.now();
+  const channel = watchChannel(broadcast.watchCode);
+  while (broadcast.queue.length && broadcast.queue[0].at <= now) {
+    const { event, payload } = broadcast.queue.shift();
+    broadcast.io.to(channel).emit(event, payload);
+  }
+  schedule(broadcast);
+}
+
+// Register a room's broadcast in memory (after start_broadcast, or lazily
+// for the first watcher after a restart)
+function activate(io, room) {
+  let broadcast = broadcasts.get(room.code);
+  if (!broadcast) {
+    broadcast = { io, roomId: room.id, queue: [], timer: null };
+    broadcasts.set(room.code, broadcast);
+  }
+  broadcast.watchCode = room.watchCode;
+  broadcast.delayMs = room.broadcastDelay * 1000;
+  return broadcast;
+}
+
+/**
+ * Copy a room event into the delayed stream (no-op without a broadcast)
+ * @param {string} roomCode
+ * @param {string} event - Socket event name
+ * @param {object} payload - Payload as sent to the room
+ */
+function relay(roomCode, event, payload = {}) {
+  const broadcast = broadcasts.get(roomCode);
+  const clean = RELAYED_EVENTS[event];
+  if (!broadcast || !clean) return;
+
+  const out = clean(payload);
+  if (!out) return;
+
+  broadcast.queue.push({
+    at: Date.now() + broadcast.delayMs,
+    event,
+    // The live objects may change before the delay is up
+    payload: JSON.parse(JSON.stringify(out)),
+  });
+  schedule(broadcast);
+}
+
+/**
+ * io.to(roomCode).emit(...) that also feeds the delayed stream
+ * @param {object} [options]
+ * @param {string} [options.except] - Socket id that gets its own copy instead
+ */
+function emitToRoom(io, roomCode, event, payload, { except } = {}) {
+  const target = io.to(roomCode);
+  (except ? target.except(except) : target).emit(event, payload);
+  relay(roomCode, event, payload);
+}
+
+/**
+ * Open (or re-time) the room's delayed broadcast
+ * @returns {Promise<{watchCode: string, delaySeconds: number}>}
+ */
+async function startBroadcast(io, room, delaySeconds) {
+  if (!room.watchCode) room.watchCode = generateWatchCode();
+  room.broadcastDelay = clampDelay(Number(delaySeconds));
+  await room.save();
+  activate(io, room);
+
+  console.log(
+    `📺 Broadcast for room ${room.code} on watch code ${room.watchCode} (${room.broadcastDelay}s delay)`,
+  );
+  return { watchCode: room.watchCode, delaySeconds: room.broadcastDelay };
+}
+
+// Forget a room's broadcast without touching the database (room deleted)
+function dropBroadcast(io, roomCode) {
+  const broadcast = broadcasts.get(roomCode);
+  if (!broadcast) return;
+  clearTimeout(broadcast.timer);
+  broadcasts.delete(roomCode);
+
+  const channel = watchChannel(broadcast.watchCode);
+  io.to(channel).emit("broadcast_ended", {});
+  io.in(channel).socketsLeave(channel);
+}
+
+async function stopBroadcast(io, room) {
+  dropBroadcast(io, room.code);
+  room.watchCode = null;
+  await room.save();
+}
+
+// The room as it looks right now, minus anything that gives the word away
+function buildSnapshot(room) {
+  const state = getRoomState(room.id);
+  const phase = state ? state.phase : room.roundPhase;
+  const snapshot = {
+    room: {
+      id: room.id,
+      name: room.name,
+      status: room.status,
+      gameMode: room.gameMode,
+      currentRound: room.currentRound,
+      maxRounds: room.maxRounds,
+      roundPhase: phase,
+      remainingTime: state ? state.remainingTime : room.roundRemainingTime,
+    },
+    participants: state ? getParticipantList(state).map(publicParticipant) : [],
+    delaySeconds: room.broadcastDelay,
+  };
+
+  if (state && phase === "drawing" && state.hints) {
+    snapshot.wordHint = maskWord(state.hints.word, state.hints.revealed);
+  }
+  if (state && phase === "reveal") {
+    snapshot.word = state.currentWord;
+  }
+  if (state && (phase === "drawing" || phase === "reveal")) {
+    const replay = getReplay(state);
+    snapshot.canvas = {
+      v: PROTOCOL_VERSION,
+      round: replay.round,
+      lastSeq: replay.lastSeq,
+      history: replay.history,
+    };
+  }
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Start watching a room by its watch code. The watcher gets a snapshot of
+ * the room taken now, delivered after the delay, and joins the delayed
+ * stream at that moment so the two line up.
+ * @returns {Promise<string|null>} Error code, or null when watching
+ */
+async function watchRoom(io, socket, { watchCode }) {
+  const code = (watchCode || "").toString().trim().toUpperCase();
+  if (!code) return "watch_code_required";
+
+  const room = await Room.findOne({ where: { watchCode: code } });
+  if (!room) return "invalid_watch_code";
+
+  const broadcast = activate(io, room);
+  const snapshot = buildSnapshot(room);
+
+  socket.emit("watch_joined", {
+    roomName: room.name,
+    delaySeconds: room.broadcastDelay,
+  });
+
+  setTimeout(() => {
+    // Gone, or the broadcast was stopped in the meantime
+    if (!socket.connected || broadcasts.get(room.code) !== broadcast) return;
+    socket.join(watchChannel(code));
+    socket.emit("watch_snapshot", snapshot);
+  }, broadcast.delayMs);
+
+  return null;
+}
+
+function leaveWatch(socket, { watchCode }) {
+  const code = (watchCode || "").toString().trim().toUpperCase();
+  if (code) socket.leave(watchChannel(code));
+}
+
+module.exports = {
+  DEFAULT_DELAY_SECONDS,
+  relay,
+  emitToRoom,
+  startBroadcast,
+  stopBroadcast,
+  dropBroadcast,
+  watchRoom,
+  leaveWatch,
+};
@@ -0,0 +1,180 @@
+/*
+Abuse guard for drawing events (drawing_data, drawing_op, clear_canvas).
+
+Only the current drawer may draw, and each socket gets token-bucket budgets
+for points and bytes per second. Oversized or out-of-bounds payloads are
+dropped; a socket that keeps breaking the rules is disconnected.
+*/
+
+// Largest single drawing packet we will look at (serialised JSON)
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+// Canvas coordinates, with some slack for strokes dragged off the edge
+const COORDINATE_BOUNDS = [-256, 4096];
+// Legacy strokes blobs are free-form; don't walk anything deeper than this
+const MAX_PAYLOAD_DEPTH = 6;
+
+// Sustained rate and burst size for each budget
+const BUDGETS = {
+  points: { perSecond: 1500, burst: 4000 },
+  bytes: { perSecond: 96 * 1024, burst: 192 * 1024 },
+};
+
+// Violations within STRIKE_WINDOW_MS before the socket is dropped
+const MAX_STRIKES = 5;
+const STRIKE_WINDOW_MS = 10000;
+
+// Per-socket buckets and strikes; entries go away with the socket
+const guards = new WeakMap();
+
+function getGuard(socket) {
+  let guard = guards.get(socket);
+  if (!guard) {
+    const now = Date.now();
+    guard = {
+      points: BUDGETS.points.burst,
+      bytes: BUDGETS.bytes.burst,
+      refilledAt: now,
+      strikes: 0,
+      firstStrikeAt: now,
+    };
+    guards.set(socket, guard);
+  }
+  return guard;
+}
+
+function refill(guard) {
+  const now = Date.now();
+  const seconds = (now - guard.refilledAt) / 1000;
+  guard.refilledAt = now;
+  for (const key of Object.keys(BUDGETS)) {
+    const { perSecond, burst } = BUDGETS[key];
+    guard[key] = Math.min(burst, guard[key] + seconds * perSecond);
+  }
+}
+
+function isPoint(value) {
+  if (Array.isArray(value)) {
+    return (
+      value.length >= 2 &&
+      value.length <= 3 &&
+      typeof value[0] === "number" &&
+      typeof value[1] === "number"
+    );
+  }
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.x === "number" &&
+    typeof value.y === "number"
+  );
+}
+
+function inBounds(n) {
+  return (
+    Number.isFinite(n) && n >= COORDINATE_BOUNDS[0] && n <= COORDINATE_BOUNDS[1]
+  );
+}
+
+/**
+ * Count the points in a drawing payload and check their coordinates.
+ * Understands [x, y] pairs and { x, y } objects at any nesting level.
+ * @param {*} payload - strokes blob or drawing op
+ * @returns {{ points: number, error?: string }}
+ */
+function inspectPayload(payload) {
+  let points = 0;
+  let error = null;
+
+  const walk = (value, depth) => {
+    if (error || value === null || typeof value !== "object") return;
+    if (depth > MAX_PAYLOAD_DEPTH) {
+      error = "payload_too_deep";
+      return;
+    }
+    if (isPoint(value)) {
+      const x = Array.isArray(value) ? value[0] : value.x;
+      const y = Array.isArray(value) ? value[1] : value.y;
+      if (!inBounds(x) || !inBounds(y)) error = "out_of_bounds";
+      points += 1;
+      return;
+    }
+    for (const child of Array.isArray(value) ? value : Object.values(value)) {
+      walk(child, depth + 1);
+    }
+  };
+  walk(payload, 0);
+
+  return error ? { points, error } : { points };
+}
+
+function payloadBytes(payload) {
+  try {
+    return Buffer.byteLength(JSON.stringify(payload ?? null));
+  } catch (e) {
+    return Infinity;
+  }
+}
+
+// Count a violation; true once the socket has earned a disconnect
+function strike(guard) {
+  const now = Date.now();
+  if (now - guard.firstStrikeAt > STRIKE_WINDOW_MS) {
+    guard.strikes = 0;
+    guard.firstStrikeAt = now;
+  }
+  guard.strikes += 1;
+  return guard.strikes >= MAX_STRIKES;
+}
+
+/**
+ * Decide whether a drawing packet from this socket may go through.
+ * Emits the error to the sender and disconnects repeat offenders.
+ * @param {object} socket - Sender socket (socket.user must be set)
+ * @param {object} state - In-memory room state
+ * @param {*} payload - strokes blob, drawing op, or null for a clear
+ * @returns {boolean} true when the packet may be processed
+ */
+function allowDrawingPacket(socket, state, payload) {
+  const guard = getGuard(socket);
+  let error = null;
+
+  if (!socket.user || socket.user.id !== state.currentDrawerId) {
+    error = "not_drawer";
+  } else {
+    const bytes = payloadBytes(payload);
+    const inspected = bytes > MAX_PAYLOAD_BYTES ? null : inspectPayload(payload);
+
+    if (!inspected) {
+      error = "payload_too_large";
+    } else if (inspected.error) {
+      error = inspected.error;
+    } else {
+      refill(guard);
+      if (inspected.points > guard.points || bytes > guard.bytes) {
+        error = "drawing_rate_limited";
+      } else {
+        guard.points -= inspected.points;
+        guard.bytes -= bytes;
+        return true;
+      }
+    }
+  }
+
+  socket.emit("error", { message: error });
+  if (strike(guard)) {
+    console.log(
+      `🚫 Disconnecting ${socket.user?.name || socket.id} from ${state.code}: repeated ${error}`,
+    );
+    socket.emit("error", { message: "drawing_abuse_disconnect" });
+    socket.disconnect(true);
+  }
+  return false;
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  COORDINATE_BOUNDS,
+  BUDGETS,
+  inspectPayload,
+  allowDrawingPacket,
+};
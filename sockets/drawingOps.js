@@ -0,0 +1,115 @@
+/*
+Versioned drawing operation protocol (drawing_op event).
+
+Every op is validated here before it reaches the stroke log:
+  { v: 1, type: "stroke", id, points: [[x, y], ...], color, brush: { size, tool } }
+  { v: 1, type: "fill",   id, x, y, color }
+  { v: 1, type: "undo" }   // undo the last visible stroke/fill
+  { v: 1, type: "redo" }   // redo the last undone stroke/fill
+  { v: 1, type: "clear" }
+Coordinates are in the client's canvas space; undo/redo targets are resolved
+by the server so every client converges to the same canvas.
+*/
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const OP_TYPES = ["stroke", "fill", "undo", "redo", "clear"];
+const BRUSH_TOOLS = ["pen", "marker", "eraser"];
+const BRUSH_SIZE = [1, 100];
+const MAX_POINTS_PER_STROKE = 2000;
+const MAX_ID_LENGTH = 64;
+
+const COLOR_PATTERN = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isValidId(id) {
+  return (
+    (typeof id === "string" && id.length > 0 && id.length <= MAX_ID_LENGTH) ||
+    Number.isInteger(id)
+  );
+}
+
+// Accept [x, y] and { x, y } points; always hand back [x, y]
+function normalizePoints(points) {
+  if (!Array.isArray(points) || !points.length) return null;
+  if (points.length > MAX_POINTS_PER_STROKE) return null;
+
+  const normalized = [];
+  for (const point of points) {
+    const x = Array.isArray(point) ? point[0] : point?.x;
+    const y = Array.isArray(point) ? point[1] : point?.y;
+    if (!isNumber(x) || !isNumber(y)) return null;
+    normalized.push([x, y]);
+  }
+  return normalized;
+}
+
+function normalizeBrush(brush) {
+  const size = brush?.size ?? 4;
+  const tool = brush?.tool ?? "pen";
+  if (!isNumber(size) || size < BRUSH_SIZE[0] || size > BRUSH_SIZE[1]) {
+    return null;
+  }
+  if (!BRUSH_TOOLS.includes(tool)) return null;
+  return { size, tool };
+}
+
+/**
+ * Validate a drawing op from the drawer
+ * @param {object} op - Raw op from the client
+ * @returns {{ ok: boolean, error?: string, op?: object }} Normalised op on success
+ */
+function validateOp(op) {
+  if (!op || typeof op !== "object") return { ok: false, error: "invalid_op" };
+
+  const v = op.v ?? PROTOCOL_VERSION;
+  if (!SUPPORTED_VERSIONS.includes(v)) {
+    return { ok: false, error: "unsupported_version" };
+  }
+  if (!OP_TYPES.includes(op.type)) {
+    return { ok: false, error: "unknown_op_type" };
+  }
+
+  switch (op.type) {
+    case "stroke": {
+      if (!isValidId(op.id)) return { ok: false, error: "invalid_id" };
+      const points = normalizePoints(op.points);
+      if (!points) return { ok: false, error: "invalid_points" };
+      const brush = normalizeBrush(op.brush);
+      if (!brush) return { ok: false, error: "invalid_brush" };
+      if (!COLOR_PATTERN.test(op.color || "")) {
+        return { ok: false, error: "invalid_color" };
+      }
+      return {
+        ok: true,
+        op: { v, type: "stroke", id: op.id, points, color: op.color, brush },
+      };
+    }
+    case "fill": {
+      if (!isValidId(op.id)) return { ok: false, error: "invalid_id" };
+      if (!isNumber(op.x) || !isNumber(op.y)) {
+        return { ok: false, error: "invalid_points" };
+      }
+      if (!COLOR_PATTERN.test(op.color || "")) {
+        return { ok: false, error: "invalid_color" };
+      }
+      return {
+        ok: true,
+        op: { v, type: "fill", id: op.id, x: op.x, y: op.y, color: op.color },
+      };
+    }
+    default:
+      // undo / redo / clear carry no payload
+      return { ok: true, op: { v, type: op.type } };
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  validateOp,
+};
@@ -3,8 +3,13 @@ const {
   RoomParticipant,
   User,
   Word,
-  CoinTransaction,
 } = require("../models");
+const { persistRoomState, dropRoomState } = require("./roomState");
+const { updateRatings } = require("../utils/rating");
+const { recordGameResults } = require("../utils/leaderboard");
+const { finishMatch } = require("../utils/matchHistory");
+const { credit, isWalletError } = require("../utils/wallet");
+const { releaseEntries } = require("../utils/escrow");
 
 // Phase durations in seconds
 const PHASE_DURATIONS = {
@@ -14,17 +19,130 @@ const PHASE_DURATIONS = {
   reveal: 7,
   interval: 4,
   lobby_timeout: 2 * 60, //2 min
+  reconnect_grace: 30, // seconds a dropped player keeps their seat
 };
 
+// Owner-configurable pacing: [min, max] per setting
+const ROOM_TIMING_BOUNDS = {
+  drawTime: [30, 240], // seconds of drawing
+  chooseTime: [5, 30], // seconds to pick a word
+  wordOptionCount: [1, 5], // words offered to the drawer
+  maxRounds: [1, 50], // optional round limit (null = play to targetPoints)
+};
+
+// Phase durations for a specific room (owner settings override the defaults)
+function getPhaseDurations(room) {
+  return {
+    ...PHASE_DURATIONS,
+    drawing: room?.drawTime || PHASE_DURATIONS.drawing,
+    choosing_word: room?.chooseTime || PHASE_DURATIONS.choosing_word,
+  };
+}
+
+// Validate pacing settings and copy them onto the room.
+// Returns an error code, or null when everything was applied.
+function applyTimingSettings(room, settings) {
+  const updates = {};
+
+  for (const key of Object.keys(ROOM_TIMING_BOUNDS)) {
+    if (settings[key] === undefined) continue;
+
+    // maxRounds may be cleared to go back to the targetPoints end condition
+    if (
+      key === "maxRounds" &&
+      (settings[key] === null || settings[key] === 0)
+    ) {
+      updates.maxRounds = null;
+      continue;
+    }
+
+    const value = Number(settings[key]);
+    const [min, max] = ROOM_TIMING_BOUNDS[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `invalid_${key}`;
+    }
+    updates[key] = value;
+  }
+
+  Object.assign(room, updates);
+  return null;
+}
+
+// Hints: reveal one letter when this fraction of the drawing time has passed
+const HINT_SCHEDULE = [0.5, 0.7, 0.85];
+
+// Guess reward multiplier by number of hints already revealed
+const HINT_REWARD_MULTIPLIERS = [1, 0.75, 0.5, 0.3];
+
+// Split a word into user-perceived characters (keeps Indic matras attached)
+function splitGraphemes(word) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+  return Array.from(segmenter.segment(word || ""), (s) => s.segment);
+}
+
+// Spaces and hyphens are always shown so guessers see the word layout
+function isSeparator(ch) {
+  return !ch.trim() || ch === "-";
+}
+
+// Mask a word for guessers, showing only the revealed positions
+function maskWord(word, revealedIndices = []) {
+  const revealed = new Set(revealedIndices);
+  return splitGraphemes(word)
+    .map((ch, i) => (revealed.has(i) || isSeparator(ch) ? ch : "_"))
+    .join(" ");
+}
+
+// Decide up front which letters are revealed and when.
+// Never reveals the whole word: at most length - 1 letters.
+function buildHintSchedule(word, drawDuration) {
+  const letters = splitGraphemes(word);
+  const candidates = letters
+    .map((ch, i) => (isSeparator(ch) ? null : i))
+    .filter((i) => i !== null)
+    .sort(() => 0.5 - Math.random());
+  const count = Math.min(
+    HINT_SCHEDULE.length,
+    Math.max(0, candidates.length - 1),
+  );
+
+  return {
+    word,
+    order: candidates.slice(0, count),
+    revealAt: HINT_SCHEDULE.slice(0, count).map((f) =>
+      Math.floor(drawDuration * f),
+    ),
+    revealed: [],
+  };
+}
+
+// Reveal every hint that is due at `elapsed` seconds; true if anything changed
+function revealDueHints(hints, elapsed) {
+  let changed = false;
+  while (
+    hints.revealed.length < hints.order.length &&
+    elapsed >= hints.revealAt[hints.revealed.length]
+  ) {
+    hints.revealed.push(hints.order[hints.revealed.length]);
+    changed = true;
+  }
+  return changed;
+}
+
 // Calculate entry cost
 // Entry cost is exactly the configured points value (no voice bonus)
 function calculateEntryCost(entryPoints, voiceEnabled) {
   return entryPoints;
 }
 
-// Calculate reward based on remaining time
-function calculateGuessReward(remainingTime, maxPoints) {
-  return Math.min(Math.ceil(remainingTime / 8), maxPoints);
+// Calculate reward based on remaining time, shrinking after each hint
+function calculateGuessReward(remainingTime, maxPoints, hintsRevealed = 0) {
+  const base = Math.min(Math.ceil(remainingTime / 8), maxPoints);
+  const multiplier =
+    HINT_REWARD_MULTIPLIERS[
+      Math.min(hintsRevealed, HINT_REWARD_MULTIPLIERS.length - 1)
+    ];
+  return Math.max(base > 0 ? 1 : 0, Math.ceil(base * multiplier));
 }
 
 // Calculate time reduction after correct guess
@@ -32,17 +150,20 @@ function calculateTimeReduction(remainingTime, numPlayers) {
   return Math.floor(remainingTime / numPlayers);
 }
 
-// Check if game should end (someone reached target)
+// Check if game should end (someone reached target, or the round limit hit)
 async function checkGameEnd(io, room) {
   const participants = await RoomParticipant.findAll({
-    where: { roomId: room.id, isActive: true },
+    where: { roomId: room.id, isActive: true, role: "player" },
     include: [{ model: User, as: "user" }],
     order: [["score", "DESC"]],
   });
 
-  const winner = participants.find((p) => p.score >= room.targetPoints);
+  // A round limit replaces the points target when the owner set one
+  const finished = room.maxRounds
+    ? room.currentRound >= room.maxRounds
+    : participants.some((p) => p.score >= room.targetPoints);
 
-  if (winner) {
+  if (finished) {
     await endGame(io, room, participants);
     return true;
   }
@@ -56,6 +177,13 @@ async function endGame(io, room, participants) {
     room.status = "finished";
     await room.save();
 
+    // The game is over; release the in-memory state for this room
+    await persistRoomState(room.id);
+    dropRoomState(room.id);
+
+    // Held entry fees become the prize pot; rewards below follow the table
+    await releaseEntries(room);
+
     // Sort by score
     participants.sort((a, b) => b.score - a.score);
 
@@ -67,24 +195,32 @@ async function endGame(io, room, participants) {
       { place: 3, multiplier: 1 },
     ];
 
+    const gameKey = room.gameStartedAt
+      ? new Date(room.gameStartedAt).getTime()
+      : 0;
     const rankings = [];
+    // Only ranked rooms count towards skill rating; casual and private games
+    // with friends would otherwise be a way to farm it
+    const ratings = room.isRanked
+      ? await updateRatings(room, participants)
+      : new Map();
 
     for (let i = 0; i < Math.min(participants.length, 3); i++) {
       const participant = participants[i];
       const reward = rewards[i];
       const coinsAwarded = entryCost * reward.multiplier;
 
-      const user = await User.findByPk(participant.userId);
+      const { user } = await credit(participant.userId, coinsAwarded, {
+        type: "game_reward",
+        reason: `game_reward_place_${reward.place}`,
+        roomId: room.id,
+        // One payout per player per game, even if endGame runs twice
+        idempotencyKey: `game_reward:${room.id}:${gameKey}:${participant.userId}`,
+      }).catch((e) => {
+        if (isWalletError(e, "user_not_found")) return {};
+        throw e;
+      });
       if (user) {
-        user.coins += coinsAwarded;
-        await user.save();
-
-        await CoinTransaction.create({
-          userId: user.id,
-          amount: coinsAwarded,
-          reason: `game_reward_place_${reward.place}`,
-        });
-
         rankings.push({
           place: reward.place,
           userId: participant.userId,
@@ -110,11 +246,24 @@ async function endGame(io, room, participants) {
       });
     }
 
-    io.to(room.code).emit("game_ended", {
+    for (const entry of rankings) {
+      const rating = ratings.get(entry.userId);
+      if (!rating) continue;
+      entry.rating = rating.rating;
+      entry.ratingChange = rating.change;
+    }
+
+    const { emitToRoom } = require("./broadcastDelay");
+    emitToRoom(io, room.code, "game_ended", {
       rankings,
       entryCost,
     });
 
+    // Close the match record, then per-player results and leaderboard totals
+    finishMatch(room)
+      .then((match) => recordGameResults(room, participants, rankings, match))
+      .catch((e) => console.error("Record game results error:", e));
+
     setTimeout(async () => {
       room.status = "lobby";
       await room.save();
@@ -128,6 +277,13 @@ async function endGame(io, room, participants) {
 
 module.exports = {
   PHASE_DURATIONS,
+  ROOM_TIMING_BOUNDS,
+  getPhaseDurations,
+  applyTimingSettings,
+  HINT_SCHEDULE,
+  maskWord,
+  buildHintSchedule,
+  revealDueHints,
   calculateEntryCost,
   calculateGuessReward,
   calculateTimeReduction,
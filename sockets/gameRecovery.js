@@ -0,0 +1,181 @@
+/*
+Crash recovery for in-flight games.
+
+Phase timers only live in process memory, so after a restart every room left
+in status "playing" has nobody driving it. On startup we rebuild each room's
+timer from roundPhaseEndTime, or abort the game and refund its entry fees
+when it can't be resumed. Every seated player starts the usual reconnect
+window, so players who never come back are removed like any dropped player.
+*/
+
+const { Room, RoomParticipant, User } = require("../models");
+const {
+  startWordChoicePhase,
+  startDrawingPhase,
+  endDrawingPhase,
+  scheduleIntervalPhase,
+  startIntervalPhase,
+  selectDrawerAndStartWordChoice,
+} = require("./roundPhases");
+const { abortMatch } = require("../utils/matchHistory");
+const { refundEntries } = require("../utils/escrow");
+const { startReconnectGrace } = require("./socket");
+
+// Phases we know how to pick back up
+const RESUMABLE_PHASES = [
+  "selecting_drawer",
+  "choosing_word",
+  "drawing",
+  "reveal",
+  "interval",
+];
+
+// Seconds left in the phase that was running when the process died
+function secondsLeft(room) {
+  if (!room.roundPhaseEndTime) return 0;
+  const ms = new Date(room.roundPhaseEndTime).getTime() - Date.now();
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+// End a game that can't be resumed and put the room back in its lobby
+async function abortGame(io, room, reason) {
+  const refundedCoins = await refundEntries(room, reason);
+  await abortMatch(room);
+
+  await RoomParticipant.update(
+    {
+      score: 0,
+      isDrawer: false,
+      hasGuessedThisRound: false,
+      hasPaidEntry: false,
+    },
+    { where: { roomId: room.id } },
+  );
+
+  room.status = room.isPublic ? "waiting" : "lobby";
+  room.roundPhase = null;
+  room.roundPhaseEndTime = null;
+  room.currentWord = null;
+  room.currentKeywordId = null;
+  room.currentWordOptions = null;
+  room.currentDrawerId = null;
+  room.currentRound = 0;
+  room.drawnUserIds = [];
+  room.gameStartedAt = null;
+  await room.save();
+
+  io.to(room.code).emit("game_aborted", { reason, refunded: true });
+
+  console.log(
+    `♻️ Aborted game in room ${room.code} (${reason}); refunded ${refundedCoins} coins`,
+  );
+}
+
+// Give the same drawer the rest of their time to pick from the same words
+async function resumeWordChoice(io, room, remaining) {
+  const drawer = await RoomParticipant.findOne({
+    where: { roomId: room.id, userId: room.currentDrawerId, isActive: true },
+    include: [{ model: User, as: "user" }],
+  });
+  const words = room.currentWordOptions;
+  if (!drawer || !words || !words.length || remaining <= 0) {
+    await selectDrawerAndStartWordChoice(io, room);
+    return;
+  }
+
+  await startWordChoicePhase(
+    io,
+    room,
+    drawer,
+    words,
+    {
+      id: drawer.userId,
+      name: drawer.user?.name ?? "Guest",
+      team: drawer.team,
+      avatar: drawer.user?.avatar,
+    },
+    remaining,
+  );
+}
+
+// Pick a stuck game back up from where the database says it was, with the
+// time that was left in the phase
+async function resumeGame(io, room) {
+  const remaining = secondsLeft(room);
+
+  switch (room.roundPhase) {
+    case "choosing_word":
+      await resumeWordChoice(io, room, remaining);
+      break;
+    case "drawing":
+      if (room.currentWord && remaining > 0) {
+        await startDrawingPhase(io, room, remaining);
+      } else {
+        await endDrawingPhase(io, room);
+      }
+      break;
+    case "reveal":
+      scheduleIntervalPhase(io, room, remaining);
+      break;
+    case "interval":
+      await startIntervalPhase(io, room, remaining);
+      break;
+    default:
+      // The drawer never got the word; hand the turn to the next player
+      await selectDrawerAndStartWordChoice(io, room);
+      break;
+  }
+
+  console.log(
+    `♻️ Resumed room ${room.code} in phase ${room.roundPhase} (${remaining}s left)`,
+  );
+}
+
+async function recoverInFlightGames(io) {
+  const rooms = await Room.findAll({ where: { status: "playing" } });
+  if (!rooms.length) return;
+
+  console.log(`♻️ Recovering ${rooms.length} in-flight game(s)...`);
+
+  for (const room of rooms) {
+    try {
+      // Socket ids from the previous process are dead; players re-attach on join_room
+      await RoomParticipant.update(
+        { socketId: null },
+        { where: { roomId: room.id } },
+      );
+
+      // Same reconnect window as a dropped socket: whoever doesn't come back
+      // is removed instead of holding up the game
+      const seated = await RoomParticipant.findAll({
+        where: { roomId: room.id, isActive: true },
+        attributes: ["userId"],
+      });
+      for (const p of seated) startReconnectGrace(io, room.id, p.userId);
+
+      const activeCount = await RoomParticipant.count({
+        where: { roomId: room.id, isActive: true, role: "player" },
+      });
+
+      if (activeCount < 2) {
+        await abortGame(io, room, "not_enough_players");
+      } else if (!RESUMABLE_PHASES.includes(room.roundPhase)) {
+        await abortGame(io, room, "unknown_phase");
+      } else {
+        await resumeGame(io, room);
+      }
+    } catch (e) {
+      console.error(`Recovery failed for room ${room.code}:`, e);
+      try {
+        await abortGame(io, room, "recovery_failed");
+      } catch (abortError) {
+        console.error("Abort after failed recovery error:", abortError);
+      }
+    }
+  }
+}
+
+module.exports = {
+  recoverInFlightGames,
+  abortGame,
+};
@@ -0,0 +1,205 @@
+/*
+Ranked matchmaking queue (join_ranked_queue / leave_ranked_queue).
+
+Waiting players are grouped by language. Every few seconds the longest
+waiting player looks for others inside their rating band, and the band
+widens the longer they wait. Once enough compatible players are found a
+public ranked room is created for them and each gets ranked_match_found.
+*/
+
+const { Room, RoomParticipant, Theme, User, sequelize } = require("../models");
+const { normalizeLanguageCode } = require("../utils/wordSelector");
+const { DEFAULT_RATING } = require("../utils/rating");
+const { calculateEntryCost } = require("./gameHelpers");
+
+const MATCH_INTERVAL_SECONDS = 5;
+const MIN_PLAYERS = 3;
+const MAX_PLAYERS = 6;
+// Rating band: +-BASE_BAND, growing by BAND_STEP every BAND_STEP_SECONDS
+const BASE_BAND = 100;
+const BAND_STEP = 50;
+const BAND_STEP_SECONDS = 10;
+const MAX_BAND = 600;
+const RANKED_ENTRY_POINTS = 100;
+
+// Map<userId, entry>
+const queue = new Map();
+let matchTimer = null;
+// A slow pass (room creation) must not overlap the next tick
+let matching = false;
+
+function generateRoomCode() {
+  return Math.random().toString(36).slice(2, 7).toUpperCase();
+}
+
+function ratingBand(entry, now) {
+  const steps = Math.floor((now - entry.joinedAt) / (BAND_STEP_SECONDS * 1000));
+  return Math.min(BASE_BAND + steps * BAND_STEP, MAX_BAND);
+}
+
+function stopMatchTimerIfIdle() {
+  if (queue.size || !matchTimer) return;
+  clearInterval(matchTimer);
+  matchTimer = null;
+}
+
+async function createRankedRoom(entries) {
+  const anchor = entries[0];
+  const theme = await Theme.findOne({ order: sequelize.random() });
+
+  const room = await Room.create({
+    name: "Ranked Match",
+    code: generateRoomCode(),
+    ownerId: anchor.userId,
+    roomType: "multiplayer",
+    language: anchor.language,
+    category: theme ? theme.title : null,
+    themeId: theme ? theme.id : null,
+    isPublic: true,
+    isRanked: true,
+    maxPlayers: entries.length,
+    entryPoints: RANKED_ENTRY_POINTS,
+    status: "waiting",
+  });
+
+  await RoomParticipant.bulkCreate(
+    entries.map((entry) => ({
+      roomId: room.id,
+      userId: entry.userId,
+      isDrawer: false,
+    })),
+  );
+
+  const players = entries.map((entry) => ({
+    id: entry.userId,
+    name: entry.name,
+    rating: entry.rating,
+  }));
+  for (const entry of entries) {
+    entry.socket.emit("ranked_match_found", {
+      roomId: room.id,
+      roomCode: room.code,
+      ownerId: room.ownerId,
+      players,
+    });
+  }
+
+  console.log(
+    `🏅 Ranked room ${room.code} created for ${entries.length} players (${anchor.language})`,
+  );
+  return room;
+}
+
+// One matching pass over the whole queue
+async function runMatching() {
+  const now = Date.now();
+  const groups = new Map();
+  for (const entry of queue.values()) {
+    if (!entry.socket.connected) {
+      queue.delete(entry.userId);
+      continue;
+    }
+    if (!groups.has(entry.languageKey)) groups.set(entry.languageKey, []);
+    groups.get(entry.languageKey).push(entry);
+  }
+
+  for (const group of groups.values()) {
+    let waiting = group.sort((a, b) => a.joinedAt - b.joinedAt);
+
+    for (let i = 0; i < waiting.length; ) {
+      const anchor = waiting[i];
+      const band = ratingBand(anchor, now);
+      const distance = (entry) => Math.abs(entry.rating - anchor.rating);
+      const match = waiting
+        .filter((entry) => distance(entry) <= band)
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, MAX_PLAYERS);
+
+      if (match.length < MIN_PLAYERS) {
+        anchor.socket.emit("ranked_queue_status", {
+          waitingSeconds: Math.floor((now - anchor.joinedAt) / 1000),
+          ratingBand: band,
+        });
+        i++;
+        continue;
+      }
+
+      for (const entry of match) queue.delete(entry.userId);
+      waiting = waiting.filter((entry) => !match.includes(entry));
+      try {
+        await createRankedRoom(match);
+      } catch (e) {
+        console.error("Ranked room creation error:", e);
+        for (const entry of match) {
+          entry.socket.emit("error", { message: "ranked_match_failed" });
+        }
+      }
+    }
+  }
+
+  stopMatchTimerIfIdle();
+}
+
+/**
+ * Put the socket's user in the ranked queue
+ * @returns {Promise<string|null>} Error code, or null when queued
+ */
+async function joinRankedQueue(socket, { language }) {
+  if (!socket.user) return "not_authenticated";
+  const userId = socket.user.id;
+  if (queue.has(userId)) return "already_in_queue";
+
+  const user = await User.findByPk(userId);
+  if (!user) return "user_not_found";
+
+  const entryCost = calculateEntryCost(RANKED_ENTRY_POINTS, false);
+  if (user.coins < entryCost) return "insufficient_coins";
+
+  const roomLanguage = language || user.language || "EN";
+  const entry = {
+    userId,
+    name: user.name,
+    socket,
+    rating: user.rating || DEFAULT_RATING,
+    language: roomLanguage,
+    languageKey: normalizeLanguageCode(roomLanguage),
+    joinedAt: Date.now(),
+  };
+  queue.set(userId, entry);
+
+  if (!matchTimer) {
+    matchTimer = setInterval(() => {
+      if (matching) return;
+      matching = true;
+      runMatching()
+        .catch((e) => console.error("Ranked matching error:", e))
+        .finally(() => {
+          matching = false;
+        });
+    }, MATCH_INTERVAL_SECONDS * 1000);
+  }
+
+  socket.emit("ranked_queue_joined", {
+    rating: entry.rating,
+    language: entry.languageKey,
+    ratingBand: BASE_BAND,
+  });
+  console.log(`🏅 ${user.name} (${entry.rating}) joined the ranked queue`);
+  return null;
+}
+
+function leaveRankedQueue(socket) {
+  if (!socket.user) return false;
+  const entry = queue.get(socket.user.id);
+  // Only the socket that queued can take the player out
+  if (!entry || entry.socket !== socket) return false;
+  queue.delete(socket.user.id);
+  stopMatchTimerIfIdle();
+  return true;
+}
+
+module.exports = {
+  RANKED_ENTRY_POINTS,
+  joinRankedQueue,
+  leaveRankedQueue,
+};
@@ -0,0 +1,301 @@
+/*
+In-memory authoritative state for live rooms.
+
+The phase tickers, drawing relay, guesses and chat read and write this state
+instead of MySQL. The database is only touched at phase boundaries:
+- loadRoomState() pulls the Room row and its active participants
+- persistRoomState() flushes dirty scores, the remaining time and buffered chat
+*/
+
+const { v4: uuidv4 } = require("uuid");
+const { Room, RoomParticipant, User, Message } = require("../models");
+
+// Map<roomId, state>
+const roomStates = new Map();
+// Map<roomCode, roomId> so socket events carrying only a code stay in memory
+const roomIdsByCode = new Map();
+
+// Flush buffered chat early if a room talks a lot between phase boundaries
+const MAX_PENDING_MESSAGES = 20;
+
+// Room columns mirrored in memory (settings + round state)
+const ROOM_FIELDS = [
+  "code",
+  "name",
+  "ownerId",
+  "gameMode",
+  "language",
+  "script",
+  "status",
+  "targetPoints",
+  "maxPointsPerRound",
+  "maxPlayers",
+  "currentRound",
+  "currentDrawerId",
+  "currentWord",
+  "roundPhaseEndTime",
+];
+
+function buildParticipantState(p) {
+  return {
+    participantId: p.id,
+    userId: p.userId,
+    name: p.user ? p.user.name : "Guest",
+    avatar: p.user ? p.user.avatar : null,
+    coins: p.user ? p.user.coins : 0,
+    team: p.team,
+    role: p.role || "player",
+    score: p.score,
+    correctGuesses: p.correctGuesses || 0,
+    isDrawer: p.isDrawer,
+    hasGuessedThisRound: p.hasGuessedThisRound,
+    hasPaidEntry: p.hasPaidEntry,
+    isChatMuted: p.isChatMuted,
+    isVoiceMuted: p.isVoiceMuted,
+    socketId: p.socketId,
+  };
+}
+
+function applyRoomFields(state, room) {
+  for (const field of ROOM_FIELDS) {
+    state[field] = room[field];
+  }
+  state.phase = room.roundPhase;
+  state.remainingTime = room.roundRemainingTime;
+  roomIdsByCode.set(room.code, state.id);
+}
+
+async function fetchActiveParticipants(roomId) {
+  return RoomParticipant.findAll({
+    where: { roomId, isActive: true },
+    include: [
+      {
+        model: User,
+        as: "user",
+        attributes: ["id", "name", "avatar", "coins"],
+      },
+    ],
+  });
+}
+
+// Load (or reload) a room from the database. Must only be called at a phase
+// boundary, after persistRoomState(), since it replaces in-memory scores.
+// The state object is updated in place so running tickers keep their handle.
+async function loadRoomState(roomOrId) {
+  const room =
+    roomOrId instanceof Room ? roomOrId : await Room.findByPk(roomOrId);
+  if (!room) return null;
+
+  let state = roomStates.get(room.id);
+  if (!state) {
+    state = {
+      id: room.id,
+      participants: new Map(),
+      dirtyUserIds: new Set(),
+      pendingMessages: [],
+    };
+    roomStates.set(room.id, state);
+  }
+  applyRoomFields(state, room);
+
+  const participants = await fetchActiveParticipants(room.id);
+  state.participants = new Map(
+    participants.map((p) => [p.userId, buildParticipantState(p)]),
+  );
+  state.dirtyUserIds.clear();
+
+  return state;
+}
+
+// Mirror a Room instance that was just saved at a phase boundary
+async function syncRoomState(room) {
+  const state = roomStates.get(room.id);
+  if (!state) return loadRoomState(room);
+  applyRoomFields(state, room);
+  return state;
+}
+
+// Re-read who is in the room without losing unflushed scores.
+// Used when membership changes mid-phase (join, leave, ban, disconnect).
+async function refreshParticipants(roomId) {
+  const state = roomStates.get(roomId);
+  if (!state) return null;
+
+  const participants = await fetchActiveParticipants(roomId);
+  const next = new Map();
+  for (const p of participants) {
+    const fresh = buildParticipantState(p);
+    const known = state.participants.get(p.userId);
+    if (known && state.dirtyUserIds.has(p.userId)) {
+      fresh.score = known.score;
+      fresh.correctGuesses = known.correctGuesses;
+      fresh.hasGuessedThisRound = known.hasGuessedThisRound;
+    }
+    next.set(p.userId, fresh);
+  }
+
+  // Players who left keep the points they earned this phase
+  const departed = [];
+  for (const [userId, known] of state.participants) {
+    if (next.has(userId) || !state.dirtyUserIds.has(userId)) continue;
+    state.dirtyUserIds.delete(userId);
+    departed.push(
+      RoomParticipant.update(
+        {
+          score: known.score,
+          correctGuesses: known.correctGuesses,
+          hasGuessedThisRound: known.hasGuessedThisRound,
+        },
+        { where: { id: known.participantId } },
+      ),
+    );
+  }
+  await Promise.all(departed);
+
+  state.participants = next;
+  return state;
+}
+
+function getRoomState(roomId) {
+  return roomStates.get(roomId) || null;
+}
+
+function getRoomStateByCode(roomCode) {
+  const roomId = roomIdsByCode.get(roomCode);
+  return roomId ? getRoomState(roomId) : null;
+}
+
+// Look a room up from socket payloads; hydrates on first use only
+async function resolveRoomState({ roomCode, roomId }) {
+  let state = null;
+  if (roomCode) {
+    state = getRoomStateByCode(roomCode);
+    if (state) return state;
+    const room = await Room.findOne({ where: { code: roomCode } });
+    return room ? loadRoomState(room) : null;
+  }
+  if (roomId) {
+    state = getRoomState(Number(roomId));
+    if (state) return state;
+    return loadRoomState(roomId);
+  }
+  return null;
+}
+
+function markDirty(state, userId) {
+  state.dirtyUserIds.add(userId);
+}
+
+function getParticipantList(state) {
+  return Array.from(state.participants.values()).map((p) => ({
+    id: p.userId,
+    name: p.name,
+    avatar: p.avatar,
+    coins: p.coins,
+    score: p.score,
+    team: p.team,
+    role: p.role,
+    isDrawer: p.isDrawer,
+    socketId: p.socketId,
+    // False while the player is inside the reconnect grace window
+    isConnected: !!p.socketId,
+    hasPaidEntry: p.hasPaidEntry,
+    isChatMuted: p.isChatMuted,
+    isVoiceMuted: p.isVoiceMuted,
+  }));
+}
+
+// Queue a chat message for the next flush and return the broadcast payload
+function bufferMessage(state, { userId, content, type = "text" }) {
+  const message = {
+    id: uuidv4(),
+    roomId: state.id,
+    userId,
+    content,
+    type,
+    createdAt: new Date(),
+  };
+  state.pendingMessages.push(message);
+
+  if (state.pendingMessages.length >= MAX_PENDING_MESSAGES) {
+    flushMessages(state).catch((e) =>
+      console.error("Flush messages error:", e),
+    );
+  }
+  return message;
+}
+
+async function flushMessages(state) {
+  if (!state.pendingMessages.length) return;
+  const batch = state.pendingMessages.splice(0);
+  await Message.bulkCreate(
+    batch.map(({ roomId, userId, content, type, createdAt }) => ({
+      roomId,
+      userId,
+      content,
+      type,
+      createdAt,
+    })),
+  );
+}
+
+// Write everything that changed in memory since the last boundary
+async function persistRoomState(roomId) {
+  const state = roomStates.get(roomId);
+  if (!state) return;
+
+  try {
+    const writes = [];
+    for (const userId of state.dirtyUserIds) {
+      const p = state.participants.get(userId);
+      if (!p) continue;
+      writes.push(
+        RoomParticipant.update(
+          {
+            score: p.score,
+            correctGuesses: p.correctGuesses,
+            hasGuessedThisRound: p.hasGuessedThisRound,
+          },
+          { where: { id: p.participantId } },
+        ),
+      );
+    }
+    state.dirtyUserIds.clear();
+
+    writes.push(
+      Room.update(
+        { roundRemainingTime: Math.max(0, state.remainingTime || 0) },
+        { where: { id: roomId } },
+      ),
+    );
+    writes.push(flushMessages(state));
+
+    await Promise.all(writes);
+  } catch (e) {
+    console.error("Persist room state error:", e);
+  }
+}
+
+// Forget a room (deleted, closed or finished). Unflushed chat is discarded.
+function dropRoomState(roomId) {
+  const state = roomStates.get(roomId);
+  if (!state) return;
+  roomStates.delete(roomId);
+  if (roomIdsByCode.get(state.code) === roomId) {
+    roomIdsByCode.delete(state.code);
+  }
+}
+
+module.exports = {
+  loadRoomState,
+  syncRoomState,
+  refreshParticipants,
+  getRoomState,
+  getRoomStateByCode,
+  resolveRoomState,
+  markDirty,
+  getParticipantList,
+  bufferMessage,
+  persistRoomState,
+  dropRoomState,
+};
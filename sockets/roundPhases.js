@@ -1,10 +1,36 @@
-const { Room, RoomParticipant, User, Word } = require("../models");
-const { PHASE_DURATIONS, checkGameEnd } = require("./gameHelpers");
 const {
-  getWordsForTheme,
-  getRandomWordForTheme,
+  Room,
+  RoomParticipant,
+  User,
+  Word,
+} = require("../models");
+const {
+  PHASE_DURATIONS,
+  calculateEntryCost,
+  getPhaseDurations,
+  checkGameEnd,
+  maskWord,
+  buildHintSchedule,
+  revealDueHints,
+} = require("./gameHelpers");
+const {
+  getWordOptionsForTheme,
+  getAcceptedAnswers,
 } = require("../utils/wordSelector");
 const { checkAndMaybeDeleteRoom } = require("../utils/cleanRoom");
+const {
+  loadRoomState,
+  getRoomState,
+  refreshParticipants,
+  getParticipantList,
+  persistRoomState,
+  dropRoomState,
+} = require("./roomState");
+const { resetStrokeLog } = require("./strokeLog");
+const { recordRound } = require("../utils/matchHistory");
+const { isWalletError } = require("../utils/wallet");
+const { holdEntry, refundEntries } = require("../utils/escrow");
+const { emitToRoom } = require("./broadcastDelay");
 
 // Store active timers
 const roomTimers = new Map();
@@ -48,6 +74,8 @@ async function removeParticipantFromRoom(io, room, userId) {
 }
 
 // === NEW HELPER FUNCTION: Starts a continuous countdown timer for any phase ===
+// The countdown runs against the in-memory room state; MySQL is only written
+// when the phase starts and when it ends.
 async function startPhaseTimerAndBroadcast(
   io,
   room,
@@ -56,16 +84,19 @@ async function startPhaseTimerAndBroadcast(
   onEndCallback,
 ) {
   clearRoomTimer(`${room.code}_phase`);
+  clearRoomTimer(`${room.code}_${phaseKey}`);
   const roomCode = room.code;
 
-  // 1. Initialize remaining time in the database
+  // 1. Flush anything left from the previous phase, then record the new one
+  await persistRoomState(room.id);
   room.roundPhase = phaseKey;
   room.roundRemainingTime = duration;
   room.roundPhaseEndTime = new Date(Date.now() + duration * 1000);
   await room.save();
+  const state = await loadRoomState(room);
 
   // 2. Broadcast initial phase change event
-  io.to(roomCode).emit("phase_change", {
+  emitToRoom(io, roomCode, "phase_change", {
     phase: phaseKey,
     duration: duration,
     // Include other necessary phase-specific data here if needed
@@ -76,44 +107,126 @@ async function startPhaseTimerAndBroadcast(
 
   // 3. Start the interval ticker
   const interval = setInterval(async () => {
-    const refreshedRoom = await Room.findByPk(room.id);
+    const current = getRoomState(room.id);
     if (
-      !refreshedRoom ||
-      refreshedRoom.roundPhase !== phaseKey ||
-      refreshedRoom.roundRemainingTime <= 0
+      current !== state ||
+      state.phase !== phaseKey ||
+      state.remainingTime <= 0
     ) {
       clearInterval(interval);
       clearRoomTimer(`${roomCode}_${phaseKey}`);
 
-      if (refreshedRoom && refreshedRoom.roundPhase === phaseKey) {
-        // If the timer ended naturally, execute the callback (transition to next phase)
-        await onEndCallback(io, refreshedRoom);
+      if (current === state && state.phase === phaseKey) {
+        // If the timer ended naturally, flush and transition to next phase
+        await persistRoomState(room.id);
+        const refreshedRoom = await Room.findByPk(room.id);
+        if (refreshedRoom) await onEndCallback(io, refreshedRoom);
       }
       return;
     }
 
-    // Decrement time and save to database
-    refreshedRoom.roundRemainingTime -= 1;
-    await refreshedRoom.save();
+    state.remainingTime -= 1;
 
     // Broadcast time update to all clients
-    io.to(roomCode).emit("time_update", {
-      remainingTime: refreshedRoom.roundRemainingTime,
+    emitToRoom(io, roomCode, "time_update", {
+      remainingTime: state.remainingTime,
     });
   }, 1000);
 
   roomTimers.set(`${roomCode}_${phaseKey}`, interval);
 }
 
+// Fill free player slots with spectators who asked to play, in join order.
+// Runs between rounds (and before start_game), never mid-turn.
+async function promoteSpectators(io, room) {
+  const playerCount = await RoomParticipant.count({
+    where: { roomId: room.id, isActive: true, role: "player" },
+  });
+  let freeSlots = room.maxPlayers - playerCount;
+  if (freeSlots <= 0) return [];
+
+  const waiting = await RoomParticipant.findAll({
+    where: {
+      roomId: room.id,
+      isActive: true,
+      role: "spectator",
+      wantsToPlay: true,
+    },
+    include: [{ model: User, as: "user" }],
+    order: [["id", "ASC"]],
+  });
+  if (!waiting.length) return [];
+
+  const entryCost = calculateEntryCost(room.entryPoints, room.voiceEnabled);
+  const promoted = [];
+
+  for (const spectator of waiting) {
+    if (freeSlots <= 0) break;
+    const user = spectator.user;
+    if (!user) continue;
+
+    // Joining a running game costs the same entry fee as at start_game
+    if (room.status === "playing" && !spectator.hasPaidEntry) {
+      try {
+        await holdEntry(room, user.id, entryCost, { type: "game_entry" });
+      } catch (e) {
+        if (!isWalletError(e, "insufficient_coins")) throw e;
+        if (spectator.socketId) {
+          io.to(spectator.socketId).emit("promotion_failed", {
+            reason: "insufficient_coins",
+            required: entryCost,
+          });
+        }
+        continue;
+      }
+      spectator.hasPaidEntry = true;
+    }
+
+    if (room.gameMode === "team_vs_team" && !spectator.team) {
+      const players = await RoomParticipant.findAll({
+        where: { roomId: room.id, isActive: true, role: "player" },
+      });
+      const blue = players.filter((p) => p.team === "blue").length;
+      const orange = players.filter((p) => p.team === "orange").length;
+      spectator.team = blue <= orange ? "blue" : "orange";
+    }
+
+    spectator.role = "player";
+    spectator.wantsToPlay = false;
+    await spectator.save();
+    freeSlots -= 1;
+    promoted.push(spectator.userId);
+
+    io.to(room.code).emit("spectator_promoted", {
+      userId: spectator.userId,
+      name: user.name,
+    });
+    console.log(`🎟️ Spectator ${user.name} promoted to player in ${room.code}`);
+  }
+
+  if (promoted.length) {
+    const state = await refreshParticipants(room.id);
+    if (state) {
+      emitToRoom(io, room.code, "room_participants", {
+        participants: getParticipantList(state),
+      });
+    }
+  }
+  return promoted;
+}
+
 // Start a new round
 async function startNewRound(io, room) {
   try {
     // Clear chat for new round
-    io.to(room.code).emit("clear_chat");
+    emitToRoom(io, room.code, "clear_chat");
 
-    // Get active participants
+    // Open player slots go to waiting spectators before the drawer is picked
+    await promoteSpectators(io, room);
+
+    // Get active players (spectators only watch)
     const participants = await RoomParticipant.findAll({
-      where: { roomId: room.id, isActive: true },
+      where: { roomId: room.id, isActive: true, role: "player" },
       include: [{ model: User, as: "user" }],
     });
 
@@ -146,9 +259,9 @@ async function selectDrawerAndStartWordChoice(io, room) {
     room = await Room.findByPk(room.id);
     if (!room) return;
 
-    // Load active participants
+    // Load active players (spectators never draw)
     let participants = await RoomParticipant.findAll({
-      where: { roomId: room.id, isActive: true },
+      where: { roomId: room.id, isActive: true, role: "player" },
       include: [{ model: User, as: "user" }],
     });
 
@@ -260,6 +373,7 @@ async function selectDrawerAndStartWordChoice(io, room) {
     room.currentDrawerId = nextDrawer.userId;
     room.lastDrawerId = nextDrawer.userId;
     room.currentWord = null;
+    room.currentKeywordId = null;
     room.currentWordOptions = null;
     room.drawnUserIds = drawnUserIds;
     await room.save();
@@ -277,21 +391,27 @@ async function selectDrawerAndStartWordChoice(io, room) {
       }`,
     );
 
-    // --- Word selection logic (unchanged) ---
+    // --- Word selection logic ---
+    const wordCount = room.wordOptionCount || 3;
     let words = [];
+    // Keyword id per option (same order), so guesses can match any translation
+    let keywordIds = [];
     if (room.themeId) {
       try {
-        words = await getRandomWordForTheme(
+        const options = await getWordOptionsForTheme(
           room.themeId,
           room.language,
           room.script,
+          wordCount,
         );
+        words = options.map((o) => o.text);
+        keywordIds = options.map((o) => o.keywordId);
       } catch (e) {
         console.log("⚠️ Error loading themed words, fallback being used", e);
       }
     }
 
-    if (!words || words.length < 3) {
+    if (!words || words.length < wordCount) {
       const fallback = [
         "apple",
         "banana",
@@ -304,9 +424,11 @@ async function selectDrawerAndStartWordChoice(io, room) {
         "tree",
         "sun",
       ];
-      words = fallback.sort(() => 0.5 - Math.random()).slice(0, 3);
+      words = fallback.sort(() => 0.5 - Math.random()).slice(0, wordCount);
+      keywordIds = [];
     }
     room.currentWordOptions = words;
+    room.currentWordKeywordIds = keywordIds;
     await room.save();
 
     const drawerPayload = {
@@ -333,7 +455,7 @@ async function selectDrawerAndStartWordChoice(io, room) {
       },
     );
 
-    io.to(room.code).emit("drawer_selected", {
+    emitToRoom(io, room.code, "drawer_selected", {
       drawer: drawerPayload,
       previewDuration: PHASE_DURATIONS.selecting_drawer,
     });
@@ -343,12 +465,14 @@ async function selectDrawerAndStartWordChoice(io, room) {
 }
 
 // NEW FUNCTION: Handles the word choice phase transition
+// (duration is only shorter when resuming after a restart)
 async function startWordChoicePhase(
   io,
   room,
   nextDrawer,
   words,
   drawerPayload,
+  duration = getPhaseDurations(room).choosing_word,
 ) {
   const drawerSocket = Array.from(io.sockets.sockets.values()).find(
     (s) => s.user && s.user.id === nextDrawer.userId,
@@ -358,7 +482,7 @@ async function startWordChoicePhase(
   if (drawerSocket) {
     drawerSocket.emit("word_options", {
       words,
-      duration: PHASE_DURATIONS.choosing_word,
+      duration,
     });
   }
 
@@ -369,7 +493,7 @@ async function startWordChoicePhase(
     io,
     room,
     "choosing_word",
-    PHASE_DURATIONS.choosing_word,
+    duration,
     async (io, currentRoom) => {
       try {
         // Timer ended, drawer timed out
@@ -398,7 +522,7 @@ async function startWordChoicePhase(
         const refreshedRoom = await Room.findByPk(currentRoom.id);
 
         // Inform room a drawer was skipped
-        io.to(refreshedRoom.code).emit("drawer_skipped", {
+        emitToRoom(io, refreshedRoom.code, "drawer_skipped", {
           drawer: drawerPayload,
           remainingEliminations: newEliminationCount,
         });
@@ -423,6 +547,7 @@ async function startWordChoicePhase(
         // clear current drawer fields on room and continue rotation
         refreshedRoom.currentDrawerId = null;
         refreshedRoom.currentWord = null;
+        refreshedRoom.currentKeywordId = null;
         refreshedRoom.currentWordOptions = null;
         refreshedRoom.roundPhase = "selecting_drawer";
         await refreshedRoom.save();
@@ -444,53 +569,85 @@ async function startWordChoicePhase(
 }
 
 
-// Start drawing phase
-async function startDrawingPhase(io, room) {
+// Start drawing phase (duration is only shorter when resuming after a restart)
+async function startDrawingPhase(io, room, duration) {
   try {
+    const drawTime = getPhaseDurations(room).drawing;
+    if (duration === undefined) duration = drawTime;
     clearRoomTimer(`${room.code}_phase`);
 
     room.roundPhase = "drawing";
-    room.roundRemainingTime = PHASE_DURATIONS.drawing;
+    room.roundRemainingTime = duration;
     room.roundStartTime = new Date();
-    room.roundPhaseEndTime = new Date(
-      Date.now() + PHASE_DURATIONS.drawing * 1000,
-    );
+    room.roundPhaseEndTime = new Date(Date.now() + duration * 1000);
     await room.save();
+    const state = await loadRoomState(room);
 
-    const wordHint = room.currentWord
-      .split("")
-      .map(() => "_")
-      .join(" ");
+    // Every translation of the keyword counts (native, roman, English keyName)
+    const answers = await getAcceptedAnswers(
+      room.currentKeywordId,
+      room.language,
+    );
+    state.acceptedAnswers = [room.currentWord, ...answers];
 
-    io.to(room.code).emit("phase_change", {
+    // Hints are revealed by the server on a fixed schedule; a resumed round
+    // starts part-way through so hints that were already due come out at once
+    state.hints = buildHintSchedule(room.currentWord, drawTime);
+    state.elapsed = drawTime - duration;
+    // Correct guesses of this round, for the match record
+    state.roundGuesses = [];
+    resetStrokeLog(state);
+
+    const payload = {
       phase: "drawing",
-      duration: PHASE_DURATIONS.drawing,
-      wordHint,
-      word: room.currentWord, // Only drawer will use this
+      duration,
+      wordHint: maskWord(room.currentWord),
+    };
+    // Guessers only get the masked hint; the drawer's copy carries the word
+    const drawer = state.participants.get(room.currentDrawerId);
+    const drawerSocketId = drawer ? drawer.socketId : null;
+    emitToRoom(io, room.code, "phase_change", payload, {
+      except: drawerSocketId,
     });
+    if (drawerSocketId) {
+      io.to(drawerSocketId).emit("phase_change", {
+        ...payload,
+        word: room.currentWord,
+      });
+    }
 
     console.log(`🎨 Drawing phase started - Word: ${room.currentWord}`);
-    // Timer that ticks every second
+    // Timer that ticks every second (in memory only)
     const interval = setInterval(async () => {
-      const refreshedRoom = await Room.findByPk(room.id);
+      const current = getRoomState(room.id);
       if (
-        refreshedRoom.roundPhase !== "drawing" ||
-        refreshedRoom.roundRemainingTime <= 0
+        current !== state ||
+        state.phase !== "drawing" ||
+        state.remainingTime <= 0
       ) {
         clearInterval(interval);
         clearRoomTimer(`${room.code}_drawing`);
-        if (refreshedRoom.roundPhase === "drawing") {
-          await endDrawingPhase(io, refreshedRoom);
+        if (current === state && state.phase === "drawing") {
+          const refreshedRoom = await Room.findByPk(room.id);
+          if (refreshedRoom) await endDrawingPhase(io, refreshedRoom);
         }
         return;
       }
 
-      refreshedRoom.roundRemainingTime -= 1;
-      await refreshedRoom.save();
+      state.remainingTime -= 1;
+      state.elapsed += 1;
 
-      io.to(refreshedRoom.code).emit("time_update", {
-        remainingTime: refreshedRoom.roundRemainingTime,
+      emitToRoom(io, room.code, "time_update", {
+        remainingTime: state.remainingTime,
       });
+
+      if (revealDueHints(state.hints, state.elapsed)) {
+        emitToRoom(io, room.code, "word_hint", {
+          revealedWord: maskWord(state.hints.word, state.hints.revealed),
+          hintsRevealed: state.hints.revealed.length,
+          hintsRemaining: state.hints.order.length - state.hints.revealed.length,
+        });
+      }
     }, 1000);
 
     roomTimers.set(`${room.code}_drawing`, interval);
@@ -504,6 +661,13 @@ async function endDrawingPhase(io, room) {
   try {
     clearRoomTimer(`${room.code}_drawing`);
 
+    // Close the round in memory first so late guesses are rejected
+    const state = getRoomState(room.id);
+    if (state) state.phase = "reveal";
+
+    // Flush guesses and scores collected in memory during the drawing phase
+    await persistRoomState(room.id);
+
     // Award points to drawer based on how many guessed
     const guessedCount = await RoomParticipant.count({
       where: { roomId: room.id, hasGuessedThisRound: true },
@@ -514,9 +678,11 @@ async function endDrawingPhase(io, room) {
       include: [{ model: User, as: "user" }],
     });
 
+    let drawerReward = 0;
     if (drawer && guessedCount > 0) {
-      const drawerReward = Math.min(guessedCount * 2, room.maxPointsPerRound);
+      drawerReward = Math.min(guessedCount * 2, room.maxPointsPerRound);
       drawer.score += drawerReward;
+      drawer.drawerPoints += drawerReward;
       await drawer.save();
 
       console.log(
@@ -524,26 +690,30 @@ async function endDrawingPhase(io, room) {
       );
     }
 
+    await recordRound(room, {
+      drawerPoints: drawerReward,
+      guesses: state ? state.roundGuesses || [] : [],
+    });
+
     // Start reveal phase
     room.roundPhase = "reveal";
     room.roundPhaseEndTime = new Date(
       Date.now() + PHASE_DURATIONS.reveal * 1000,
     );
     await room.save();
+    await loadRoomState(room);
 
     // Get updated participants for scores
     const participants = await RoomParticipant.findAll({
-      where: { roomId: room.id, isActive: true },
+      where: { roomId: room.id, isActive: true, role: "player" },
       include: [{ model: User, as: "user" }],
     });
 
-    io.to(room.code).emit("phase_change", {
+    emitToRoom(io, room.code, "phase_change", {
       phase: "reveal",
       duration: PHASE_DURATIONS.reveal,
       word: room.currentWord,
-      drawerReward: drawer
-        ? Math.min(guessedCount * 2, room.maxPointsPerRound)
-        : 0,
+      drawerReward,
       participants: participants.map((p) => ({
         id: p.userId,
         name: p.user?.name || "Guest",
@@ -561,18 +731,28 @@ async function endDrawingPhase(io, room) {
     }
 
     // Wait then start interval
-    const timer = setTimeout(async () => {
-      await startIntervalPhase(io, room);
-    }, PHASE_DURATIONS.reveal * 1000);
-
-    roomTimers.set(`${room.code}_phase`, timer);
+    scheduleIntervalPhase(io, room, PHASE_DURATIONS.reveal);
   } catch (e) {
     console.error("End drawing phase error:", e);
   }
 }
 
-// Start interval phase
-async function startIntervalPhase(io, room) {
+// Start the interval once the reveal has been shown for `seconds`
+function scheduleIntervalPhase(io, room, seconds) {
+  clearRoomTimer(`${room.code}_phase`);
+  const timer = setTimeout(async () => {
+    await startIntervalPhase(io, room);
+  }, seconds * 1000);
+
+  roomTimers.set(`${room.code}_phase`, timer);
+}
+
+// Start interval phase (duration is only shorter when resuming after a restart)
+async function startIntervalPhase(
+  io,
+  room,
+  duration = PHASE_DURATIONS.interval,
+) {
   try {
     room = await Room.findByPk(room.id);
 
@@ -583,7 +763,7 @@ async function startIntervalPhase(io, room) {
       io,
       room,
       "interval",
-      PHASE_DURATIONS.interval,
+      duration,
       async (io, refreshedRoom) => {
         // Timer ended, transition to new round
         refreshedRoom.currentRound += 1;
@@ -592,9 +772,9 @@ async function startIntervalPhase(io, room) {
       },
     );
 
-    io.to(room.code).emit("phase_change", {
+    emitToRoom(io, room.code, "phase_change", {
       phase: "interval",
-      duration: PHASE_DURATIONS.interval,
+      duration,
     });
 
     console.log(`⏸️ Interval phase`);
@@ -615,10 +795,12 @@ async function handleDrawerLeave(io, room, userId) {
 
     // 1. Clear any active round timers (drawing/hint/etc.)
     clearRoomTimer(`${room.code}_drawing`);
+    await persistRoomState(room.id);
 
     // 2. Clear current drawing state in the Room model
     room.currentDrawerId = null;
     room.currentWord = null;
+    room.currentKeywordId = null;
     room.currentWordOptions = null;
 
     // Set interval end time
@@ -648,23 +830,27 @@ async function handleDrawerLeave(io, room, userId) {
   }
 }
 
+// The owner left: hand the room over, and delete it only when nobody is
+// left to take it. Returns true if the room was deleted.
 async function handleOwnerLeave(io, room, userId) {
   if (room.ownerId !== userId) return false;
-  console.log(`Owner Left the room`);
-  const { deleteRoom } = require("../utils/cleanRoom");
+  const { deleteRoom, transferOwnership } = require("../utils/cleanRoom");
 
-  console.log(`🚨 Owner (${userId}) left room ${room.code}. Deleting room.`);
+  console.log(`🚨 Owner (${userId}) left room ${room.code}.`);
+  const newOwnerId = await transferOwnership(io, room);
+  if (newOwnerId) return false;
+
+  console.log(`🗑 No players left in room ${room.code}. Deleting room.`);
   await deleteRoom(io, room);
   return true;
 }
 
-
-
 // Check and deactivate empty room
 async function checkAndCloseEmptyRoom(io, roomId) {
   try {
+    // Spectators can't keep a game going on their own
     const activeParticipants = await RoomParticipant.count({
-      where: { roomId: roomId, isActive: true },
+      where: { roomId: roomId, isActive: true, role: "player" },
     });
 
     const room = await Room.findByPk(roomId);
@@ -672,7 +858,12 @@ async function checkAndCloseEmptyRoom(io, roomId) {
     if (activeParticipants === 1 && room.status === "playing") {
       // Set room to inactive instead of finished, so it can be reactivated
       await Room.update({ status: "inactive" }, { where: { id: roomId } });
+      // The game can't finish: every held entry fee goes back
+      await refundEntries(room, "room inactive");
 
+      // Dropping the state stops any ticker still running for this room
+      await persistRoomState(roomId);
+      dropRoomState(roomId);
       clearRoomTimer(room.code);
       io.to(room.code).emit("room_closed", {
         message: "Room is now inactive - no active participants",
@@ -697,10 +888,13 @@ module.exports = {
   startDrawingPhase,
   endDrawingPhase,
   startIntervalPhase,
+  scheduleIntervalPhase,
   clearRoomTimer,
   roomTimers,
   handleDrawerLeave,
   handleOwnerLeave,
+  checkAndCloseEmptyRoom,
+  promoteSpectators,
   startWordChoicePhase, // Exporting new helper function for external use if needed
   startPhaseTimerAndBroadcast, // Exporting new helper function
 };
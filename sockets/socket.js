@@ -16,13 +16,14 @@ const {
   RoomParticipant,
   User,
   Message,
-  CoinTransaction,
   Theme,
+  sequelize,
 } = require("../models");
 const {
   calculateEntryCost,
   calculateGuessReward,
   calculateTimeReduction,
+  applyTimingSettings,
 } = require("./gameHelpers");
 const {
   startNewRound,
@@ -30,10 +31,49 @@ const {
   clearRoomTimer,
   handleDrawerLeave,
   handleOwnerLeave,
+  promoteSpectators,
 } = require("./roundPhases");
+const {
+  resolveRoomState,
+  syncRoomState,
+  refreshParticipants,
+  markDirty,
+  getParticipantList,
+  bufferMessage,
+  persistRoomState,
+  dropRoomState,
+} = require("./roomState");
 const sdpTransform = require("sdp-transform");
 const voiceManager = require("./voiceManager");
+const { matchGuess, containsAnswer } = require("../utils/guessMatcher");
+const { moderateText, recordModerationHit } = require("../utils/moderation");
+const { startMatch } = require("../utils/matchHistory");
+const { debit, isWalletError } = require("../utils/wallet");
+const { rejoinRoom } = require("../utils/roomSeats");
+const {
+  topUpEntries,
+  refundEntries,
+  refundIfNotStarted,
+} = require("../utils/escrow");
+const {
+  isBannedFromRoom,
+  runOwnerAction,
+} = require("../utils/roomModeration");
+const { acceptPacket, getReplay } = require("./strokeLog");
+const { validateOp, PROTOCOL_VERSION } = require("./drawingOps");
+const { allowDrawingPacket } = require("./drawGuard");
+const { startVoteKick, castVote } = require("./voteKick");
+const {
+  emitToRoom,
+  startBroadcast,
+  stopBroadcast,
+  watchRoom,
+  leaveWatch,
+} = require("./broadcastDelay");
+const { joinRankedQueue, leaveRankedQueue } = require("./rankedQueue");
 const lobbyIdleTimers = new Map();
+// Map<"roomId:userId", timeout> for players inside the reconnect window
+const reconnectGraceTimers = new Map();
 // socket.js (Add this function)
 
 async function startLobbyIdleTimer(io, room) {
@@ -85,6 +125,65 @@ function clearLobbyIdleTimer(roomId) {
     console.log(`⏱️ Lobby idle timer cleared for room ID: ${roomId}`);
   }
 }
+// A dropped socket keeps its seat (score, drawer turn, canvas) for
+// PHASE_DURATIONS.reconnect_grace seconds before the player is removed.
+function startReconnectGrace(io, roomId, userId) {
+  const key = `${roomId}:${userId}`;
+  clearTimeout(reconnectGraceTimers.get(key));
+
+  const timer = setTimeout(async () => {
+    reconnectGraceTimers.delete(key);
+    try {
+      await removeDisconnectedPlayer(io, roomId, userId);
+    } catch (e) {
+      console.error("Reconnect grace expiry error:", e);
+    }
+  }, PHASE_DURATIONS.reconnect_grace * 1000);
+
+  reconnectGraceTimers.set(key, timer);
+}
+
+// Returns true if the player was inside the reconnect window
+function clearReconnectGrace(roomId, userId) {
+  const key = `${roomId}:${userId}`;
+  if (!reconnectGraceTimers.has(key)) return false;
+  clearTimeout(reconnectGraceTimers.get(key));
+  reconnectGraceTimers.delete(key);
+  return true;
+}
+
+// Grace window ran out: treat the player as having left
+async function removeDisconnectedPlayer(io, roomId, userId) {
+  const participant = await RoomParticipant.findOne({
+    where: { roomId, userId, isActive: true },
+  });
+  // Already back on a new socket, or gone some other way
+  if (!participant || participant.socketId) return;
+
+  const room = await Room.findByPk(roomId);
+  if (!room) return;
+
+  await RoomParticipant.update(
+    { isActive: false, socketId: null },
+    { where: { roomId, userId } },
+  );
+  console.log(`⌛ User ${userId} did not reconnect to room ${room.code}`);
+  await refundIfNotStarted(room, userId);
+
+  const roomClosed = await checkAndCloseEmptyRoom(io, room.id);
+  if (!roomClosed) {
+    emitToRoom(io, room.code, "room_participants", {
+      participants: await getLiveParticipantList(room.id),
+    });
+  }
+
+  const roomDeleted =
+    room.ownerId == userId && (await handleOwnerLeave(io, room, userId));
+  if (!roomDeleted && room.status === "playing") {
+    await handleDrawerLeave(io, room, userId);
+  }
+}
+
 module.exports = function (io) {
   // Authentication middleware
   io.use(async (socket, next) => {
@@ -126,7 +225,7 @@ module.exports = function (io) {
     );
 
     // JOIN ROOM
-    socket.on("join_room", async ({ roomCode, roomId, team }) => {
+    socket.on("join_room", async ({ roomCode, roomId, team, spectate }) => {
       try {
         let room;
         if (roomCode) {
@@ -139,6 +238,10 @@ module.exports = function (io) {
           return socket.emit("error", { message: "room_not_found" });
         }
 
+        if (socket.user && (await isBannedFromRoom(room.id, socket.user.id))) {
+          return socket.emit("error", { message: "banned_from_room" });
+        }
+
         // --- NEW: Check if the user is a REJOINING participant ---
         let existingParticipant = null;
         if (socket.user) {
@@ -147,22 +250,49 @@ module.exports = function (io) {
           });
         }
 
+        // Coming back inside the reconnect window keeps the seat as-is
+        const isReconnecting =
+          !!existingParticipant &&
+          existingParticipant.isActive &&
+          clearReconnectGrace(room.id, socket.user.id);
         const isRejoining =
-          existingParticipant && !existingParticipant.isActive;
+          existingParticipant &&
+          (!existingParticipant.isActive || isReconnecting);
         // -----------------------------------------------------------
 
-        // Only perform the room_full check for NEW players.
-        if (!isRejoining) {
-          const activeParticipants = await RoomParticipant.count({
-            where: { roomId: room.id, isActive: true },
+        // Only perform the room_full check for players not already seated
+        // (newcomers and those coming back after leaving). A full room
+        // (spectators don't count) takes them as spectators instead.
+        const alreadyInRoom =
+          !!existingParticipant && existingParticipant.isActive;
+        let joinAsSpectator = !!spectate && !alreadyInRoom;
+        if (!alreadyInRoom && !joinAsSpectator) {
+          const activePlayers = await RoomParticipant.count({
+            where: { roomId: room.id, isActive: true, role: "player" },
           });
           console.log(
-            `Active participants: ${activeParticipants}--- ${room.maxPlayers}`,
+            `Active players: ${activePlayers}--- ${room.maxPlayers}`,
           );
-          if (activeParticipants > room.maxPlayers) {
+          if (activePlayers >= room.maxPlayers) joinAsSpectator = true;
+        }
+        // Pushed out by a full room: take the next free slot between rounds
+        const spectatorFields = joinAsSpectator
+          ? { role: "spectator", wantsToPlay: !spectate }
+          : {};
+
+        // Coming back after leaving: same seat rules and entry fee as the
+        // REST joins (a stake refunded on leaving is charged again)
+        if (existingParticipant && !alreadyInRoom) {
+          try {
+            await rejoinRoom(room, existingParticipant, {
+              asSpectator: joinAsSpectator,
+              spectate,
+            });
+          } catch (e) {
+            if (!isWalletError(e, "insufficient_coins")) throw e;
             return socket.emit("error", {
-              message: "room_full",
-              details: `Room is full. Max players: ${room.maxPlayers}`,
+              message: "insufficient_coins",
+              details: `You need ${room.entryPoints} coins to join this room`,
             });
           }
         }
@@ -202,7 +332,8 @@ module.exports = function (io) {
                 userId:socket.user.id,
                 socketId:socket.id,
                 isActive:true,
-                team:'blue'
+                team:'blue',
+                ...spectatorFields,
               });
             }else{            
             isNewParticipant = true; // Set flag
@@ -213,6 +344,7 @@ module.exports = function (io) {
               socketId: socket.id,
               isActive: true,
               // Set default scores, team, etc.
+              ...spectatorFields,
             });
             }
           }
@@ -241,18 +373,27 @@ module.exports = function (io) {
             },
           ],
         });
-        const participantList = participants.map((p) => ({
-          id: p.userId,
-          name: p.user ? p.user.name : "Guest",
-          avatar: p.user ? p.user.avatar : null,
-          coins: p.user ? p.user.coins : 0,
-          score: p.score,
-          team: p.team,
-          isDrawer: p.isDrawer,
-          socketId: p.socketId,
-          hasPaidEntry: p.hasPaidEntry,
-          // The client uses score/team/isDrawer/etc. to resume the state.
-        }));
+        // Live rooms keep scores in memory; merge the new member in there
+        const state = await refreshParticipants(room.id);
+        const participantList = state
+          ? getParticipantList(state)
+          : participants.map((p) => ({
+              id: p.userId,
+              name: p.user ? p.user.name : "Guest",
+              avatar: p.user ? p.user.avatar : null,
+              coins: p.user ? p.user.coins : 0,
+              score: p.score,
+              team: p.team,
+              role: p.role,
+              isDrawer: p.isDrawer,
+              socketId: p.socketId,
+              hasPaidEntry: p.hasPaidEntry,
+              // The client uses score/team/isDrawer/etc. to resume the state.
+            }));
+        // Anonymous sockets have no participant row to look up
+        const self =
+          socket.user &&
+          participants.find((p) => p.userId === socket.user.id);
         await startLobbyIdleTimer(io, room);
         // --------------------------------------------------------------------------
 
@@ -273,23 +414,37 @@ module.exports = function (io) {
             maxPlayers: room.maxPlayers,
             entryPoints: room.entryPoints,
             targetPoints: room.targetPoints,
+            maxRounds: room.maxRounds,
+            drawTime: room.drawTime,
+            chooseTime: room.chooseTime,
+            wordOptionCount: room.wordOptionCount,
             isPublic: room.isPublic,
             ownerId: room.ownerId,
             // The resume feature relies on the client receiving these:
-            roundPhase: room.roundPhase,
-            roundRemainingTime: room.roundRemainingTime,
+            roundPhase: state ? state.phase : room.roundPhase,
+            roundRemainingTime: state
+              ? state.remainingTime
+              : room.roundRemainingTime,
             // The entire room object serves as the Game State for the client.
           },
           participants: participantList,
           isResuming: isRejoining, // <--- NEW: Flag for the client
+          role: self ? self.role : "player",
         });
         // --------------------------------------------------------------------------
 
         // Broadcast updated participant list to ALL room members
-        io.to(room.code).emit("room_participants", {
+        emitToRoom(io, room.code, "room_participants", {
           participants: participantList,
         });
 
+        if (isReconnecting) {
+          socket.to(room.code).emit("player_reconnected", {
+            userId: socket.user.id,
+            userName: socket.user.name,
+          });
+        }
+
         // Notify others that a player joined/rejoined
         socket.to(room.code).emit("player_joined", {
           userName: socket.user ? socket.user.name : "Guest",
@@ -304,61 +459,29 @@ module.exports = function (io) {
           );
         }
 
-        // NOTE: You may also need to emit the full **drawing history** if the game is 'playing'
-        // This is often stored in a separate temporary cache (e.g., Redis) indexed by room ID.
-        if (room.status === "playing") {
-          const currentDrawerId = room.currentDrawerId;
-          const resumingSocketId = socket.id;
-          // Find the active drawer's socket ID
-          const drawerParticipant = participantList.find(
-            (p) => p.id === currentDrawerId,
-          );
-          if (drawerParticipant && drawerParticipant.socketId) {
-            const drawerSocketId = drawerParticipant.socketId;
-
-            // 2. Emit a specific event to the Drawer's socket, requesting the drawing data
-            io.to(drawerSocketId).emit("request_canvas_data", {
-              roomCode: room.code,
-              targetSocketId: resumingSocketId, // Tell the drawer where to send the data
-            });
-
-            console.log(
-              `📡 Requested canvas data from drawer ${drawerParticipant.name} for resuming user ${socket.user?.name}`,
-            );
-          } else {
-            console.warn(
-              `⚠️ Room ${room.code} is playing, but drawer socket not found.`,
-            );
-            // You may need to handle a scenario where the drawer disconnected mid-round.
-          }
+        // Late joiners and reconnecting players get the canvas from the
+        // server's stroke log, not from the drawer's (possibly flaky) client
+        if (room.status === "playing" && state) {
+          sendCanvasReplay(socket, state);
         }
       } catch (e) {
         console.error("Join room error:", e);
         socket.emit("error", { message: "join_room_failed" });
       }
     });
-    // Resume Feature
-    socket.on(
-      "send_canvas_data",
-      async ({ roomCode, targetSocketId, history, remainingTime }) => {
-        console.log("Received canvas data:", history);
-        // 1. Check if the room is valid (optional but good security)
-        const room = await Room.findOne({ where: { code: roomCode } });
-        if (!room) return socket.emit("error", { message: "room_not_found" });
-
-        // 2. Directly emit the data to the single target socket ID
-        io.to(targetSocketId).emit("canvas_resume", {
-          roomCode: roomCode,
-          history: history,
-          room: room,
-          remainingTime: remainingTime,
-        });
-
-        console.log(
-          `➡️ Forwarded canvas data to resuming user: ${targetSocketId}`,
-        );
-      },
-    );
+    // Resume Feature: a reconnected client can ask for the canvas again
+    socket.on("request_canvas_replay", async ({ roomCode, roomId }) => {
+      try {
+        const state = await resolveRoomState({ roomCode, roomId });
+        if (!state) return socket.emit("error", { message: "room_not_found" });
+        if (!socket.rooms.has(state.code)) {
+          return socket.emit("error", { message: "not_in_room" });
+        }
+        sendCanvasReplay(socket, state);
+      } catch (e) {
+        console.error("Canvas replay error:", e);
+      }
+    });
 
     socket.on("update_settings", async ({ roomId, settings }) => {
       const VOICE_CHAT_COST = 50;
@@ -379,6 +502,13 @@ module.exports = function (io) {
           });
         }
 
+        // Pacing (draw/choose time, word options, round limit), validated first
+        // so a bad value never leaves voice fees half charged
+        const timingError = applyTimingSettings(room, settings);
+        if (timingError) {
+          return socket.emit("error", { message: timingError });
+        }
+
         // --- VOICE CHAT FEE LOGIC ---
         if (
           settings.voiceEnabled !== undefined &&
@@ -421,12 +551,25 @@ module.exports = function (io) {
             return;
           }
 
-          // 4. Charge Users and Update Database (Transaction Recommended, but simplified here)
-          const chargePromises = usersToCharge.map((user) => {
-            user.coins -= VOICE_CHAT_COST;
-            return user.save();
-          });
-          await Promise.all(chargePromises);
+          // 4. Charge everyone in one transaction: all or nobody
+          try {
+            await sequelize.transaction(async (t) => {
+              for (const user of usersToCharge) {
+                await debit(user.id, VOICE_CHAT_COST, {
+                  type: "voice_chat",
+                  roomId: room.id,
+                  transaction: t,
+                });
+              }
+            });
+          } catch (e) {
+            if (!isWalletError(e, "insufficient_coins")) throw e;
+            io.to(room.code).emit("error", {
+              message: "insufficient_coins",
+              details: `Voice chat requires ${VOICE_CHAT_COST} coins from everyone.`,
+            });
+            return;
+          }
 
           room.voiceEnabled = settings.voiceEnabled;
 
@@ -475,6 +618,7 @@ module.exports = function (io) {
         }
 
         await room.save();
+        await syncRoomState(room);
         let data = {
           gameMode: room.gameMode,
           language: room.language,
@@ -487,6 +631,10 @@ module.exports = function (io) {
           isPublic: room.isPublic,
           maxPlayers: room.maxPlayers,
           status: room.status,
+          drawTime: room.drawTime,
+          chooseTime: room.chooseTime,
+          wordOptionCount: room.wordOptionCount,
+          maxRounds: room.maxRounds,
         };
         console.log(
           `🟢 BACKEND: Emitting settings_updated to room ${room.code} with maxPlayers: ${data.maxPlayers}`,
@@ -557,7 +705,7 @@ module.exports = function (io) {
           `👥 User ${participant.user?.name || socket.user?.name || "Unknown"} selected team ${team}`,
         );
 
-        io.to(room.code).emit("room_participants", {
+        emitToRoom(io, room.code, "room_participants", {
           participants: participants.map((p) => ({
             id: p.userId,
             name: p.user ? p.user.name : "Guest",
@@ -642,8 +790,12 @@ module.exports = function (io) {
           return socket.emit("error", { message: "game_already_started" });
         }
 
+        // Spectators waiting for a seat take any free slots first
+        await promoteSpectators(io, room);
+
+        // Spectators neither pay nor play
         const participants = await RoomParticipant.findAll({
-          where: { roomId: room.id, isActive: true },
+          where: { roomId: room.id, isActive: true, role: "player" },
           include: [{ model: User, as: "user" }],
         });
 
@@ -673,46 +825,50 @@ module.exports = function (io) {
           room.voiceEnabled,
         );
 
-        // Deduct entry coins from all participants
-        for (const participant of participants) {
-          const user = await User.findByPk(participant.userId);
-          console.log(user)
-          if (!user) continue;
-
-          // // Skip if already paid
-          // if (participant.hasPaidEntry) {
-          //   console.log(`💰 ${user.name} already paid entry fee`);
-          //   continue;
-          // }
-
-          if (user.coins < entryCost) {
-            return socket.emit("error", {
-              message: "insufficient_coins",
-              details: `${user.name} needs ${entryCost} coins to play`,
-            });
-          }
-
-          user.coins -= entryCost;
-          await user.save();
+        // Entry rows from here on belong to this game (used for refunds)
+        const gameStartedAt = new Date();
 
-          await CoinTransaction.create({
-            userId: user.id,
-            amount: -entryCost,
-            reason: "game_entry",
+        // Top every stake in escrow up to the entry cost (the join fee counts
+        // towards it), all or nothing: a player who can't pay leaves nobody charged
+        const players = participants.filter((p) => p.user);
+        let charged;
+        try {
+          charged = await topUpEntries(
+            room,
+            players.map((p) => p.userId),
+            entryCost,
+            gameStartedAt.getTime(),
+          );
+        } catch (e) {
+          if (!isWalletError(e, "insufficient_coins")) throw e;
+          const broke = players.find((p) => p.userId === e.userId);
+          return socket.emit("error", {
+            message: "insufficient_coins",
+            details: `${broke ? broke.user.name : "A player"} needs ${entryCost} coins to play`,
           });
+        }
 
+        for (const participant of players) {
           participant.hasPaidEntry = true;
+          // Per-game stats start over (stored in game_results at the end)
+          participant.score = 0;
+          participant.correctGuesses = 0;
+          participant.drawerPoints = 0;
           await participant.save();
 
-          console.log(`💰 Deducted ${entryCost} coins from ${user.name}`);
+          console.log(
+            `💰 Deducted ${charged.get(participant.userId)} coins from ${participant.user.name}`,
+          );
         }
 
         room.status = "playing";
+        room.gameStartedAt = gameStartedAt;
         room.currentRound = 1;
         room.drawnUserIds = []; // Reset drawer rotation for new game
         await room.save();
+        await startMatch(room, entryCost);
 
-        io.to(room.code).emit("game_started", {
+        emitToRoom(io, room.code, "game_started", {
           room: {
             status: room.status,
             entryCost: entryCost,
@@ -752,8 +908,15 @@ module.exports = function (io) {
           return socket.emit("error", { message: "invalid_word_choice" });
         }
 
+        const optionIndex = room.currentWordOptions.indexOf(word);
+        const keywordIds = Array.isArray(room.currentWordKeywordIds)
+          ? room.currentWordKeywordIds
+          : [];
+
         room.currentWord = word;
+        room.currentKeywordId = keywordIds[optionIndex] || null;
         room.currentWordOptions = null;
+        room.currentWordKeywordIds = null;
         await room.save();
 
         console.log(`📝 Drawer chose word: ${word}`);
@@ -768,21 +931,18 @@ module.exports = function (io) {
     });
 
     // DRAWING DATA
-    socket.on("drawing_data", async ({ roomCode, roomId, strokes }) => {
+    // Packets carry a per-round `seq` from the drawer; the server drops
+    // duplicates, restores order and logs them for replay.
+    socket.on("drawing_data", async ({ roomCode, roomId, strokes, seq }) => {
       try {
-        let room;
-        if (roomCode) {
-          room = await Room.findOne({ where: { code: roomCode } });
-        } else if (roomId) {
-          room = await Room.findByPk(roomId);
-        }
-        if (room && room.roundPhase === "drawing") {
-          // Broadcast to all users in the room (including sender for sync, but frontend filters)
-          io.to(room.code).emit("drawing_data", { strokes, from: socket.id });
-          console.log(`🎨 Drawing data broadcasted to room ${room.code}`);
+        const state = await resolveRoomState({ roomCode, roomId });
+        if (state && state.phase === "drawing") {
+          if (!allowDrawingPacket(socket, state, strokes)) return;
+          const ready = acceptPacket(state, { type: "strokes", seq, strokes });
+          broadcastDrawingEntries(io, socket, state, ready);
         } else {
           console.log(
-            `⚠️ Drawing data ignored - room phase: ${room?.roundPhase}, room: ${room?.code}`,
+            `⚠️ Drawing data ignored - room phase: ${state?.phase}, room: ${state?.code}`,
           );
         }
       } catch (e) {
@@ -790,70 +950,135 @@ module.exports = function (io) {
       }
     });
 
-    // CLEAR CANVAS
-    socket.on("clear_canvas", async ({ roomCode, roomId }) => {
+    // DRAWING OP (versioned protocol: stroke, fill, undo, redo, clear)
+    // Shares the sequence space and stroke log with drawing_data.
+    socket.on("drawing_op", async ({ roomCode, roomId, seq, op }) => {
       try {
-        let room;
-        if (roomCode) {
-          room = await Room.findOne({ where: { code: roomCode } });
-        } else if (roomId) {
-          room = await Room.findByPk(roomId);
-        }
-        if (room) {
-          io.to(room.code).emit("canvas_cleared", {
-            by: socket.user ? socket.user.name : "Someone",
+        const state = await resolveRoomState({ roomCode, roomId });
+        if (!state || state.phase !== "drawing") return;
+        if (!allowDrawingPacket(socket, state, op)) return;
+
+        const result = validateOp(op);
+        if (!result.ok) {
+          return socket.emit("error", {
+            message: "invalid_drawing_op",
+            details: result.error,
           });
         }
+
+        const ready = acceptPacket(state, { ...result.op, seq });
+        broadcastDrawingEntries(io, socket, state, ready);
+      } catch (e) {
+        console.error("Drawing op error:", e);
+      }
+    });
+
+    // CLEAR CANVAS
+    socket.on("clear_canvas", async ({ roomCode, roomId, seq }) => {
+      try {
+        const state = await resolveRoomState({ roomCode, roomId });
+        if (!state) return;
+        // Only the drawer may wipe the canvas
+        if (!allowDrawingPacket(socket, state, null)) return;
+
+        if (state.phase !== "drawing") {
+          const by = socket.user ? socket.user.name : "Someone";
+          return emitToRoom(io, state.code, "canvas_cleared", { by });
+        }
+
+        const ready = acceptPacket(state, { type: "clear", seq });
+        broadcastDrawingEntries(io, socket, state, ready);
       } catch (e) {
         console.error("Clear canvas error:", e);
       }
     });
 
     // CHAT MESSAGE
+    // While a word is being drawn, chat that gives the word away is blocked,
+    // and players who already know it (drawer + correct guessers) talk in a
+    // separate "guessed" channel the rest of the room can't see. Spectators
+    // only talk among themselves so they can't feed players hints.
     socket.on("chat_message", async ({ roomCode, roomId, content, avatar }) => {
-      console.log(avatar);
       try {
-        let room;
-        if (roomCode) {
-          room = await Room.findOne({ where: { code: roomCode } });
-        } else if (roomId) {
-          room = await Room.findByPk(roomId);
-        }
-        if (!room) return;
+        const state = await resolveRoomState({ roomCode, roomId });
+        if (!state) return;
 
         const userId = socket.user ? socket.user.id : null;
-        const msg = await Message.create({
-          roomId: room.id,
+        const participant = userId ? state.participants.get(userId) : null;
+        if (participant && participant.isChatMuted) {
+          return socket.emit("error", { message: "chat_muted" });
+        }
+        const roundActive = state.phase === "drawing" && !!state.currentWord;
+
+        if (
+          roundActive &&
+          containsAnswer(content, state.acceptedAnswers || [state.currentWord])
+        ) {
+          return socket.emit("error", { message: "answer_in_chat" });
+        }
+
+        const moderated = moderateText(content, { language: state.language });
+        if (moderated.hits.length) {
+          recordModerationHit(io, {
+            userId,
+            roomId: state.id,
+            event: "chat",
+            language: state.language,
+            result: moderated,
+          }).catch((e) => console.error("Moderation hit error:", e));
+        }
+        if (moderated.action === "drop") {
+          return socket.emit("error", { message: "message_blocked" });
+        }
+
+        const isSpectator = !!participant && participant.role === "spectator";
+        const knowsWord =
+          roundActive &&
+          !!participant &&
+          (participant.isDrawer || participant.hasGuessedThisRound);
+        const channel = isSpectator
+          ? "spectator"
+          : knowsWord
+            ? "guessed"
+            : "room";
+
+        // Persisted in a batch at the next phase boundary
+        const msg = bufferMessage(state, {
           userId,
-          content,
-          type: "text",
+          content: moderated.text,
+          type: channel === "room" ? "text" : channel,
         });
 
         let user = { id: null, name: "Guest", avatar: avatar };
         if (userId) {
-          const dbUser = await User.findByPk(userId);
-          // Fetch participant to get the team for this specific room
-          const participant = await RoomParticipant.findOne({
-            where: { roomId: room.id, userId: userId },
-          });
-
-          if (dbUser) {
-            user = {
-              id: dbUser.id,
-              name: dbUser.name,
-              avatar: dbUser.avatar,
-              team: participant ? participant.team : dbUser.team // Prioritize room participant team
-            };
-          }
+          // Prefer the room participant (it carries the team for this room)
+          user = {
+            id: userId,
+            name: participant ? participant.name : socket.user.name,
+            avatar: participant ? participant.avatar : socket.user.avatar,
+            team: participant ? participant.team : null,
+          };
         }
 
-        io.to(room.code).emit("chat_message", {
+        const payload = {
           id: msg.id,
           content: msg.content,
           user,
           createdAt: msg.createdAt,
           type: "text",
-        });
+          channel,
+        };
+
+        if (channel === "room") {
+          return emitToRoom(io, state.code, "chat_message", payload);
+        }
+        for (const p of state.participants.values()) {
+          if (!p.socketId) continue;
+          const canSee = isSpectator
+            ? p.role === "spectator"
+            : p.isDrawer || p.hasGuessedThisRound;
+          if (canSee) io.to(p.socketId).emit("chat_message", payload);
+        }
       } catch (e) {
         console.error("Chat message error:", e);
       }
@@ -862,15 +1087,10 @@ module.exports = function (io) {
     // SUBMIT GUESS
     socket.on("submit_guess", async ({ roomCode, roomId, guess }) => {
       try {
-        let room;
-        // 1. Find Room
-        if (roomCode) {
-          room = await Room.findOne({ where: { code: roomCode } });
-        } else if (roomId) {
-          room = await Room.findByPk(roomId);
-        }
+        // 1. Find Room (in-memory state, hydrated once per room)
+        const state = await resolveRoomState({ roomCode, roomId });
 
-        if (!room) {
+        if (!state) {
           return socket.emit("guess_result", {
             ok: false,
             message: "room_not_found",
@@ -878,14 +1098,14 @@ module.exports = function (io) {
         }
 
         // 2. Initial Checks (Phase, Word, Authentication)
-        if (room.roundPhase !== "drawing") {
+        if (state.phase !== "drawing") {
           return socket.emit("guess_result", {
             ok: false,
             message: "not_drawing_phase",
           });
         }
 
-        if (!room.currentWord) {
+        if (!state.currentWord) {
           return socket.emit("guess_result", {
             ok: false,
             message: "no_active_word",
@@ -900,9 +1120,7 @@ module.exports = function (io) {
         }
 
         // 3. Find Participant
-        const participant = await RoomParticipant.findOne({
-          where: { roomId: room.id, userId: socket.user.id },
-        });
+        const participant = state.participants.get(socket.user.id);
 
         if (!participant) {
           return socket.emit("guess_result", {
@@ -911,6 +1129,13 @@ module.exports = function (io) {
           });
         }
 
+        if (participant.role === "spectator") {
+          return socket.emit("guess_result", {
+            ok: false,
+            message: "spectators_cannot_guess",
+          });
+        }
+
         // 4. Drawer cannot guess
         if (participant.isDrawer) {
           return socket.emit("guess_result", {
@@ -928,10 +1153,8 @@ module.exports = function (io) {
         }
 
         // 6. Team Check (Team vs Team Mode)
-        if (room.gameMode === "team_vs_team") {
-          const drawer = await RoomParticipant.findOne({
-            where: { roomId: room.id, userId: room.currentDrawerId },
-          });
+        if (state.gameMode === "team_vs_team") {
+          const drawer = state.participants.get(state.currentDrawerId);
 
           if (!drawer || participant.team !== drawer.team) {
             return socket.emit("guess_result", {
@@ -941,63 +1164,85 @@ module.exports = function (io) {
           }
         }
 
-        // 7. Process Guess
-        const normalized = (guess || "").toString().trim().toLowerCase();
-        const word = room.currentWord.toString().trim().toLowerCase();
-        const isCorrect = normalized === word;
+        // 7. Process Guess (accent-insensitive, with near-miss detection)
+        const verdict = matchGuess(
+          guess,
+          state.acceptedAnswers || [state.currentWord],
+        );
 
-        if (isCorrect) {
+        if (verdict === "close") {
+          // --- CLOSE GUESS: tell the guesser only, never the room ---
+          socket.emit("close_guess", { guess });
+          return socket.emit("guess_result", {
+            ok: false,
+            message: "close",
+            guess: guess,
+            avatar: participant.avatar,
+            team: participant.team,
+          });
+        }
+
+        if (verdict === "correct") {
           // --- CORRECT GUESS LOGIC ---
           const reward = calculateGuessReward(
-            room.roundRemainingTime,
-            room.maxPointsPerRound,
+            state.remainingTime,
+            state.maxPointsPerRound,
+            state.hints ? state.hints.revealed.length : 0,
+          );
+          const everyone = Array.from(state.participants.values()).filter(
+            (p) => p.role !== "spectator",
           );
 
           // Award points (team or individual)
-          if (room.gameMode === "team_vs_team") {
+          if (state.gameMode === "team_vs_team") {
             // Award to entire team
-            const teamParticipants = await RoomParticipant.findAll({
-              where: {
-                roomId: room.id,
-                team: participant.team,
-                isActive: true,
-              },
-            });
-
-            for (const teamMember of teamParticipants) {
+            for (const teamMember of everyone) {
+              if (teamMember.team !== participant.team) continue;
               teamMember.score += reward;
-              await teamMember.save();
+              markDirty(state, teamMember.userId);
             }
           } else {
             participant.score += reward;
-            await participant.save();
           }
 
           // FIX: ONLY MARK as guessed IF the guess was correct.
           participant.hasGuessedThisRound = true;
-          await participant.save();
+          participant.correctGuesses += 1;
+          markDirty(state, participant.userId);
+          if (state.roundGuesses) {
+            state.roundGuesses.push({
+              userId: participant.userId,
+              seconds: state.elapsed,
+              points: reward,
+            });
+          }
           // END FIX
 
-          // Reduce time, broadcast, and check for round end (unchanged)
-          const activePlayers = await RoomParticipant.count({
-            where: { roomId: room.id, isActive: true, isDrawer: false },
-          });
+          // Reduce time, broadcast, and check for round end
+          const activePlayers = everyone.filter((p) => !p.isDrawer).length;
 
           if (activePlayers > 0) {
             const timeReduction = calculateTimeReduction(
-              room.roundRemainingTime,
+              state.remainingTime,
               activePlayers,
             );
-            room.roundRemainingTime = Math.max(
+            state.remainingTime = Math.max(
               0,
-              room.roundRemainingTime - timeReduction,
+              state.remainingTime - timeReduction,
+            );
+            // Crash recovery resumes from roundPhaseEndTime, so keep the cut
+            state.roundPhaseEndTime = new Date(
+              Date.now() + state.remainingTime * 1000,
+            );
+            await Room.update(
+              { roundPhaseEndTime: state.roundPhaseEndTime },
+              { where: { id: state.id } },
             );
-            await room.save();
           }
 
-          io.to(room.code).emit("correct_guess", {
+          // Only the guesser's own copy carries the word
+          const guessPayload = {
             by: { id: socket.user.id, name: socket.user.name },
-            word: room.currentWord,
             points: reward,
             participant: {
               id: participant.userId,
@@ -1006,88 +1251,75 @@ module.exports = function (io) {
               team: participant.team,
               avatar: participant.avatar,
             },
-            remainingTime: room.roundRemainingTime,
+            remainingTime: state.remainingTime,
+          };
+          emitToRoom(io, state.code, "correct_guess", guessPayload, {
+            except: socket.id,
+          });
+          socket.emit("correct_guess", {
+            ...guessPayload,
+            word: state.currentWord,
           });
-          const participants = await RoomParticipant.findAll({
-                where: { roomId: room.id, isActive: true },
-                include: [
-                  {
-                    model: User,
-                    as: "user",
-                    attributes: ["id", "name", "avatar", "coins"],
-                  },
-                ],
-              });
-
 
           // Check if all eligible players guessed
-          const eligibleCount =
-            room.gameMode === "team_vs_team"
-              ? await RoomParticipant.count({
-                  where: {
-                    roomId: room.id,
-                    isActive: true,
-                    isDrawer: false,
-                    team: participant.team,
-                  },
-                })
-              : await RoomParticipant.count({
-                  where: { roomId: room.id, isActive: true, isDrawer: false },
-                });
-
-          const guessedCount = await RoomParticipant.count({
-            where: {
-              roomId: room.id,
-              isActive: true,
-              hasGuessedThisRound: true,
-            },
-          });
+          const eligibleCount = everyone.filter(
+            (p) =>
+              !p.isDrawer &&
+              (state.gameMode !== "team_vs_team" ||
+                p.team === participant.team),
+          ).length;
+          const guessedCount = everyone.filter(
+            (p) => p.hasGuessedThisRound,
+          ).length;
 
           if (guessedCount >= eligibleCount) {
             // Everyone guessed, end round early
             const { endDrawingPhase } = require("./roundPhases");
-            clearRoomTimer(`${room.code}_drawing`);
-            await endDrawingPhase(io, room);
+            clearRoomTimer(`${state.code}_drawing`);
+            const room = await Room.findByPk(state.id);
+            if (room) await endDrawingPhase(io, room);
           }
-          io.to(room.code).emit("room_participants", {
-                participants: participants.map((p) => ({
-                  id: p.userId,
-                  name: p.user ? p.user.name : "Guest",
-                  avatar: p.user ? p.user.avatar : null,
-                  coins: p.user ? p.user.coins : 0,
-                  score: p.score,
-                  team: p.team,
-                  isDrawer: p.isDrawer,
-                  socketId: p.socketId,
-                  hasPaidEntry: p.hasPaidEntry,
-                })),
-              });
+          emitToRoom(io, state.code, "room_participants", {
+            participants: getParticipantList(state),
+          });
         } else {
           // --- INCORRECT GUESS LOGIC ---
           // FIX: DO NOT mark hasGuessedThisRound = true here.
           // The participant remains eligible to guess.
 
-          // Get user info for broadcast
-          const user = await User.findByPk(socket.user.id);
-          const userName = user ? user.name : "Unknown";
-
-          // Broadcast incorrect guess to all users in the room
-          io.to(room.code).emit("incorrect_guess", {
-            guess: guess,
-            user: {
-              id: socket.user.id,
-              name: userName,
-              team: participant.team,
-              avatar: user ? user.avatar : null,
-            },
+          // Broadcast incorrect guess to all users in the room, unless
+          // moderation drops it (a wrong guess has nothing to mask for) or
+          // the owner muted this player's chat
+          const moderated = moderateText(guess, {
+            language: state.language,
+            onHit: "drop",
           });
+          if (moderated.hits.length) {
+            recordModerationHit(io, {
+              userId: socket.user.id,
+              roomId: state.id,
+              event: "guess",
+              language: state.language,
+              result: moderated,
+            }).catch((e) => console.error("Moderation hit error:", e));
+          } else if (!participant.isChatMuted) {
+            emitToRoom(io, state.code, "incorrect_guess", {
+              guess: guess,
+              user: {
+                id: socket.user.id,
+                name: participant.name,
+                team: participant.team,
+                avatar: participant.avatar,
+              },
+            });
+          }
 
           // Also send result to sender
           socket.emit("guess_result", {
             ok: false,
             message: "incorrect",
             guess: guess,
-            avatar: user ? user.avatar : null,
+            avatar: participant.avatar,
             team: participant.team,
           });
           // END FIX
@@ -1157,6 +1389,7 @@ module.exports = function (io) {
   // Clear room state
   room.currentDrawerId = null;
   room.currentWord = null;
+  room.currentKeywordId = null;
   room.currentWordOptions = null;
   
   // Check for remaining active participants
@@ -1177,35 +1410,153 @@ module.exports = function (io) {
   selectDrawerAndStartWordChoice(io, room);
 });
 
-    // WORD HINT (from drawer)
-    socket.on(
-      "word_hint",
-      async ({ roomCode, roomId, revealedWord, hintsRemaining }) => {
+    // LEAVE ROOM
+    // OWNER MODERATION: kick, ban (persisted) and chat/voice mute
+    const onOwnerAction = (eventName, getAction) => {
+      socket.on(eventName, async (payload = {}) => {
         try {
-          let room;
-          if (roomCode) {
-            room = await Room.findOne({ where: { code: roomCode } });
-          } else if (roomId) {
-            room = await Room.findByPk(roomId);
+          if (!socket.user) {
+            return socket.emit("error", { message: "not_authenticated" });
           }
-
-          if (room && room.roundPhase === "drawing") {
-            // Broadcast hint to all users in the room
-            io.to(room.code).emit("word_hint", {
-              revealedWord: revealedWord,
-              hintsRemaining: hintsRemaining,
-            });
-            console.log(
-              `💡 Word hint broadcasted to room ${room.code}: ${revealedWord}`,
-            );
+          const action = getAction(payload);
+          const result = await runOwnerAction(io, {
+            roomId: payload.roomId,
+            actorId: socket.user.id,
+            targetUserId: payload.userId,
+            action,
+            reason: payload.reason,
+          });
+          if (!result.ok) {
+            return socket.emit("error", { message: result.error });
           }
+          socket.emit("moderation_result", { action, userId: payload.userId });
         } catch (e) {
-          console.error("Word hint error:", e);
+          console.error(`Owner ${eventName} error:`, e);
         }
-      },
+      });
+    };
+    onOwnerAction("kick_player", () => "kick");
+    onOwnerAction("ban_player", () => "ban");
+    onOwnerAction("unban_player", () => "unban");
+    onOwnerAction("mute_player", ({ type, muted = true }) =>
+      type === "chat" || type === "voice"
+        ? `${muted ? "mute" : "unmute"}_${type}`
+        : "invalid",
     );
 
-    // LEAVE ROOM
+    // VOTE-KICK (public rooms)
+    socket.on("start_votekick", async ({ roomId, userId }) => {
+      try {
+        const error = await startVoteKick(io, socket, {
+          roomId,
+          targetUserId: userId,
+        });
+        if (error) socket.emit("error", { message: error });
+      } catch (e) {
+        console.error("Start votekick error:", e);
+      }
+    });
+
+    socket.on("cast_vote", async ({ roomId, vote }) => {
+      try {
+        const error = await castVote(io, socket, { roomId, vote });
+        if (error) socket.emit("error", { message: error });
+      } catch (e) {
+        console.error("Cast vote error:", e);
+      }
+    });
+
+    // SPECTATORS: ask for (or give up) a seat. Seats are handed out right
+    // away in the lobby, otherwise at the start of the next round.
+    socket.on("request_to_play", async ({ roomId, wantsToPlay = true }) => {
+      try {
+        if (!socket.user) {
+          return socket.emit("error", { message: "not_authenticated" });
+        }
+        const room = await Room.findByPk(roomId);
+        if (!room) return socket.emit("error", { message: "room_not_found" });
+
+        const participant = await RoomParticipant.findOne({
+          where: { roomId: room.id, userId: socket.user.id, isActive: true },
+        });
+        if (!participant) {
+          return socket.emit("error", { message: "not_in_room" });
+        }
+        if (participant.role !== "spectator") {
+          return socket.emit("error", { message: "not_a_spectator" });
+        }
+
+        participant.wantsToPlay = !!wantsToPlay;
+        await participant.save();
+
+        if (room.status === "lobby" || room.status === "waiting") {
+          await promoteSpectators(io, room);
+        }
+      } catch (e) {
+        console.error("Request to play error:", e);
+      }
+    });
+
+    // DELAYED BROADCAST: the owner opens a stream, viewers watch by code
+    socket.on("start_broadcast", async ({ roomId, delaySeconds }) => {
+      try {
+        const room = await Room.findByPk(roomId);
+        if (!room) return socket.emit("error", { message: "room_not_found" });
+        if (!socket.user || room.ownerId !== socket.user.id) {
+          return socket.emit("error", { message: "only_owner_can_broadcast" });
+        }
+
+        const broadcast = await startBroadcast(io, room, delaySeconds);
+        socket.emit("broadcast_started", broadcast);
+      } catch (e) {
+        console.error("Start broadcast error:", e);
+        socket.emit("error", { message: "start_broadcast_failed" });
+      }
+    });
+
+    socket.on("stop_broadcast", async ({ roomId }) => {
+      try {
+        const room = await Room.findByPk(roomId);
+        if (!room) return socket.emit("error", { message: "room_not_found" });
+        if (!socket.user || room.ownerId !== socket.user.id) {
+          return socket.emit("error", { message: "only_owner_can_broadcast" });
+        }
+
+        await stopBroadcast(io, room);
+        socket.emit("broadcast_stopped", { roomId: room.id });
+      } catch (e) {
+        console.error("Stop broadcast error:", e);
+      }
+    });
+
+    // Viewers don't need an account or a seat
+    socket.on("watch_room", async ({ watchCode }) => {
+      try {
+        const error = await watchRoom(io, socket, { watchCode });
+        if (error) socket.emit("error", { message: error });
+      } catch (e) {
+        console.error("Watch room error:", e);
+      }
+    });
+
+    socket.on("leave_watch", ({ watchCode }) => {
+      leaveWatch(socket, { watchCode });
+    });
+
+    // RANKED QUEUE
+    socket.on("join_ranked_queue", async ({ language } = {}) => {
+      try {
+        const error = await joinRankedQueue(socket, { language });
+        if (error) socket.emit("error", { message: error });
+      } catch (e) {
+        console.error("Join ranked queue error:", e);
+      }
+    });
+
+    socket.on("leave_ranked_queue", () => {
+      if (leaveRankedQueue(socket)) socket.emit("ranked_queue_left", {});
+    });
+
     socket.on("leave_room", async ({ roomCode, roomId }) => {
       try {
         let room;
@@ -1219,6 +1570,8 @@ module.exports = function (io) {
           socket.leave(room.code);
 
           if (socket.user) {
+            clearReconnectGrace(room.id, socket.user.id);
+
             // 1. Set participant inactive
             await RoomParticipant.update(
               { isActive: false, socketId: null },
@@ -1226,11 +1579,13 @@ module.exports = function (io) {
             );
 
             console.log(`👋 User ${socket.user.name} left room ${room.code}`);
+            await refundIfNotStarted(room, socket.user.id);
 
-            // 2. CHECK IF LEAVING USER WAS THE DRAWER
-            if (room.ownerId == socket.user.id) {
-              await handleOwnerLeave(io, room, socket.user.id);
-            } else if (room.status === "playing") {
+            // 2. Hand over ownership, then check if the leaver was drawing
+            const roomDeleted =
+              room.ownerId == socket.user.id &&
+              (await handleOwnerLeave(io, room, socket.user.id));
+            if (!roomDeleted && room.status === "playing") {
               await handleDrawerLeave(io, room, socket.user.id);
             }
             // END DRAWER CHECK
@@ -1239,29 +1594,8 @@ module.exports = function (io) {
 
             if (!roomClosed) {
               // 3. Broadcast updated participant list
-              const participants = await RoomParticipant.findAll({
-                where: { roomId: room.id, isActive: true },
-                include: [
-                  {
-                    model: User,
-                    as: "user",
-                    attributes: ["id", "name", "avatar", "coins"],
-                  },
-                ],
-              });
-
-              io.to(room.code).emit("room_participants", {
-                participants: participants.map((p) => ({
-                  id: p.userId,
-                  name: p.user ? p.user.name : "Guest",
-                  avatar: p.user ? p.user.avatar : null,
-                  coins: p.user ? p.user.coins : 0,
-                  score: p.score,
-                  team: p.team,
-                  isDrawer: p.isDrawer,
-                  socketId: p.socketId,
-                  hasPaidEntry: p.hasPaidEntry,
-                })),
+              emitToRoom(io, room.code, "room_participants", {
+                participants: await getLiveParticipantList(room.id),
               });
             }
           }
@@ -1405,10 +1739,15 @@ module.exports = function (io) {
           );
           return;
         }
+        // Voice-muted players may connect but their producer stays paused
+        const participant = await RoomParticipant.findOne({
+          where: { socketId: socket.id, isActive: true },
+        });
         const producer = await transport.produce({
           kind: data.kind,
           rtpParameters: data.rtpParameters,
           appData: { userId: socket.user?.id, socketId: socket.id },
+          paused: !!(participant && participant.isVoiceMuted),
         });
 
         voiceManager.addProducer(socket.id, producer);
@@ -1594,12 +1933,14 @@ module.exports = function (io) {
     // 7. Handle standard socket disconnect (CRITICAL CLEANUP)
     socket.on("disconnect", async () => {
       console.log("❌ Socket disconnected:", socket.id);
+      leaveRankedQueue(socket);
  
      const participant = await RoomParticipant.findOne({
         where:{socketId:socket.id}
        })
        
-      // 7b. Game Cleanup (RoomParticipant/Room status)
+      // 7b. Game Cleanup: keep the seat for the reconnect window instead of
+      // removing the player straight away (mobile networks drop a lot)
       if (participant) {
         try {
           const room = await Room.findOne({
@@ -1607,42 +1948,19 @@ module.exports = function (io) {
           });
           if (room) {
             await RoomParticipant.update(
-              { isActive: false, socketId: null },
-              { where: { roomId: room.id, userId: socket.user.id } },
+              { socketId: null },
+              { where: { id: participant.id, socketId: socket.id } },
             );
-            await checkAndCloseEmptyRoom(io, room.id);
-          
-          if (socket.user !== null) {
-             const participants = await RoomParticipant.findAll({
-                where: { roomId: room.id, isActive: true },
-                include: [
-                  {
-                    model: User,
-                    as: "user",
-                    attributes: ["id", "name", "avatar", "coins"],
-                  },
-                ],
-              });
+            startReconnectGrace(io, room.id, participant.userId);
 
-              io.to(room.code).emit("room_participants", {
-                participants: participants.map((p) => ({
-                  id: p.userId,
-                  name: p.user ? p.user.name : "Guest",
-                  avatar: p.user ? p.user.avatar : null,
-                  coins: p.user ? p.user.coins : 0,
-                  score: p.score,
-                  team: p.team,
-                  isDrawer: p.isDrawer,
-                  socketId: p.socketId,
-                  hasPaidEntry: p.hasPaidEntry,
-                })),
-              });
-            if (room.ownerId == socket.user.id) {
-              await handleOwnerLeave(io, room, socket.user.id);
-            } else if (room.status === "playing") {
-              await handleDrawerLeave(io, room, socket.user.id);
-            }
-          }
+            io.to(room.code).emit("player_disconnected", {
+              userId: participant.userId,
+              userName: socket.user ? socket.user.name : "Guest",
+              graceSeconds: PHASE_DURATIONS.reconnect_grace,
+            });
+            emitToRoom(io, room.code, "room_participants", {
+              participants: await getLiveParticipantList(room.id),
+            });
           }
         } catch (e) {
           console.error("Disconnect cleanup error:", e);
@@ -1653,11 +1971,90 @@ module.exports = function (io) {
   });
 };
 
+// Relay stroke log entries that are now in order. Legacy packets keep their
+// old events so clients that don't speak drawing_op still draw.
+function broadcastDrawingEntries(io, socket, state, entries) {
+  const by = socket.user ? socket.user.name : "Someone";
+  for (const entry of entries) {
+    if (entry.type === "strokes") {
+      // Broadcast to all users in the room (including sender for sync, but frontend filters)
+      emitToRoom(io, state.code, "drawing_data", {
+        strokes: entry.strokes,
+        seq: entry.seq,
+        from: socket.id,
+      });
+      continue;
+    }
+
+    if (entry.type === "clear") {
+      emitToRoom(io, state.code, "canvas_cleared", { by, seq: entry.seq });
+    }
+    const { seq, ...op } = entry;
+    emitToRoom(io, state.code, "drawing_op", {
+      v: PROTOCOL_VERSION,
+      seq,
+      op,
+      from: socket.id,
+    });
+  }
+}
+
+// Send the current round's canvas to one socket
+function sendCanvasReplay(socket, state) {
+  if (state.phase !== "drawing" && state.phase !== "reveal") return;
+
+  const replay = getReplay(state);
+  socket.emit("canvas_resume", {
+    roomCode: state.code,
+    room: {
+      id: state.id,
+      code: state.code,
+      roundPhase: state.phase,
+      currentRound: state.currentRound,
+    },
+    v: PROTOCOL_VERSION,
+    round: replay.round,
+    lastSeq: replay.lastSeq,
+    history: replay.history,
+    remainingTime: state.remainingTime,
+  });
+}
+
+// Participant list for broadcasts after membership changes.
+// Live rooms answer from memory so unflushed scores are not lost.
+async function getLiveParticipantList(roomId) {
+  const state = await refreshParticipants(roomId);
+  if (state) return getParticipantList(state);
+
+  const participants = await RoomParticipant.findAll({
+    where: { roomId, isActive: true },
+    include: [
+      {
+        model: User,
+        as: "user",
+        attributes: ["id", "name", "avatar", "coins"],
+      },
+    ],
+  });
+  return participants.map((p) => ({
+    id: p.userId,
+    name: p.user ? p.user.name : "Guest",
+    avatar: p.user ? p.user.avatar : null,
+    coins: p.user ? p.user.coins : 0,
+    score: p.score,
+    team: p.team,
+    isDrawer: p.isDrawer,
+    socketId: p.socketId,
+    hasPaidEntry: p.hasPaidEntry,
+  }));
+}
+
 // Check and deactivate empty room
 async function checkAndCloseEmptyRoom(io, roomId) {
   try {
+    // Spectators can't keep a game going on their own
     const activeParticipants = await RoomParticipant.count({
-      where: { roomId: roomId, isActive: true },
+      where: { roomId: roomId, isActive: true, role: "player" },
     });
 
     const room = await Room.findByPk(roomId);
@@ -1665,7 +2062,12 @@ async function checkAndCloseEmptyRoom(io, roomId) {
     if (activeParticipants === 1 && room.status === "playing") {
       // Set room to inactive instead of finished, so it can be reactivated
       await Room.update({ status: "inactive" }, { where: { id: roomId } });
+      // The game can't finish: every held entry fee goes back
+      await refundEntries(room, "room inactive");
 
+      // Dropping the state stops any ticker still running for this room
+      await persistRoomState(roomId);
+      dropRoomState(roomId);
       clearRoomTimer(room.code);
       io.to(room.code).emit("room_closed", {
         message: "Room is now inactive - no active participants",
@@ -1683,3 +2085,6 @@ async function checkAndCloseEmptyRoom(io, roomId) {
     return false;
   }
 }
+
+// Crash recovery starts the reconnect window for players of resumed rooms
+module.exports.startReconnectGrace = startReconnectGrace;
@@ -0,0 +1,137 @@
+/*
+Ordered stroke log for the round currently being drawn.
+
+Lives on the in-memory room state (see roomState.js). The drawer's client
+numbers its drawing packets 1, 2, 3... per round; we drop duplicates,
+hold early packets until the gap is filled, and keep everything since the
+last clear so late joiners get the canvas straight from the server.
+
+Entries are legacy drawing_data blobs ("strokes") or drawing ops from
+drawingOps.js. Undo/redo are resolved here, in sequence order, so every
+client applies them to the same target.
+*/
+
+// Packets held while waiting for a missing sequence number
+const MAX_REORDER_BUFFER = 32;
+// Hard cap on logged packets per round (protects memory on long rounds)
+const MAX_LOG_ENTRIES = 5000;
+
+// Entry types that put something on the canvas (and can be undone)
+const DRAWABLE_TYPES = ["strokes", "stroke", "fill"];
+
+function resetStrokeLog(state) {
+  state.strokeLog = {
+    round: state.currentRound,
+    lastSeq: 0,
+    pending: new Map(),
+    entries: [],
+    redoStack: [],
+  };
+  return state.strokeLog;
+}
+
+function getStrokeLog(state) {
+  return state.strokeLog || resetStrokeLog(state);
+}
+
+// Apply one in-order entry to the canvas.
+// Returns what to broadcast, or null when the entry changes nothing.
+function record(log, entry) {
+  log.lastSeq = entry.seq;
+
+  switch (entry.type) {
+    case "clear":
+      // Nothing before a clear matters for replay
+      log.entries = [];
+      log.redoStack = [];
+      return entry;
+
+    case "undo": {
+      const target = log.entries.pop();
+      if (!target) return null;
+      log.redoStack.push(target);
+      return { ...entry, targetId: target.id ?? target.seq };
+    }
+
+    case "redo": {
+      const target = log.redoStack.pop();
+      if (!target) return null;
+      log.entries.push(target);
+      return {
+        ...entry,
+        targetId: target.id ?? target.seq,
+        restored: target,
+      };
+    }
+
+    default: {
+      if (!DRAWABLE_TYPES.includes(entry.type)) return null;
+      // Stroke ids must be unique within the round
+      if (
+        entry.id !== undefined &&
+        log.entries.some((e) => e.id === entry.id)
+      ) {
+        return null;
+      }
+      log.redoStack = [];
+      if (log.entries.length < MAX_LOG_ENTRIES) log.entries.push(entry);
+      return entry;
+    }
+  }
+}
+
+/**
+ * Accept one packet from the drawer.
+ * @param {object} state - In-memory room state
+ * @param {object} packet - { seq, type, ...payload } (legacy strokes blob or a drawing op)
+ * @returns {Array<object>} Entries now ready to broadcast, in order
+ */
+function acceptPacket(state, packet) {
+  const log = getStrokeLog(state);
+  const ready = [];
+
+  // Clients that don't number their packets get the next slot
+  const seq = Number.isInteger(packet.seq) ? packet.seq : log.lastSeq + 1;
+  const entry = { ...packet, seq };
+
+  if (seq <= log.lastSeq || log.pending.has(seq)) {
+    return ready; // duplicate
+  }
+
+  if (seq > log.lastSeq + 1) {
+    log.pending.set(seq, entry);
+    if (log.pending.size <= MAX_REORDER_BUFFER) return ready;
+
+    // The missing packet is not coming; skip the gap
+    log.lastSeq = Math.min(...log.pending.keys()) - 1;
+  } else {
+    const applied = record(log, entry);
+    if (applied) ready.push(applied);
+  }
+
+  // Release anything that was waiting on this packet
+  while (log.pending.has(log.lastSeq + 1)) {
+    const next = log.pending.get(log.lastSeq + 1);
+    log.pending.delete(next.seq);
+    const applied = record(log, next);
+    if (applied) ready.push(applied);
+  }
+
+  return ready;
+}
+
+// Everything a late joiner needs to rebuild the canvas
+function getReplay(state) {
+  const log = getStrokeLog(state);
+  return {
+    round: log.round,
+    lastSeq: log.lastSeq,
+    history: log.entries,
+  };
+}
+
+module.exports = {
+  resetStrokeLog,
+  acceptPacket,
+  getReplay,
+};
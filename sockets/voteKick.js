@@ -0,0 +1,189 @@
+/*
+Vote-kick for public rooms (start_votekick / cast_vote).
+
+One vote runs per room at a time. Only active players (not spectators) can
+start, vote in or be the target of a vote. It passes once a majority of the
+active players other than the target vote yes, and fails when it can no longer
+reach that or when it times out. A passed vote bans the target through the
+same path as owner and report bans. Every vote is logged in vote_kicks so
+players who keep starting failed votes can be spotted and blocked.
+*/
+
+const { Op } = require("sequelize");
+const { Room, RoomParticipant, User, VoteKick } = require("../models");
+const { banFromRoom, postSystemMessage } = require("../utils/roomModeration");
+
+const VOTE_DURATION_SECONDS = 30;
+// Below this a single vote would decide, which is just a kick button
+const MIN_ACTIVE_PLAYERS = 3;
+// Per initiator and room, after any vote they started
+const INITIATOR_COOLDOWN_SECONDS = 120;
+// Failed votes in FAILED_VOTE_WINDOW_HOURS before a user may not start more
+const MAX_FAILED_VOTES = 3;
+const FAILED_VOTE_WINDOW_HOURS = 24;
+
+// Map<roomId, vote>
+const activeVotes = new Map();
+// Map<"roomId:userId", timestamp ms>
+const lastStartedAt = new Map();
+
+function votesNeeded(eligibleVoters) {
+  return Math.floor(eligibleVoters / 2) + 1;
+}
+
+function voteSummary(vote) {
+  return {
+    roomId: vote.roomId,
+    targetId: vote.targetId,
+    yes: vote.yes.size,
+    no: vote.no.size,
+    needed: vote.needed,
+  };
+}
+
+async function recentFailedVotes(userId) {
+  const since = new Date(Date.now() - FAILED_VOTE_WINDOW_HOURS * 3600 * 1000);
+  return VoteKick.count({
+    where: {
+      initiatorId: userId,
+      outcome: { [Op.in]: ["failed", "timeout"] },
+      createdAt: { [Op.gte]: since },
+    },
+  });
+}
+
+async function finishVote(io, vote, outcome) {
+  if (activeVotes.get(vote.roomId) !== vote) return;
+  activeVotes.delete(vote.roomId);
+  clearTimeout(vote.timer);
+
+  await VoteKick.create({
+    roomId: vote.roomId,
+    initiatorId: vote.initiatorId,
+    targetId: vote.targetId,
+    yesVotes: vote.yes.size,
+    noVotes: vote.no.size,
+    votesNeeded: vote.needed,
+    outcome,
+  });
+
+  io.to(vote.roomCode).emit("votekick_ended", {
+    ...voteSummary(vote),
+    passed: outcome === "passed",
+    reason: outcome,
+  });
+
+  const room = await Room.findByPk(vote.roomId);
+  if (!room) return;
+
+  if (outcome === "passed") {
+    await banFromRoom(io, room, vote.targetId, { reason: "vote kick" });
+  } else {
+    await postSystemMessage(
+      io,
+      room,
+      `Vote to kick ${vote.targetName} did not pass`,
+    );
+  }
+}
+
+/**
+ * Start a vote to kick a player
+ * @returns {Promise<string|null>} Error code, or null when the vote started
+ */
+async function startVoteKick(io, socket, { roomId, targetUserId }) {
+  if (!socket.user) return "not_authenticated";
+  const initiatorId = socket.user.id;
+  const targetId = Number(targetUserId);
+
+  const room = await Room.findByPk(roomId);
+  if (!room) return "room_not_found";
+  if (!room.isPublic) return "votekick_public_rooms_only";
+  if (activeVotes.has(room.id)) return "votekick_in_progress";
+  if (!targetId || targetId === initiatorId) return "invalid_votekick_target";
+
+  // Spectators neither vote nor get voted out
+  const players = await RoomParticipant.findAll({
+    where: { roomId: room.id, isActive: true, role: "player" },
+  });
+  const ids = players.map((p) => p.userId);
+  if (!ids.includes(initiatorId)) return "votekick_players_only";
+  if (!ids.includes(targetId)) return "invalid_votekick_target";
+  if (ids.length < MIN_ACTIVE_PLAYERS) return "votekick_not_enough_players";
+
+  const cooldownKey = `${room.id}:${initiatorId}`;
+  const last = lastStartedAt.get(cooldownKey) || 0;
+  if (Date.now() - last < INITIATOR_COOLDOWN_SECONDS * 1000) {
+    return "votekick_cooldown";
+  }
+  if ((await recentFailedVotes(initiatorId)) >= MAX_FAILED_VOTES) {
+    return "votekick_blocked";
+  }
+
+  const target = await User.findByPk(targetId, { attributes: ["name"] });
+  const vote = {
+    roomId: room.id,
+    roomCode: room.code,
+    initiatorId,
+    targetId,
+    targetName: target ? target.name : "Player",
+    // Everyone but the target gets a say
+    needed: votesNeeded(ids.length - 1),
+    eligible: new Set(ids.filter((id) => id !== targetId)),
+    yes: new Set([initiatorId]),
+    no: new Set(),
+  };
+  vote.timer = setTimeout(() => {
+    finishVote(io, vote, "timeout").catch((e) =>
+      console.error("Votekick timeout error:", e),
+    );
+  }, VOTE_DURATION_SECONDS * 1000);
+
+  activeVotes.set(room.id, vote);
+  lastStartedAt.set(cooldownKey, Date.now());
+
+  io.to(room.code).emit("votekick_started", {
+    ...voteSummary(vote),
+    targetName: vote.targetName,
+    initiatorId,
+    initiatorName: socket.user.name,
+    expiresIn: VOTE_DURATION_SECONDS,
+  });
+  console.log(
+    `🗳️ Votekick against ${targetId} started by ${initiatorId} in room ${room.code}`,
+  );
+  return null;
+}
+
+/**
+ * Cast (or change) a vote in the room's running vote-kick
+ * @returns {Promise<string|null>} Error code, or null when the vote counted
+ */
+async function castVote(io, socket, { roomId, vote: choice }) {
+  if (!socket.user) return "not_authenticated";
+  const vote = activeVotes.get(Number(roomId));
+  if (!vote) return "no_votekick_in_progress";
+  if (!vote.eligible.has(socket.user.id)) return "not_eligible_to_vote";
+
+  const userId = socket.user.id;
+  const yes = choice === true || choice === "yes";
+  vote.yes.delete(userId);
+  vote.no.delete(userId);
+  (yes ? vote.yes : vote.no).add(userId);
+
+  io.to(vote.roomCode).emit("votekick_update", voteSummary(vote));
+
+  if (vote.yes.size >= vote.needed) {
+    await finishVote(io, vote, "passed");
+  } else if (vote.eligible.size - vote.no.size < vote.needed) {
+    // Not enough voters left who could still say yes
+    await finishVote(io, vote, "failed");
+  }
+  return null;
+}
+
+module.exports = {
+  VOTE_DURATION_SECONDS,
+  startVoteKick,
+  castVote,
+};
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const express = require("express");
+const { installFakeModels } = require("./helpers/fakeModels");
+
+const db = installFakeModels();
+const { verifyAdCallback, signAdCallback } = require("../utils/adVerification");
+const rewardRoutes = require("../routes/rewards");
+
+const KEY_ID = "1234";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+  namedCurve: "prime256v1",
+});
+const privatePem = privateKey.export({ type: "pkcs8", format: "pem" });
+process.env.AD_SSV_PUBLIC_KEYS = JSON.stringify({
+  [KEY_ID]: publicKey.export({ type: "spki", format: "pem" }),
+});
+
+function reward(overrides = {}) {
+  return {
+    ad_network: "5450213213286189855",
+    ad_unit: "1234567890",
+    custom_data: "coins",
+    reward_amount: "1",
+    reward_item: "coins",
+    timestamp: String(Date.now()),
+    transaction_id: "tx-1",
+    user_id: "1",
+    ...overrides,
+  };
+}
+
+test("a callback signed with a configured key is accepted", async () => {
+  const query = signAdCallback(reward(), privatePem, KEY_ID);
+  const result = await verifyAdCallback(query);
+  assert.ifError(result.error);
+  assert.strictEqual(result.params.transaction_id, "tx-1");
+  assert.strictEqual(result.params.user_id, "1");
+});
+
+test("a tampered payload fails the signature check", async () => {
+  const query = signAdCallback(reward(), privatePem, KEY_ID);
+  const tampered = query.replace("user_id=1", "user_id=2");
+  assert.notStrictEqual(tampered, query);
+  assert.deepStrictEqual(await verifyAdCallback(tampered), {
+    error: "invalid_signature",
+  });
+});
+
+test("a key id that isn't configured is rejected", async () => {
+  const query = signAdCallback(reward(), privatePem, "9999");
+  assert.deepStrictEqual(await verifyAdCallback(query), {
+    error: "unknown_key",
+  });
+});
+
+test("a callback without a signature is rejected", async () => {
+  const query = new URLSearchParams(reward()).toString();
+  assert.deepStrictEqual(await verifyAdCallback(query), {
+    error: "missing_signature",
+  });
+});
+
+test("a replayed transaction id grants the reward once", async (t) => {
+  const user = await db.User.create({ coins: 0 });
+  const app = express();
+  app.use("/api/rewards", rewardRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/rewards`;
+
+  const query = signAdCallback(
+    reward({ user_id: String(user.id), transaction_id: "tx-replay" }),
+    privatePem,
+    KEY_ID,
+  );
+  const first = await (await fetch(`${base}/ad-callback?${query}`)).json();
+  const replay = await (await fetch(`${base}/ad-callback?${query}`)).json();
+
+  assert.strictEqual(first.granted, true);
+  assert.deepStrictEqual(replay, first);
+  assert.strictEqual(user.coins, first.coins);
+  const grants = db.CoinTransaction.rows().filter(
+    (row) => row.account === "wallet" && row.userId === user.id,
+  );
+  assert.strictEqual(grants.length, 1);
+
+  // A new ad inside the cooldown is refused, but still answered with 200
+  const next = signAdCallback(
+    reward({ user_id: String(user.id), transaction_id: "tx-next" }),
+    privatePem,
+    KEY_ID,
+  );
+  const response = await fetch(`${base}/ad-callback?${next}`);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), {
+    granted: false,
+    error: "cooldown",
+  });
+  assert.strictEqual(user.coins, first.coins);
+});
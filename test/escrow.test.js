@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+
+const db = installFakeModels();
+const { credit, reconcileBalances } = require("../utils/wallet");
+const {
+  holdEntry,
+  topUpEntries,
+  releaseEntries,
+  refundEntries,
+  refundIfNotStarted,
+  forfeitEntry,
+} = require("../utils/escrow");
+
+async function fundedUser(coins) {
+  const user = await db.User.create({ coins: 0 });
+  await credit(user.id, coins, { type: "adjustment" });
+  return user;
+}
+
+let nextRoomId = 1;
+function lobby() {
+  const id = nextRoomId++;
+  return db.Room.create({ id, code: `ESC${id}`, status: "lobby" });
+}
+
+function stakes(room) {
+  return db.EntryEscrow.rows()
+    .filter((stake) => stake.roomId === room.id)
+    .map(({ userId, amount, status }) => ({ userId, amount, status }));
+}
+
+async function assertLedgerBalanced() {
+  const report = await reconcileBalances();
+  assert.deepStrictEqual(report.mismatches, []);
+  assert.deepStrictEqual(report.unbalancedTransfers, []);
+  assert.strictEqual(report.escrowDifference, 0);
+}
+
+test("holding an entry moves coins into the room's escrow", async () => {
+  const room = await lobby();
+  const user = await fundedUser(300);
+
+  await holdEntry(room, user.id, 100);
+  await holdEntry(room, user.id, 50, { type: "game_entry" });
+
+  assert.strictEqual(user.coins, 150);
+  assert.deepStrictEqual(stakes(room), [
+    { userId: user.id, amount: 150, status: "held" },
+  ]);
+  await assertLedgerBalanced();
+});
+
+test("starting a game charges only what each stake is missing", async () => {
+  const room = await lobby();
+  const paid = await fundedUser(300);
+  const unpaid = await fundedUser(300);
+  await holdEntry(room, paid.id, 100);
+
+  const charged = await topUpEntries(room, [paid.id, unpaid.id], 250, 1);
+  // The same game start again (e.g. a retried event) charges nothing more
+  const again = await topUpEntries(room, [paid.id, unpaid.id], 250, 1);
+
+  assert.deepStrictEqual([...charged], [
+    [paid.id, 150],
+    [unpaid.id, 250],
+  ]);
+  assert.deepStrictEqual([...again], [
+    [paid.id, 0],
+    [unpaid.id, 0],
+  ]);
+  assert.strictEqual(paid.coins, 50);
+  assert.strictEqual(unpaid.coins, 50);
+  await assertLedgerBalanced();
+});
+
+test("a player who can't pay the top-up leaves nobody charged", async () => {
+  const room = await lobby();
+  const rich = await fundedUser(500);
+  const poor = await fundedUser(100);
+
+  await assert.rejects(topUpEntries(room, [rich.id, poor.id], 250, 1), {
+    code: "insufficient_coins",
+    userId: poor.id,
+  });
+
+  assert.strictEqual(rich.coins, 500);
+  assert.strictEqual(poor.coins, 100);
+  assert.deepStrictEqual(stakes(room), []);
+  await assertLedgerBalanced();
+});
+
+test("a finished game releases the stakes to the house", async () => {
+  const room = await lobby();
+  const a = await fundedUser(200);
+  const b = await fundedUser(200);
+  await holdEntry(room, a.id, 100);
+  await holdEntry(room, b.id, 100);
+
+  assert.strictEqual(await releaseEntries(room), 200);
+  assert.strictEqual(await releaseEntries(room), 0);
+
+  assert.deepStrictEqual(
+    stakes(room).map((stake) => stake.status),
+    ["released", "released"],
+  );
+  assert.strictEqual(a.coins, 100);
+  await assertLedgerBalanced();
+});
+
+test("an unfinished game refunds every held stake once", async () => {
+  const room = await lobby();
+  const a = await fundedUser(200);
+  const b = await fundedUser(200);
+  await holdEntry(room, a.id, 100);
+  await holdEntry(room, b.id, 150);
+
+  assert.strictEqual(await refundEntries(room, "test"), 250);
+  assert.strictEqual(await refundEntries(room, "test"), 0);
+
+  assert.strictEqual(a.coins, 200);
+  assert.strictEqual(b.coins, 200);
+  assert.deepStrictEqual(
+    stakes(room).map((stake) => stake.status),
+    ["refunded", "refunded"],
+  );
+  await assertLedgerBalanced();
+});
+
+test("leaving gets the stake back only before the game starts", async () => {
+  const room = await lobby();
+  const early = await fundedUser(200);
+  const late = await fundedUser(200);
+  await holdEntry(room, early.id, 100);
+  await holdEntry(room, late.id, 100);
+
+  assert.strictEqual(await refundIfNotStarted(room, early.id), 100);
+  await room.update({ status: "playing" });
+  assert.strictEqual(await refundIfNotStarted(room, late.id), 0);
+
+  assert.strictEqual(early.coins, 200);
+  assert.strictEqual(late.coins, 100);
+  assert.deepStrictEqual(stakes(room), [
+    { userId: early.id, amount: 100, status: "refunded" },
+    { userId: late.id, amount: 100, status: "held" },
+  ]);
+  await assertLedgerBalanced();
+});
+
+test("a forfeited stake goes to the house, not back to the player", async () => {
+  const room = await lobby();
+  const banned = await fundedUser(200);
+  const other = await fundedUser(200);
+  await holdEntry(room, banned.id, 100);
+  await holdEntry(room, other.id, 100);
+
+  assert.strictEqual(await forfeitEntry(room, banned.id), 100);
+  await refundEntries(room, "room closed");
+
+  assert.strictEqual(banned.coins, 100);
+  assert.strictEqual(other.coins, 200);
+  assert.deepStrictEqual(
+    stakes(room).map((stake) => stake.status),
+    ["forfeited", "refunded"],
+  );
+  await assertLedgerBalanced();
+});
+
+test("a deleted account's stake goes to the house on refund", async () => {
+  const room = await lobby();
+  const user = await fundedUser(200);
+  await holdEntry(room, user.id, 100);
+  await user.destroy();
+
+  assert.strictEqual(await refundEntries(room, "room deleted"), 0);
+
+  const [stake] = stakes(room);
+  assert.notStrictEqual(stake.status, "held");
+  const houseLeg = db.CoinTransaction.rows().find(
+    (row) => row.type === "escrow_release" && row.userId === user.id,
+  );
+  assert.strictEqual(houseLeg.reason, "prize_pot");
+  await assertLedgerBalanced();
+});
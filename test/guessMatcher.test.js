@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { matchGuess } = require("../utils/guessMatcher");
+
+test("words up to five letters allow one edit", () => {
+  assert.strictEqual(matchGuess("bat", "cat"), "close");
+  assert.strictEqual(matchGuess("bog", "cat"), "wrong");
+  assert.strictEqual(matchGuess("hovse", "house"), "close");
+  assert.strictEqual(matchGuess("hovsa", "house"), "wrong");
+});
+
+test("longer words allow two edits, never three", () => {
+  assert.strictEqual(matchGuess("pixxet", "pocket"), "wrong");
+  assert.strictEqual(matchGuess("pockxx", "pocket"), "close");
+  assert.strictEqual(matchGuess("elephxxt", "elephant"), "close");
+  assert.strictEqual(matchGuess("elepxxxt", "elephant"), "wrong");
+});
+
+test("accents and case still match exactly", () => {
+  assert.strictEqual(matchGuess("Cafe", "café"), "correct");
+  assert.strictEqual(matchGuess("  HOUSE ", "house"), "correct");
+});
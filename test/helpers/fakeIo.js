@@ -0,0 +1,61 @@
+/*
+Minimal Socket.IO server double: records what is emitted to rooms (and
+which socket a broadcast skipped), lets tests register sockets by id and
+connects them to the handlers a module registered with io.on("connection").
+*/
+
+/**
+ * @returns {object} io with `sent` ([{ room, except?, event, payload }]),
+ * `addSocket(id, user)`, which returns a socket recording its own emits,
+ * and `connect(id, user)`, which also runs the connection handlers
+ */
+function createFakeIo() {
+  const sockets = new Map();
+  const sent = [];
+  const onConnection = [];
+
+  const io = {
+    sent,
+    sockets: { sockets },
+    use() {},
+    on(event, handler) {
+      if (event === "connection") onConnection.push(handler);
+    },
+    to: (room) => ({
+      emit: (event, payload) => sent.push({ room, event, payload }),
+      except: (except) => ({
+        emit: (event, payload) => sent.push({ room, except, event, payload }),
+      }),
+    }),
+    in: () => ({ fetchSockets: async () => [] }),
+    addSocket(id, user = null) {
+      const socket = {
+        id,
+        user,
+        sent: [],
+        handlers: {},
+        emit: (event, payload) => socket.sent.push({ event, payload }),
+        on: (event, handler) => {
+          socket.handlers[event] = handler;
+        },
+        // Broadcast to the room, skipping this socket
+        to: (room) => ({
+          emit: (event, payload) =>
+            sent.push({ room, except: id, event, payload }),
+        }),
+        join() {},
+        leave() {},
+      };
+      sockets.set(id, socket);
+      return socket;
+    },
+    connect(id, user) {
+      const socket = io.addSocket(id, user);
+      onConnection.forEach((handler) => handler(socket));
+      return socket;
+    },
+  };
+  return io;
+}
+
+module.exports = { createFakeIo };
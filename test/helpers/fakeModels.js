@@ -0,0 +1,293 @@
+/*
+In-memory stand-in for models/index.js, so utils that talk to the database
+can be tested without MySQL. Call installFakeModels() before requiring the
+module under test: it takes the place of "../models" in the require cache.
+
+Only the parts of the Sequelize API the utils use are implemented: where
+clauses with equality, arrays (IN) and Op.gt/gte/lt/lte/ne, ordering and
+limits, grouping with SUM() and having, unique constraints, and
+transactions that run one at a time (standing in for row locks) and roll
+back on error.
+*/
+
+const path = require("path");
+const { Op } = require("sequelize");
+
+const MODELS_PATH = path.join(__dirname, "..", "..", "models", "index.js");
+
+function matchesCondition(value, condition) {
+  if (Array.isArray(condition)) return condition.includes(value);
+  if (condition instanceof Date) return +value === +condition;
+  if (condition && typeof condition === "object") {
+    return Object.getOwnPropertySymbols(condition).every((op) => {
+      const expected = condition[op];
+      if (op === Op.gt) return value > expected;
+      if (op === Op.gte) return value >= expected;
+      if (op === Op.lt) return value < expected;
+      if (op === Op.lte) return value <= expected;
+      if (op === Op.ne) return value !== expected;
+      if (op === Op.in) return expected.includes(value);
+      throw new Error(`Unsupported operator ${String(op)}`);
+    });
+  }
+  return value === condition;
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) =>
+    matchesCondition(row[key], condition),
+  );
+}
+
+// SUM(col) over a group of rows (the only aggregate the utils use)
+function aggregate(group, expression) {
+  if (expression.fn !== "SUM") {
+    throw new Error(`Unsupported aggregate ${expression.fn}`);
+  }
+  const field = expression.args[0].col;
+  return group.reduce((total, r) => total + (r[field] || 0), 0);
+}
+
+// findAll({ group, attributes, having }) as plain result rows
+function groupRows(found, { group, attributes = [], having }) {
+  const groups = new Map();
+  for (const row of found) {
+    const key = JSON.stringify(group.map((field) => row[field]));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const results = [];
+  for (const rows of groups.values()) {
+    const total = having && aggregate(rows, having.attribute);
+    if (having && !matchesCondition(total, having.logic)) continue;
+    const result = {};
+    for (const attribute of attributes) {
+      if (Array.isArray(attribute)) {
+        const [expression, alias] = attribute;
+        result[alias] = aggregate(rows, expression);
+      } else {
+        result[attribute] = rows[0][attribute];
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+function uniqueConstraintError(fields) {
+  const error = new Error(`Duplicate entry for ${fields.join(", ")}`);
+  error.name = "SequelizeUniqueConstraintError";
+  return error;
+}
+
+function createDb() {
+  const models = {};
+  let queue = Promise.resolve();
+
+  function define(name, { defaults = {}, unique = [] } = {}) {
+    let rows = [];
+    let nextId = 1;
+
+    class Row {
+      async save() {
+        Model.checkUnique(this);
+        this.updatedAt = new Date();
+        return this;
+      }
+
+      async update(values) {
+        Object.assign(this, values);
+        return this.save();
+      }
+
+      async increment(fields, { by = 1 } = {}) {
+        const amounts = typeof fields === "string" ? { [fields]: by } : fields;
+        for (const [field, amount] of Object.entries(amounts)) {
+          this[field] = (this[field] || 0) + amount;
+        }
+        return this.save();
+      }
+
+      async reload() {
+        return this;
+      }
+
+      async destroy() {
+        rows = rows.filter((r) => r !== this);
+      }
+
+      get(options) {
+        return options && options.plain ? { ...this } : this;
+      }
+
+      toJSON() {
+        return { ...this };
+      }
+    }
+
+    const Model = {
+      name,
+      rows: () => rows,
+      // So `x instanceof Room` works as it does with a Sequelize model
+      [Symbol.hasInstance]: (value) => value instanceof Row,
+      checkUnique(row) {
+        for (const fields of unique) {
+          if (fields.some((f) => row[f] === null || row[f] === undefined)) {
+            continue;
+          }
+          const clash = rows.find(
+            (other) => other !== row && fields.every((f) => other[f] === row[f]),
+          );
+          if (clash) throw uniqueConstraintError(fields);
+        }
+      },
+      snapshot() {
+        const saved = { rows: rows.map((r) => ({ row: r, values: { ...r } })), nextId };
+        return () => {
+          rows = saved.rows.map(({ row, values }) => {
+            for (const key of Object.keys(row)) delete row[key];
+            return Object.assign(row, values);
+          });
+          nextId = saved.nextId;
+        };
+      },
+
+      async create(values) {
+        const now = new Date();
+        const row = Object.assign(new Row(), defaults, {
+          id: nextId,
+          createdAt: now,
+          updatedAt: now,
+          ...values,
+        });
+        Model.checkUnique(row);
+        nextId = Math.max(nextId, row.id) + 1;
+        rows.push(row);
+        return row;
+      },
+      async bulkCreate(list) {
+        const created = [];
+        for (const values of list) created.push(await Model.create(values));
+        return created;
+      },
+      async findByPk(id) {
+        return rows.find((r) => r.id === Number(id)) || null;
+      },
+      async findAll(options = {}) {
+        const { where, order, limit } = options;
+        const found = rows.filter((r) => matches(r, where));
+        for (const [field, direction] of [...(order || [])].reverse()) {
+          const sign = direction === "DESC" ? -1 : 1;
+          found.sort((a, b) => (a[field] > b[field] ? sign : a[field] < b[field] ? -sign : 0));
+        }
+        if (options.group) return groupRows(found, options);
+        return limit ? found.slice(0, limit) : found;
+      },
+      async findOne(options = {}) {
+        return (await Model.findAll(options))[0] || null;
+      },
+      async findOrCreate({ where, defaults: values }) {
+        const found = await Model.findOne({ where });
+        if (found) return [found, false];
+        return [await Model.create({ ...values, ...where }), true];
+      },
+      async count({ where } = {}) {
+        return (await Model.findAll({ where })).length;
+      },
+      async sum(field, { where } = {}) {
+        const found = await Model.findAll({ where });
+        if (!found.length) return null;
+        return found.reduce((total, r) => total + (r[field] || 0), 0);
+      },
+      // One statement, like SQL: nothing else runs between match and write
+      async update(values, { where }) {
+        const found = rows.filter((r) => matches(r, where));
+        for (const row of found) {
+          Object.assign(row, values);
+          Model.checkUnique(row);
+          row.updatedAt = new Date();
+        }
+        return [found.length];
+      },
+      async destroy({ where }) {
+        const found = await Model.findAll({ where });
+        rows = rows.filter((r) => !found.includes(r));
+        return found.length;
+      },
+    };
+
+    models[name] = Model;
+    return Model;
+  }
+
+  define("User", { defaults: { coins: 0, walletFlaggedAt: null } });
+  define("CoinTransaction", {
+    defaults: { roomId: null, idempotencyKey: null },
+    unique: [["idempotencyKey"]],
+  });
+  define("EntryEscrow", { defaults: { amount: 0, status: "held" } });
+  define("LeaderboardEntry", { defaults: { points: 0, games: 0, wins: 0 } });
+  define("Purchase", {
+    defaults: { status: "completed", clawedBack: 0 },
+    unique: [["platform", "orderId"]],
+  });
+  for (const name of [
+    "Room",
+    "RoomParticipant",
+    "Theme",
+    "Word",
+    "Message",
+    "Token",
+    "Report",
+    "Language",
+    "Keyword",
+    "Translation",
+    "ModerationHit",
+    "RoomBan",
+    "VoteKick",
+    "GameResult",
+    "Friendship",
+    "Match",
+  ]) {
+    define(name);
+  }
+
+  // One transaction at a time, like row locks on the same wallet
+  const sequelize = {
+    // For having: sequelize.where(fn(...), condition)
+    where: (attribute, logic) => ({ attribute, logic }),
+    transaction(work) {
+      const run = queue.then(async () => {
+        const restores = Object.values(models).map((m) => m.snapshot());
+        try {
+          return await work({ LOCK: { UPDATE: "UPDATE" } });
+        } catch (e) {
+          restores.forEach((restore) => restore());
+          throw e;
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+
+  return { sequelize, ...models };
+}
+
+/**
+ * Put a fresh in-memory database in place of models/index.js
+ * @returns {object} The fake models ({ sequelize, User, CoinTransaction, ... })
+ */
+function installFakeModels() {
+  const db = createDb();
+  require.cache[MODELS_PATH] = {
+    id: MODELS_PATH,
+    filename: MODELS_PATH,
+    loaded: true,
+    exports: db,
+  };
+  return db;
+}
+
+module.exports = { installFakeModels };
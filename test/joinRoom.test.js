@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+const { createFakeIo } = require("./helpers/fakeIo");
+
+const db = installFakeModels();
+// socket.js loads the voice manager, which starts a mediasoup worker on
+// require; joining a room never touches it
+const VOICE_MANAGER_PATH = require.resolve("../sockets/voiceManager");
+require.cache[VOICE_MANAGER_PATH] = {
+  id: VOICE_MANAGER_PATH,
+  filename: VOICE_MANAGER_PATH,
+  loaded: true,
+  exports: {},
+};
+const initSockets = require("../sockets/socket");
+const { holdEntry, refundIfNotStarted } = require("../utils/escrow");
+
+const io = createFakeIo();
+initSockets(io);
+
+function heldStake(room, userId) {
+  return db.EntryEscrow.rows()
+    .filter((e) => e.roomId === room.id && e.userId === userId)
+    .filter((e) => e.status === "held")
+    .reduce((total, e) => total + e.amount, 0);
+}
+
+// A player who paid, left before the start and got the refund
+async function refundedLeaver(room, coins) {
+  const user = await db.User.create({ name: "Leaver", coins });
+  const participant = await db.RoomParticipant.create({
+    roomId: room.id,
+    userId: user.id,
+    role: "player",
+    isActive: true,
+    hasPaidEntry: true,
+  });
+  await holdEntry(room, user.id, room.entryPoints);
+  await participant.update({ isActive: false, socketId: null });
+  await refundIfNotStarted(room, user.id);
+  return { user, participant };
+}
+
+async function seatPlayers(room, count) {
+  for (let i = 0; i < count; i++) {
+    const user = await db.User.create({ name: `Player ${i}`, coins: 0 });
+    await db.RoomParticipant.create({
+      roomId: room.id,
+      userId: user.id,
+      role: "player",
+      isActive: true,
+    });
+  }
+}
+
+function lobby(code, maxPlayers = 5) {
+  return db.Room.create({
+    code,
+    status: "lobby",
+    entryPoints: 100,
+    maxPlayers,
+  });
+}
+
+async function startGame(room) {
+  await room.update({ status: "playing" });
+}
+
+function joinRoom(user, room, payload = {}) {
+  const socket = io.connect(`socket-${user.id}`, user);
+  return socket.handlers
+    .join_room({ roomCode: room.code, ...payload })
+    .then(() => socket);
+}
+
+test("coming back over the socket after a refund pays the entry again", async () => {
+  const room = await lobby("JOIN1");
+  const { user, participant } = await refundedLeaver(room, 500);
+  assert.strictEqual(user.coins, 500);
+  await startGame(room);
+
+  const socket = await joinRoom(user, room);
+
+  assert.strictEqual(user.coins, 400);
+  assert.strictEqual(heldStake(room, user.id), 100);
+  assert.strictEqual(participant.isActive, true);
+  assert.strictEqual(participant.role, "player");
+  assert.strictEqual(participant.socketId, socket.id);
+  const joined = socket.sent.find((e) => e.event === "room_joined");
+  assert.strictEqual(joined.payload.role, "player");
+});
+
+test("a returning player who can't pay is not seated", async () => {
+  const room = await lobby("JOIN2");
+  const { user, participant } = await refundedLeaver(room, 100);
+  await startGame(room);
+  user.coins = 30; // Spent elsewhere meanwhile
+
+  const socket = await joinRoom(user, room);
+
+  assert.deepStrictEqual(socket.sent.map((e) => e.event), ["error"]);
+  assert.strictEqual(socket.sent[0].payload.message, "insufficient_coins");
+  assert.strictEqual(participant.isActive, false);
+  assert.strictEqual(user.coins, 30);
+});
+
+test("a returning player finding the room full comes back as a spectator", async () => {
+  const room = await lobby("JOIN3", 2);
+  const { user, participant } = await refundedLeaver(room, 500);
+  await seatPlayers(room, 2);
+  await startGame(room);
+
+  const socket = await joinRoom(user, room);
+
+  assert.strictEqual(user.coins, 500);
+  assert.strictEqual(participant.isActive, true);
+  assert.strictEqual(participant.role, "spectator");
+  assert.strictEqual(participant.wantsToPlay, true);
+  const joined = socket.sent.find((e) => e.event === "room_joined");
+  assert.strictEqual(joined.payload.role, "spectator");
+});
+
+test("a seated player's socket join charges nothing more", async () => {
+  const room = await lobby("JOIN4");
+  const user = await db.User.create({ name: "Seated", coins: 500 });
+  await db.RoomParticipant.create({
+    roomId: room.id,
+    userId: user.id,
+    role: "player",
+    isActive: true,
+    hasPaidEntry: true,
+  });
+  await holdEntry(room, user.id, room.entryPoints);
+  await startGame(room);
+
+  await joinRoom(user, room);
+
+  assert.strictEqual(user.coins, 400);
+  assert.strictEqual(heldStake(room, user.id), 100);
+});
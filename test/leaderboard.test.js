@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+
+const db = installFakeModels();
+const { recordGameResults } = require("../utils/leaderboard");
+const { finishMatch } = require("../utils/matchHistory");
+
+// Each test uses its own room and players
+async function finishedGame(roomId, [winner, second]) {
+  const room = await db.Room.create({
+    id: roomId,
+    code: `LB${roomId}`,
+    language: "en",
+    gameMode: "1v1",
+  });
+  await db.Match.create({
+    roomId: room.id,
+    status: "playing",
+    entryCost: 100,
+    rounds: [],
+  });
+  const participants = [
+    { userId: winner, score: 30, hasPaidEntry: true, user: { country: "IN" } },
+    { userId: second, score: 10, hasPaidEntry: true, user: { country: "IN" } },
+  ];
+  const rankings = [
+    { place: 1, userId: winner, coinsAwarded: 300 },
+    { place: 2, userId: second, coinsAwarded: 200 },
+  ];
+  return { room, participants, rankings };
+}
+
+// What endGame does once the rewards are paid
+async function recordEnd({ room, participants, rankings }) {
+  const match = await finishMatch(room);
+  await recordGameResults(room, participants, rankings, match);
+}
+
+function allTimeEntry(userId) {
+  return db.LeaderboardEntry.rows().find(
+    (e) => e.period === "all" && e.scope === "global" && e.userId === userId,
+  );
+}
+
+test("a finished game is recorded on every board", async () => {
+  const game = await finishedGame(10, [1, 2]);
+  await recordEnd(game);
+
+  const results = db.GameResult.rows().filter((r) => r.roomId === 10);
+  assert.deepStrictEqual(
+    results.map((r) => [r.userId, r.placement, r.coinsSpent]),
+    [
+      [1, 1, 100],
+      [2, 2, 100],
+    ],
+  );
+  const scopes = db.LeaderboardEntry.rows()
+    .filter((e) => e.userId === 1 && e.period === "all")
+    .map((e) => e.scope);
+  assert.deepStrictEqual(scopes, ["global", "lang:en", "country:in"]);
+});
+
+test("a game ended twice is counted once", async () => {
+  const game = await finishedGame(11, [3, 4]);
+
+  await recordEnd(game);
+  await recordEnd(game);
+
+  assert.strictEqual(
+    db.GameResult.rows().filter((r) => r.roomId === 11).length,
+    2,
+  );
+  const { points, games, wins } = allTimeEntry(3);
+  assert.deepStrictEqual({ points, games, wins }, {
+    points: 30,
+    games: 1,
+    wins: 1,
+  });
+});
+
+test("two endGame calls racing each other count the game once", async () => {
+  const game = await finishedGame(12, [5, 6]);
+
+  await Promise.all([recordEnd(game), recordEnd(game)]);
+
+  assert.strictEqual(
+    db.GameResult.rows().filter((r) => r.roomId === 12).length,
+    2,
+  );
+  assert.strictEqual(allTimeEntry(6).games, 1);
+});
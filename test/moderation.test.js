@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+
+installFakeModels();
+const { moderateText } = require("../utils/moderation");
+
+test("ordinary words that squeeze into blocklist terms are allowed", () => {
+  for (const text of ["as good as it gets", "first class", "pass the pen"]) {
+    const result = moderateText(text, { language: "en" });
+    assert.strictEqual(result.action, "allow", text);
+    assert.strictEqual(result.text, text);
+  }
+});
+
+test("guesses made of ordinary words are not dropped", () => {
+  for (const guess of ["as", "class", "pass", "glass"]) {
+    const result = moderateText(guess, { language: "en", onHit: "drop" });
+    assert.strictEqual(result.action, "allow", guess);
+  }
+});
+
+test("exact terms are masked or dropped", () => {
+  assert.strictEqual(moderateText("you ass").text, "you ***");
+  assert.strictEqual(moderateText("piss off").text, "**** off");
+  assert.strictEqual(moderateText("fuck this").action, "drop");
+});
+
+test("stretched, leetspeak and spelled-out terms are still caught", () => {
+  assert.strictEqual(moderateText("asssss").action, "mask");
+  assert.strictEqual(moderateText("shiiiit").action, "mask");
+  assert.strictEqual(moderateText("sh1t").action, "mask");
+  assert.strictEqual(moderateText("fuuuuck off").action, "drop");
+  assert.strictEqual(moderateText("f u c k").action, "drop");
+});
+
+test("hits name the blocklist term", () => {
+  const { hits } = moderateText("asssss");
+  assert.deepStrictEqual(
+    hits.map((hit) => hit.term),
+    ["ass"],
+  );
+});
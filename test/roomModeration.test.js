@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+const { createFakeIo } = require("./helpers/fakeIo");
+
+const db = installFakeModels();
+const { runOwnerAction } = require("../utils/roomModeration");
+const { holdEntry } = require("../utils/escrow");
+const { clearRoomTimer } = require("../sockets/roundPhases");
+const { dropRoomState } = require("../sockets/roomState");
+
+// A running game where the first player owns the room and the second draws
+async function gameInProgress(code, playerCount) {
+  const users = [];
+  for (let i = 0; i < playerCount; i++) {
+    users.push(await db.User.create({ name: `Player ${i}`, coins: 500 }));
+  }
+  const room = await db.Room.create({
+    code,
+    ownerId: users[0].id,
+    status: "playing",
+    roundPhase: "drawing",
+    currentRound: 1,
+    currentDrawerId: users[1].id,
+    currentWord: "apple",
+    entryPoints: 100,
+  });
+  for (const user of users) {
+    await db.RoomParticipant.create({
+      roomId: room.id,
+      userId: user.id,
+      role: "player",
+      isActive: true,
+      socketId: `socket-${user.id}`,
+      score: 0,
+    });
+    await holdEntry(room, user.id, room.entryPoints);
+  }
+  return { room, users };
+}
+
+function cleanUp(room) {
+  clearRoomTimer(`${room.code}_interval`);
+  dropRoomState(room.id);
+}
+
+function kick(io, room, actor, target) {
+  return runOwnerAction(io, {
+    roomId: room.id,
+    actorId: actor.id,
+    targetUserId: target.id,
+    action: "kick",
+  });
+}
+
+test("kicking the drawer hands the round on to the others", async (t) => {
+  const io = createFakeIo();
+  const { room, users } = await gameInProgress("KICK1", 3);
+  t.after(() => cleanUp(room));
+
+  assert.deepStrictEqual(await kick(io, room, users[0], users[1]), {
+    ok: true,
+  });
+
+  const saved = await db.Room.findByPk(room.id);
+  assert.strictEqual(saved.status, "playing");
+  assert.strictEqual(saved.roundPhase, "interval");
+  assert.strictEqual(saved.currentDrawerId, null);
+  assert.ok(io.sent.some((e) => e.event === "phase_change"));
+  assert.ok(!io.sent.some((e) => e.event === "room_closed"));
+});
+
+test("kicking the drawer out of a two-player game closes it and refunds", async (t) => {
+  const io = createFakeIo();
+  const { room, users } = await gameInProgress("KICK2", 2);
+  t.after(() => cleanUp(room));
+
+  await kick(io, room, users[0], users[1]);
+
+  const saved = await db.Room.findByPk(room.id);
+  assert.strictEqual(saved.status, "inactive");
+  assert.ok(io.sent.some((e) => e.event === "room_closed"));
+  assert.strictEqual(users[0].coins, 500);
+  assert.deepStrictEqual(
+    db.EntryEscrow.rows()
+      .filter((e) => e.roomId === room.id)
+      .map((e) => e.status),
+    ["refunded", "refunded"],
+  );
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+const { createFakeIo } = require("./helpers/fakeIo");
+
+const db = installFakeModels();
+const {
+  startDrawingPhase,
+  handleDrawerLeave,
+  clearRoomTimer,
+} = require("../sockets/roundPhases");
+const { PHASE_DURATIONS } = require("../sockets/gameHelpers");
+const { dropRoomState } = require("../sockets/roomState");
+
+async function drawingRoom(code, playerIds) {
+  const room = await db.Room.create({
+    code,
+    ownerId: playerIds[0],
+    status: "playing",
+    roundPhase: "drawing",
+    currentRound: 1,
+    currentDrawerId: playerIds[0],
+    currentWord: "apple",
+    currentKeywordId: 7,
+  });
+  for (const userId of playerIds) {
+    await db.RoomParticipant.create({
+      roomId: room.id,
+      userId,
+      role: "player",
+      isActive: true,
+      socketId: `socket-${userId}`,
+      score: 0,
+    });
+  }
+  return room;
+}
+
+function cleanUp(room) {
+  clearRoomTimer(`${room.code}_drawing`);
+  clearRoomTimer(`${room.code}_interval`);
+  dropRoomState(room.id);
+}
+
+test("only the drawer is sent the word when drawing starts", async (t) => {
+  const io = createFakeIo();
+  const room = await drawingRoom("DRAW0", [1, 2, 3]);
+  t.after(() => cleanUp(room));
+
+  await startDrawingPhase(io, room);
+
+  const starts = io.sent.filter((e) => e.event === "phase_change");
+  assert.deepStrictEqual(
+    starts.map(({ room: to, except, payload }) => ({ to, except, payload })),
+    [
+      {
+        to: "DRAW0",
+        except: "socket-1",
+        payload: {
+          phase: "drawing",
+          duration: PHASE_DURATIONS.drawing,
+          wordHint: "_ _ _ _ _",
+        },
+      },
+      {
+        to: "socket-1",
+        except: undefined,
+        payload: {
+          phase: "drawing",
+          duration: PHASE_DURATIONS.drawing,
+          wordHint: "_ _ _ _ _",
+          word: "apple",
+        },
+      },
+    ],
+  );
+});
+
+test("the drawer leaving mid-drawing starts the interval", async (t) => {
+  const io = createFakeIo();
+  const room = await drawingRoom("DRAW1", [1, 2, 3]);
+  t.after(() => cleanUp(room));
+  await db.RoomParticipant.update(
+    { isActive: false, socketId: null },
+    { where: { roomId: room.id, userId: 1 } },
+  );
+
+  assert.strictEqual(await handleDrawerLeave(io, room, 1), true);
+
+  const saved = await db.Room.findByPk(room.id);
+  assert.strictEqual(saved.roundPhase, "interval");
+  assert.strictEqual(saved.currentDrawerId, null);
+  assert.strictEqual(saved.currentWord, null);
+
+  const phaseChange = io.sent.find((e) => e.event === "phase_change");
+  assert.deepStrictEqual(phaseChange.payload, {
+    phase: "interval",
+    duration: PHASE_DURATIONS.interval,
+    round: 1,
+  });
+});
+
+test("anyone but the drawer leaving doesn't end the turn", async (t) => {
+  const io = createFakeIo();
+  const room = await drawingRoom("DRAW2", [1, 2, 3]);
+  t.after(() => cleanUp(room));
+
+  assert.strictEqual(await handleDrawerLeave(io, room, 2), false);
+  assert.strictEqual(room.roundPhase, "drawing");
+  assert.strictEqual(io.sent.length, 0);
+});
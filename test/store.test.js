@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+
+process.env.STORE_FAKE_VERIFIER = "true";
+const db = installFakeModels();
+const {
+  listProducts,
+  purchaseCoins,
+  handleStoreNotification,
+} = require("../utils/store");
+
+const [PACK] = listProducts();
+
+function walletRows(userId, type) {
+  return db.CoinTransaction.rows().filter(
+    (row) =>
+      row.account === "wallet" && row.userId === userId && row.type === type,
+  );
+}
+
+test("a verified purchase credits the pack's coins", async () => {
+  const user = await db.User.create({ coins: 100 });
+  const { purchase, user: funded, duplicate } = await purchaseCoins(
+    user.id,
+    "fake",
+    { orderId: "order-1", productId: PACK.productId },
+  );
+
+  assert.strictEqual(duplicate, false);
+  assert.strictEqual(purchase.coins, PACK.coins);
+  assert.strictEqual(purchase.status, "completed");
+  assert.strictEqual(funded.coins, 100 + PACK.coins);
+  assert.strictEqual(walletRows(user.id, "purchase").length, 1);
+});
+
+test("replaying a receipt credits it only once", async () => {
+  const user = await db.User.create({ coins: 0 });
+  const receipt = { orderId: "order-2", productId: PACK.productId };
+
+  await purchaseCoins(user.id, "fake", receipt);
+  const replay = await purchaseCoins(user.id, "fake", receipt);
+
+  assert.strictEqual(replay.duplicate, true);
+  assert.strictEqual(user.coins, PACK.coins);
+  assert.strictEqual(walletRows(user.id, "purchase").length, 1);
+  assert.strictEqual(
+    db.Purchase.rows().filter((p) => p.orderId === "order-2").length,
+    1,
+  );
+});
+
+test("another account can't redeem the same order", async () => {
+  const buyer = await db.User.create({ coins: 0 });
+  const other = await db.User.create({ coins: 0 });
+  const receipt = { orderId: "order-3", productId: PACK.productId };
+
+  await purchaseCoins(buyer.id, "fake", receipt);
+  await assert.rejects(purchaseCoins(other.id, "fake", receipt), {
+    code: "order_already_redeemed",
+  });
+  assert.strictEqual(other.coins, 0);
+});
+
+test("unknown products and pending payments are not credited", async () => {
+  const user = await db.User.create({ coins: 0 });
+  await assert.rejects(
+    purchaseCoins(user.id, "fake", { orderId: "order-4", productId: "nope" }),
+    { code: "unknown_product" },
+  );
+  await assert.rejects(
+    purchaseCoins(user.id, "fake", {
+      orderId: "order-5",
+      productId: PACK.productId,
+      state: "pending",
+    }),
+    { code: "purchase_pending", status: 202 },
+  );
+  assert.strictEqual(user.coins, 0);
+});
+
+test("a refund claws the coins back", async () => {
+  const user = await db.User.create({ coins: 50 });
+  await purchaseCoins(user.id, "fake", {
+    orderId: "order-6",
+    productId: PACK.productId,
+  });
+
+  const purchase = await handleStoreNotification("fake", {
+    body: { orderId: "order-6", event: "refund" },
+  });
+
+  assert.strictEqual(purchase.status, "refunded");
+  assert.strictEqual(purchase.clawedBack, PACK.coins);
+  assert.strictEqual(user.coins, 50);
+});
+
+test("a refund takes back only what is left once coins are spent", async () => {
+  const user = await db.User.create({ coins: 0 });
+  await purchaseCoins(user.id, "fake", {
+    orderId: "order-7",
+    productId: PACK.productId,
+  });
+  user.coins = 300; // Spent the rest
+
+  const purchase = await handleStoreNotification("fake", {
+    body: { orderId: "order-7", event: "refund" },
+  });
+
+  assert.strictEqual(purchase.clawedBack, 300);
+  assert.strictEqual(user.coins, 0);
+  const [clawback] = walletRows(user.id, "purchase_refund");
+  assert.strictEqual(clawback.amount, -300);
+
+  // A repeated notification changes nothing
+  assert.strictEqual(
+    await handleStoreNotification("fake", { body: { orderId: "order-7" } }),
+    null,
+  );
+  assert.strictEqual(walletRows(user.id, "purchase_refund").length, 1);
+});
+
+test("a refunded order can't be redeemed again", async () => {
+  const user = await db.User.create({ coins: 0 });
+  const receipt = { orderId: "order-8", productId: PACK.productId };
+  await purchaseCoins(user.id, "fake", receipt);
+  await handleStoreNotification("fake", { body: { orderId: "order-8" } });
+
+  await assert.rejects(purchaseCoins(user.id, "fake", receipt), {
+    code: "purchase_cancelled",
+  });
+  await assert.rejects(
+    purchaseCoins(user.id, "fake", { ...receipt, state: "cancelled" }),
+    { code: "purchase_cancelled" },
+  );
+  assert.strictEqual(user.coins, 0);
+});
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { installFakeModels } = require("./helpers/fakeModels");
+
+const db = installFakeModels();
+const {
+  credit,
+  debit,
+  postOpeningBalances,
+  reconcileBalances,
+} = require("../utils/wallet");
+
+// A user whose whole balance went through the ledger
+async function fundedUser(coins) {
+  const user = await db.User.create({ coins: 0 });
+  await credit(user.id, coins, { type: "adjustment" });
+  return user;
+}
+
+function walletRows(userId) {
+  return db.CoinTransaction.rows().filter(
+    (row) => row.account === "wallet" && row.userId === userId,
+  );
+}
+
+// Runs first: opening balances only cover users from before the ledger
+test("opening balances bring pre-ledger coins into the ledger once", async () => {
+  const rich = await db.User.create({ coins: 200 });
+  const broke = await db.User.create({ coins: 0 });
+
+  assert.strictEqual(await postOpeningBalances(), 2);
+  assert.strictEqual(await postOpeningBalances(), 0);
+
+  const [opening] = walletRows(rich.id);
+  assert.strictEqual(opening.type, "opening_balance");
+  assert.strictEqual(opening.amount, 200);
+  assert.strictEqual(walletRows(broke.id).length, 1);
+  assert.deepStrictEqual((await reconcileBalances()).mismatches, []);
+});
+
+test("an idempotency key moves coins only once", async () => {
+  const user = await fundedUser(100);
+  const details = { type: "daily_bonus", idempotencyKey: "daily:1" };
+
+  const first = await credit(user.id, 25, details);
+  const repeat = await credit(user.id, 25, details);
+
+  assert.strictEqual(first.duplicate, false);
+  assert.strictEqual(repeat.duplicate, true);
+  assert.strictEqual(repeat.entry, first.entry);
+  assert.strictEqual(user.coins, 125);
+  assert.strictEqual(walletRows(user.id).length, 2);
+});
+
+test("a debit the wallet can't cover changes nothing", async () => {
+  const user = await fundedUser(50);
+  const rowsBefore = db.CoinTransaction.rows().length;
+
+  await assert.rejects(debit(user.id, 80, { type: "room_entry" }), {
+    code: "insufficient_coins",
+    userId: user.id,
+  });
+
+  assert.strictEqual(user.coins, 50);
+  assert.strictEqual(db.CoinTransaction.rows().length, rowsBefore);
+});
+
+test("invalid amounts, types and users are refused", async () => {
+  const user = await fundedUser(50);
+  await assert.rejects(credit(user.id, -5, { type: "adjustment" }), {
+    code: "invalid_amount",
+  });
+  await assert.rejects(credit(user.id, 1.5, { type: "adjustment" }), {
+    code: "invalid_amount",
+  });
+  await assert.rejects(credit(user.id, 5, { type: "free_money" }), {
+    code: "invalid_ledger_type",
+  });
+  await assert.rejects(credit(9999, 5, { type: "adjustment" }), {
+    code: "user_not_found",
+  });
+  assert.strictEqual(user.coins, 50);
+});
+
+test("every transfer balances and the wallets match the ledger", async () => {
+  const user = await fundedUser(300);
+  await debit(user.id, 120, { type: "voice_chat" });
+  await debit(user.id, 100, { type: "room_entry", counterAccount: "escrow" });
+  await credit(user.id, 100, { type: "game_refund", counterAccount: "escrow" });
+
+  const report = await reconcileBalances();
+  assert.deepStrictEqual(report.mismatches, []);
+  assert.deepStrictEqual(report.unbalancedTransfers, []);
+  assert.strictEqual(report.escrowDifference, 0);
+  assert.strictEqual(user.coins, 180);
+  assert.strictEqual(walletRows(user.id).at(-1).balanceAfter, 180);
+});
+
+test("a balance changed outside the ledger is flagged until it matches", async () => {
+  const user = await fundedUser(100);
+  user.coins += 40; // Written around the wallet service
+
+  const report = await reconcileBalances();
+  assert.deepStrictEqual(report.mismatches, [
+    {
+      userId: user.id,
+      coins: 140,
+      ledger: 100,
+      difference: 40,
+      alreadyFlagged: false,
+    },
+  ]);
+  assert.ok(user.walletFlaggedAt instanceof Date);
+
+  user.coins -= 40;
+  assert.deepStrictEqual((await reconcileBalances()).mismatches, []);
+  assert.strictEqual(user.walletFlaggedAt, null);
+});
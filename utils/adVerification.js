@@ -0,0 +1,115 @@
+/*
+Server-side verification of rewarded-ad callbacks (AdMob SSV format).
+
+After a user finishes a rewarded ad, the ad network calls
+GET /api/rewards/ad-callback with the reward in the query string (user_id,
+transaction_id, ad_unit, custom_data, ...) followed by `signature` and
+`key_id`. The signature is ECDSA/SHA-256 over everything before
+"&signature=", made with the network's private key; we check it with the
+public key named by key_id.
+
+Public keys come from AD_SSV_PUBLIC_KEYS (JSON { keyId: PEM }) and, when
+AD_SSV_KEYS_URL is set, from the network's published key list, cached for a
+day. signAdCallback() is the matching stub signer for local testing: sign
+with a test key pair and put its public key in AD_SSV_PUBLIC_KEYS.
+*/
+
+const crypto = require("crypto");
+
+const KEY_CACHE_MS = 24 * 60 * 60 * 1000;
+const SIGNATURE_MARKER = "&signature=";
+
+let remoteKeys = new Map();
+let remoteKeysFetchedAt = 0;
+
+function configuredKeys() {
+  try {
+    return JSON.parse(process.env.AD_SSV_PUBLIC_KEYS || "{}");
+  } catch (e) {
+    console.error("Invalid AD_SSV_PUBLIC_KEYS:", e.message);
+    return {};
+  }
+}
+
+// Published keys: { keys: [{ keyId, pem }] }
+async function fetchRemoteKeys() {
+  const url = process.env.AD_SSV_KEYS_URL;
+  if (!url) return remoteKeys;
+  if (remoteKeys.size && Date.now() - remoteKeysFetchedAt < KEY_CACHE_MS) {
+    return remoteKeys;
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Key fetch failed: ${response.status}`);
+  const body = await response.json();
+  remoteKeys = new Map(
+    (body.keys || []).map((key) => [String(key.keyId), key.pem]),
+  );
+  remoteKeysFetchedAt = Date.now();
+  return remoteKeys;
+}
+
+async function publicKeyFor(keyId) {
+  const configured = configuredKeys()[keyId];
+  if (configured) return configured;
+  try {
+    return (await fetchRemoteKeys()).get(keyId) || null;
+  } catch (e) {
+    console.error("Ad verification key fetch error:", e);
+    return null;
+  }
+}
+
+/**
+ * Verify a rewarded-ad callback
+ * @param {string} rawQuery - Query string exactly as received, without "?"
+ * @returns {Promise<{params: object}|{error: string}>} params holds the decoded reward fields
+ */
+async function verifyAdCallback(rawQuery) {
+  const at = (rawQuery || "").indexOf(SIGNATURE_MARKER);
+  if (at < 0) return { error: "missing_signature" };
+
+  const message = rawQuery.slice(0, at);
+  const trailer = new URLSearchParams(rawQuery.slice(at + 1));
+  const signature = trailer.get("signature");
+  const keyId = trailer.get("key_id");
+  if (!signature || !keyId) return { error: "missing_signature" };
+
+  const publicKey = await publicKeyFor(keyId);
+  if (!publicKey) return { error: "unknown_key" };
+
+  let valid = false;
+  try {
+    valid = crypto.verify(
+      "sha256",
+      Buffer.from(message),
+      publicKey,
+      Buffer.from(signature, "base64url"),
+    );
+  } catch (e) {
+    return { error: "invalid_signature" };
+  }
+  if (!valid) return { error: "invalid_signature" };
+
+  return { params: Object.fromEntries(new URLSearchParams(message)) };
+}
+
+/**
+ * Stub signer: build a callback query string signed like the ad network's
+ * @param {object} params - Reward fields (user_id, transaction_id, ...)
+ * @param {string} privateKeyPem - EC private key (PEM)
+ * @param {string} keyId - Id the matching public key is configured under
+ * @returns {string} Query string ready for /api/rewards/ad-callback
+ */
+function signAdCallback(params, privateKeyPem, keyId) {
+  const message = new URLSearchParams(params).toString();
+  const signature = crypto
+    .sign("sha256", Buffer.from(message), privateKeyPem)
+    .toString("base64url");
+  return `${message}${SIGNATURE_MARKER}${signature}&key_id=${encodeURIComponent(keyId)}`;
+}
+
+module.exports = {
+  verifyAdCallback,
+  signAdCallback,
+};
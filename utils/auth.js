@@ -52,4 +52,12 @@ async function authMiddleware(req, res, next) {
   next();
 }
 
-module.exports = { sign, verify, authMiddleware };
+// Use after authMiddleware
+function adminMiddleware(req, res, next) {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({ error: "admin_only" });
+  }
+  next();
+}
+
+module.exports = { sign, verify, authMiddleware, adminMiddleware };
@@ -1,24 +1,33 @@
-const { Room, RoomParticipant } = require("../models");
+const { Room, RoomParticipant, User } = require("../models");
+const { getRoomState, syncRoomState } = require("../sockets/roomState");
+const { refundEntries } = require("./escrow");
 
 async function deleteRoom(io, room) {
   try {
     const { clearRoomTimer } = require("../sockets/roundPhases");
+    const { dropRoomState } = require("../sockets/roomState");
+    const { dropBroadcast } = require("../sockets/broadcastDelay");
     console.log(`🗑 Deleting room: ${room.code}`);
 
     // 1. Clear timers
     clearRoomTimer(`${room.code}_phase`);
     clearRoomTimer(`${room.code}_drawing`);
+    dropRoomState(room.id);
+    dropBroadcast(io, room.code);
 
-    // 2. Remove participants
+    // 2. Nobody is left to finish a game: give back held entry fees
+    await refundEntries(room, "room deleted");
+
+    // 3. Remove participants
     await RoomParticipant.destroy({ where: { roomId: room.id } });
 
-    // 3. Remove the room itself
+    // 4. Remove the room itself
     await room.destroy();
 
-    // 4. Notify all remaining sockets (safety)
+    // 5. Notify all remaining sockets (safety)
     io.to(room.code).emit("room_closed", { roomCode: room.code });
 
-    // 5. Force all sockets out
+    // 6. Force all sockets out
     const sockets = await io.in(room.code).fetchSockets();
     sockets.forEach((s) => s.leave(room.code));
 
@@ -29,6 +38,59 @@ async function deleteRoom(io, room) {
   }
 }
 
+// Next owner: players before spectators, connected before disconnected,
+// then the highest score while a game is running, then whoever joined earliest
+function pickNextOwner(room, participants) {
+  const state = getRoomState(room.id);
+  const scoreOf = (p) => {
+    const live = state && state.participants.get(p.userId);
+    return live ? live.score : p.score || 0;
+  };
+  const byScore = room.status === "playing";
+
+  return [...participants].sort((a, b) => {
+    const aPlays = a.role !== "spectator";
+    if (aPlays !== (b.role !== "spectator")) return aPlays ? -1 : 1;
+    if (!!a.socketId !== !!b.socketId) return a.socketId ? -1 : 1;
+    if (byScore && scoreOf(a) !== scoreOf(b)) return scoreOf(b) - scoreOf(a);
+    return a.id - b.id;
+  })[0];
+}
+
+/**
+ * Hand the room to another active player (host migration)
+ * @returns {Promise<number|null>} New owner's user id, or null if nobody is left
+ */
+async function transferOwnership(io, room) {
+  const candidates = await RoomParticipant.findAll({
+    where: { roomId: room.id, isActive: true },
+  });
+  const eligible = candidates.filter((p) => p.userId !== room.ownerId);
+  if (!eligible.length) return null;
+
+  const next = pickNextOwner(room, eligible);
+  const previousOwnerId = room.ownerId;
+  room.ownerId = next.userId;
+  await room.save();
+  await syncRoomState(room);
+
+  const owner = await User.findByPk(next.userId, { attributes: ["name"] });
+  if (io) {
+    io.to(room.code).emit("owner_changed", {
+      roomId: room.id,
+      roomCode: room.code,
+      previousOwnerId,
+      ownerId: next.userId,
+      ownerName: owner ? owner.name : "Guest",
+    });
+  }
+
+  console.log(
+    `👑 Room ${room.code} ownership moved from ${previousOwnerId} to ${next.userId}`,
+  );
+  return next.userId;
+}
+
 async function checkAndMaybeDeleteRoom(io, roomId) {
   const room = await Room.findByPk(roomId);
   if (!room) return;
@@ -44,11 +106,11 @@ async function checkAndMaybeDeleteRoom(io, roomId) {
     return deleteRoom(io, room);
   }
 
-  // ❌ Case 2: Owner not present
+  // 👑 Case 2: Owner not present - somebody else takes over
   const ownerPresent = participants.some((p) => p.userId === room.ownerId);
   if (!ownerPresent) {
-    return deleteRoom(io, room);
+    await transferOwnership(io, room);
   }
 }
 
-module.exports = { deleteRoom, checkAndMaybeDeleteRoom };
+module.exports = { deleteRoom, checkAndMaybeDeleteRoom, transferOwnership };
@@ -0,0 +1,217 @@
+/*
+Entry-fee escrow.
+
+Entry fees (joining a room, the start_game top-up, taking a seat mid-game)
+move from the player's wallet to the 'escrow' ledger account and are tracked
+per room and player in entry_escrows until the game settles:
+
+- endGame releases the held stakes into the house, which pays the reward table
+- a game that can't finish (recovery abort, room closed or deleted) refunds
+  every held stake
+- leaving before the game starts refunds the leaver's stake
+- a player banned by reports forfeits their stake; the others are refunded
+  if the ban leaves too few players to go on (the room closes)
+*/
+
+const { sequelize, EntryEscrow } = require("../models");
+const {
+  credit,
+  debit,
+  moveBetweenAccounts,
+  isWalletError,
+} = require("./wallet");
+
+/**
+ * Charge an entry fee from a player's wallet into the room's escrow
+ * @param {object} room - Room instance
+ * @param {number} userId
+ * @param {number} amount
+ * @param {object} [options]
+ * @param {"room_entry"|"game_entry"} [options.type]
+ * @param {string} [options.idempotencyKey]
+ * @param {object} [options.transaction] - Join an outer transaction
+ * @returns {Promise<object>} The user row after the charge
+ * @throws {WalletError} insufficient_coins, user_not_found
+ */
+function holdEntry(
+  room,
+  userId,
+  amount,
+  { type = "room_entry", idempotencyKey, transaction } = {},
+) {
+  const hold = async (t) => {
+    const { user, entry, duplicate } = await debit(userId, amount, {
+      type,
+      roomId: room.id,
+      idempotencyKey,
+      counterAccount: "escrow",
+      transaction: t,
+    });
+    if (entry && !duplicate) {
+      const [stake] = await EntryEscrow.findOrCreate({
+        where: { roomId: room.id, userId, status: "held" },
+        defaults: { amount: 0 },
+        transaction: t,
+      });
+      await stake.increment("amount", { by: amount, transaction: t });
+    }
+    return user;
+  };
+  return transaction ? hold(transaction) : sequelize.transaction(hold);
+}
+
+async function heldAmount(roomId, userId, transaction) {
+  const held = await EntryEscrow.sum("amount", {
+    where: { roomId, userId, status: "held" },
+    transaction,
+  });
+  return held || 0;
+}
+
+/**
+ * Bring one player's held stake up to an amount, charging only what's missing
+ * @param {object} room - Room instance
+ * @param {number} userId
+ * @param {number} amount - Stake the player must have in escrow
+ * @param {object} [options] - { type, idempotencyKey, transaction } as for holdEntry
+ * @returns {Promise<{user: object, charged: number}>}
+ * @throws {WalletError} insufficient_coins, user_not_found
+ */
+function topUpEntry(room, userId, amount, { transaction, ...options } = {}) {
+  const topUp = async (t) => {
+    const due = Math.max(amount - (await heldAmount(room.id, userId, t)), 0);
+    const user = await holdEntry(room, userId, due, {
+      ...options,
+      transaction: t,
+    });
+    return { user, charged: due };
+  };
+  return transaction ? topUp(transaction) : sequelize.transaction(topUp);
+}
+
+/**
+ * Bring each player's stake up to the game's entry cost, all or nothing.
+ * What a player paid on joining the room counts towards it.
+ * @param {object} room - Room instance
+ * @param {number[]} userIds
+ * @param {number} entryCost
+ * @param {string|number} gameKey - Identifies this game start
+ * @returns {Promise<Map<number, number>>} userId -> coins charged now
+ * @throws {WalletError} insufficient_coins (with the userId that couldn't pay)
+ */
+function topUpEntries(room, userIds, entryCost, gameKey) {
+  return sequelize.transaction(async (t) => {
+    const charged = new Map();
+    for (const userId of userIds) {
+      const topUp = await topUpEntry(room, userId, entryCost, {
+        type: "game_entry",
+        idempotencyKey: `game_entry:${room.id}:${gameKey}:${userId}`,
+        transaction: t,
+      });
+      charged.set(userId, topUp.charged);
+    }
+    return charged;
+  });
+}
+
+// Close held stakes as released, refunded or forfeited; returns the coins moved
+function settle(room, status, userIds) {
+  return sequelize.transaction(async (t) => {
+    const where = { roomId: room.id, status: "held" };
+    if (userIds) where.userId = userIds;
+    const stakes = await EntryEscrow.findAll({
+      where,
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    let total = 0;
+    for (const stake of stakes) {
+      let refunded = false;
+      if (status === "refunded" && stake.amount > 0) {
+        try {
+          await credit(stake.userId, stake.amount, {
+            type: "game_refund",
+            reason: "entry_refund",
+            roomId: room.id,
+            counterAccount: "escrow",
+            idempotencyKey: `escrow_refund:${stake.id}`,
+            transaction: t,
+          });
+          refunded = true;
+        } catch (e) {
+          // Deleted account: nobody to pay back, the stake goes to the house
+          if (!isWalletError(e, "user_not_found")) throw e;
+        }
+      }
+      if (!refunded) {
+        await moveBetweenAccounts("escrow", "house", stake.amount, {
+          type: "escrow_release",
+          reason: status === "forfeited" ? "entry_forfeit" : "prize_pot",
+          userId: stake.userId,
+          roomId: room.id,
+          transaction: t,
+        });
+      }
+
+      await stake.update(
+        { status: refunded ? "refunded" : status, settledAt: new Date() },
+        { transaction: t },
+      );
+      if (refunded || status !== "refunded") total += stake.amount;
+    }
+    return total;
+  });
+}
+
+/**
+ * Game finished: the room's held stakes become the prize pot
+ * @returns {Promise<number>} Coins released
+ */
+function releaseEntries(room) {
+  return settle(room, "released");
+}
+
+/**
+ * Give back held stakes, for the whole room or only some players
+ * @param {object} room - Room instance
+ * @param {string} reason - For the log
+ * @param {number[]} [userIds] - Default: everyone with a held stake
+ * @returns {Promise<number>} Coins refunded
+ */
+async function refundEntries(room, reason, userIds) {
+  const total = await settle(room, "refunded", userIds);
+  if (total) {
+    console.log(
+      `💸 Refunded ${total} entry coins in room ${room.code} (${reason})`,
+    );
+  }
+  return total;
+}
+
+/**
+ * A player who leaves before the game starts gets their stake back; once
+ * the game is running it stays in the pot
+ */
+function refundIfNotStarted(room, userId) {
+  if (room.status === "playing") return Promise.resolve(0);
+  return refundEntries(room, "left before start", [userId]);
+}
+
+/**
+ * Banned player's stake goes to the house instead of back to them
+ * @returns {Promise<number>} Coins forfeited
+ */
+function forfeitEntry(room, userId) {
+  return settle(room, "forfeited", [userId]);
+}
+
+module.exports = {
+  holdEntry,
+  topUpEntry,
+  topUpEntries,
+  releaseEntries,
+  refundEntries,
+  refundIfNotStarted,
+  forfeitEntry,
+};
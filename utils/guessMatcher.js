@@ -0,0 +1,188 @@
+// Guess matching: exact, accent-insensitive and "close" (near-miss) detection.
+// Works on Unicode code points so Telugu/Hindi words are compared per character.
+
+// Latin combining accents (é -> e, ñ -> n). Indic vowel signs are NOT in this
+// block, so they still count towards an exact match.
+const LATIN_DIACRITICS = /[\u0300-\u036f]/g;
+// Every combining mark (includes Indic matras, viramas, nuktas)
+const ALL_MARKS = /\p{M}/gu;
+// Zero-width joiners and similar invisible characters IMEs like to insert
+const INVISIBLES = /[\u200b-\u200d\u2060\ufeff]/g;
+
+/**
+ * Normalise text for comparison: NFC, lowercase, trimmed, single spaces
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeGuess(text) {
+  return (text || "")
+    .toString()
+    .normalize("NFC")
+    .replace(INVISIBLES, "")
+    .toLowerCase()
+    .replace(/[\s\-_.]+/g, " ")
+    .trim();
+}
+
+/**
+ * Remove Latin accents so "Café" and "cafe" compare equal
+ * @param {string} text - Already normalised text
+ * @returns {string}
+ */
+function foldDiacritics(text) {
+  return text.normalize("NFD").replace(LATIN_DIACRITICS, "").normalize("NFC");
+}
+
+/**
+ * Consonant skeleton: drops every combining mark. Only used for "close"
+ * detection, where different matra spellings of the same word should hit.
+ * @param {string} text - Already normalised text
+ * @returns {string}
+ */
+function skeleton(text) {
+  return text.normalize("NFD").replace(ALL_MARKS, "").replace(/ /g, "");
+}
+
+/**
+ * Levenshtein distance over code points
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const s = Array.from(a);
+  const t = Array.from(b);
+  if (!s.length) return t.length;
+  if (!t.length) return s.length;
+
+  let prev = Array.from({ length: t.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= s.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[t.length];
+}
+
+// How many edits still count as "close" for a word of this length. Kept
+// tight so the hint doesn't leak short words ("cat" is 2 edits from "bat")
+function allowedDistance(length) {
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Compare a guess against every accepted spelling of the current word
+ * @param {string} guess - Raw guess text from the client
+ * @param {string|Array<string>} answers - Accepted answers
+ * @returns {"correct"|"close"|"wrong"}
+ */
+function matchGuess(guess, answers) {
+  const normalizedGuess = normalizeGuess(guess);
+  if (!normalizedGuess) return "wrong";
+
+  const candidates = (Array.isArray(answers) ? answers : [answers])
+    .map(normalizeGuess)
+    .filter(Boolean);
+
+  const foldedGuess = foldDiacritics(normalizedGuess);
+  let result = "wrong";
+
+  for (const answer of candidates) {
+    if (normalizedGuess === answer) return "correct";
+
+    const foldedAnswer = foldDiacritics(answer);
+    if (foldedGuess === foldedAnswer) return "correct";
+
+    const length = Array.from(foldedAnswer).length;
+    if (
+      length > 2 &&
+      editDistance(foldedGuess, foldedAnswer) <= allowedDistance(length)
+    ) {
+      result = "close";
+      continue;
+    }
+
+    const answerSkeleton = skeleton(foldedAnswer);
+    if (answerSkeleton.length > 1 && skeleton(foldedGuess) === answerSkeleton) {
+      result = "close";
+    }
+  }
+
+  return result;
+}
+
+// Letters/digits only, so "c.a t" and "cat" compare equal
+function compact(text) {
+  return text.replace(/[^\p{L}\p{M}\p{N}]+/gu, "");
+}
+
+// Merge runs of single letters so "c a t" reads as "cat"
+function joinSpelledOut(words) {
+  const joined = [];
+  let run = "";
+  for (const word of words) {
+    if (Array.from(word).length === 1) {
+      run += word;
+      continue;
+    }
+    if (run) joined.push(run);
+    run = "";
+    joined.push(word);
+  }
+  if (run) joined.push(run);
+  return joined;
+}
+
+function hasWordRun(words, answerWords) {
+  const answer = answerWords.join(" ");
+  for (let i = 0; i + answerWords.length <= words.length; i++) {
+    if (words.slice(i, i + answerWords.length).join(" ") === answer) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Does a chat message give away one of the answers? Looks for the answer as
+ * whole words, also when spelled out letter by letter ("c a t").
+ * @param {string} text - Raw chat message
+ * @param {string|Array<string>} answers - Accepted answers
+ * @returns {boolean}
+ */
+function containsAnswer(text, answers) {
+  const words = foldDiacritics(normalizeGuess(text))
+    .split(" ")
+    .map(compact)
+    .filter(Boolean);
+  if (!words.length) return false;
+  const spelledOut = joinSpelledOut(words);
+
+  for (const raw of Array.isArray(answers) ? answers : [answers]) {
+    const answerWords = foldDiacritics(normalizeGuess(raw))
+      .split(" ")
+      .map(compact)
+      .filter(Boolean);
+    if (!answerWords.length) continue;
+
+    if (
+      hasWordRun(words, answerWords) ||
+      hasWordRun(spelledOut, answerWords) ||
+      hasWordRun(spelledOut, [answerWords.join("")])
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  normalizeGuess,
+  foldDiacritics,
+  editDistance,
+  matchGuess,
+  containsAnswer,
+};
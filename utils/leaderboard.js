@@ -0,0 +1,250 @@
+/*
+Game results and leaderboards.
+
+recordGameResults() stores one game_results row per player when a game
+ends (once per game, even if endGame runs twice) and bumps that player's running totals on every board the game
+counts for: all time / this week / today, each globally, for the room's
+language and for the player's country. Reading a board is then a plain
+indexed query on leaderboard_entries; the friends board is the global
+board filtered to the caller and their friends.
+*/
+
+const { Op } = require("sequelize");
+const {
+  GameResult,
+  LeaderboardEntry,
+  Friendship,
+  User,
+} = require("../models");
+const { normalizeLanguageCode } = require("./wordSelector");
+
+const PERIODS = ["all", "weekly", "daily"];
+const SCOPES = ["global", "language", "country", "friends"];
+const MAX_PAGE_SIZE = 100;
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday (UTC)
+function weekKey(date) {
+  const monday = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+function periodKey(period, date = new Date()) {
+  if (period === "weekly") return `week:${weekKey(date)}`;
+  if (period === "daily") return `day:${dayKey(date)}`;
+  return "all";
+}
+
+function countryKey(country) {
+  return (country || "").toString().trim().toLowerCase();
+}
+
+function scopeKey(scope, { language, country }) {
+  if (scope === "language") return `lang:${normalizeLanguageCode(language)}`;
+  if (scope === "country") return `country:${countryKey(country)}`;
+  return "global";
+}
+
+async function bumpEntry(period, scope, userId, { points, win }) {
+  const [entry] = await LeaderboardEntry.findOrCreate({
+    where: { period, scope, userId },
+  });
+  await entry.increment({ points, games: 1, wins: win ? 1 : 0 });
+}
+
+// Total seconds each player took over their correct guesses in the match
+function guessSecondsByUser(match) {
+  const totals = new Map();
+  for (const round of (match && match.rounds) || []) {
+    for (const guess of round.guesses || []) {
+      totals.set(guess.userId, (totals.get(guess.userId) || 0) + guess.seconds);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Store per-player results for a finished game and update the leaderboards
+ * @param {object} room - Room instance
+ * @param {Array<object>} participants - RoomParticipant rows sorted by score (with user)
+ * @param {Array<object>} rankings - Rankings as sent in game_ended
+ * @param {object|null} match - Match record this call closed (finishMatch)
+ */
+async function recordGameResults(room, participants, rankings, match) {
+  // Every game opens a match at start_game; no match to close means this
+  // game was already recorded by an earlier endGame
+  if (!match) return;
+
+  const rankingByUser = new Map(rankings.map((r) => [r.userId, r]));
+  const guessSeconds = guessSecondsByUser(match);
+  const language = normalizeLanguageCode(room.language);
+  const now = new Date();
+  const periods = PERIODS.map((period) => periodKey(period, now));
+
+  await GameResult.bulkCreate(
+    participants.map((p, index) => {
+      const ranking = rankingByUser.get(p.userId) || {};
+      return {
+        matchId: match.id,
+        roomId: room.id,
+        userId: p.userId,
+        placement: ranking.place || index + 1,
+        playerCount: participants.length,
+        score: p.score,
+        correctGuesses: p.correctGuesses || 0,
+        guessSeconds: guessSeconds.get(p.userId) || 0,
+        drawerPoints: p.drawerPoints || 0,
+        coinsSpent: p.hasPaidEntry ? match.entryCost : 0,
+        coinsAwarded: ranking.coinsAwarded || 0,
+        ratingChange: ranking.ratingChange ?? null,
+        team: p.team,
+        gameMode: room.gameMode,
+        language,
+        category: room.category || null,
+        isRanked: !!room.isRanked,
+      };
+    }),
+  );
+
+  for (const [index, p] of participants.entries()) {
+    const ranking = rankingByUser.get(p.userId) || {};
+    const stats = {
+      points: p.score,
+      win: (ranking.place || index + 1) === 1,
+    };
+    const country = countryKey(p.user && p.user.country);
+    const scopes = ["global", `lang:${language}`];
+    if (country) scopes.push(`country:${country}`);
+
+    for (const period of periods) {
+      for (const scope of scopes) {
+        await bumpEntry(period, scope, p.userId, stats);
+      }
+    }
+  }
+}
+
+async function friendIds(userId) {
+  const rows = await Friendship.findAll({
+    where: { userId, status: "accepted" },
+    attributes: ["friendId"],
+  });
+  return rows.map((r) => r.friendId);
+}
+
+/**
+ * Read one page of a leaderboard plus the caller's own rank
+ * @param {object} params
+ * @param {number} params.userId - Caller
+ * @param {"all"|"weekly"|"daily"} params.period
+ * @param {"global"|"language"|"country"|"friends"} params.scope
+ * @param {string} params.language - For scope "language"
+ * @param {string} params.country - For scope "country"
+ * @param {number} params.page - 1-based
+ * @param {number} params.limit
+ * @returns {Promise<object|{error: string}>}
+ */
+async function getLeaderboard({
+  userId,
+  period = "all",
+  scope = "global",
+  language,
+  country,
+  page = 1,
+  limit = 20,
+}) {
+  if (!PERIODS.includes(period)) return { error: "invalid_period" };
+  if (!SCOPES.includes(scope)) return { error: "invalid_scope" };
+  if (scope === "language" && !language) return { error: "language_required" };
+  if (scope === "country" && !countryKey(country)) {
+    return { error: "country_required" };
+  }
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || 20, 1),
+    MAX_PAGE_SIZE,
+  );
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const where = {
+    period: periodKey(period),
+    scope: scopeKey(scope, { language, country }),
+  };
+  if (scope === "friends") {
+    where.userId = { [Op.in]: [userId, ...(await friendIds(userId))] };
+  }
+
+  const withUser = [
+    { model: User, as: "user", attributes: ["id", "name", "avatar"] },
+  ];
+  const { count, rows } = await LeaderboardEntry.findAndCountAll({
+    where,
+    include: withUser,
+    order: [
+      ["points", "DESC"],
+      ["wins", "DESC"],
+      ["userId", "ASC"],
+    ],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize,
+  });
+
+  const toRow = (entry, rank) => ({
+    rank,
+    userId: entry.userId,
+    name: entry.user ? entry.user.name : "Guest",
+    avatar: entry.user ? entry.user.avatar : null,
+    points: entry.points,
+    games: entry.games,
+    wins: entry.wins,
+  });
+
+  // Same ordering as the page: more points, then more wins, then lower id
+  let me = null;
+  const mine = await LeaderboardEntry.findOne({
+    where: { ...where, userId },
+    include: withUser,
+  });
+  if (mine) {
+    const ahead = await LeaderboardEntry.count({
+      where: {
+        ...where,
+        [Op.or]: [
+          { points: { [Op.gt]: mine.points } },
+          { points: mine.points, wins: { [Op.gt]: mine.wins } },
+          {
+            points: mine.points,
+            wins: mine.wins,
+            userId: { [Op.lt]: userId },
+          },
+        ],
+      },
+    });
+    me = toRow(mine, ahead + 1);
+  }
+
+  return {
+    period,
+    scope,
+    page: pageNumber,
+    limit: pageSize,
+    total: count,
+    entries: rows.map((entry, i) =>
+      toRow(entry, (pageNumber - 1) * pageSize + i + 1),
+    ),
+    me,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  SCOPES,
+  recordGameResults,
+  getLeaderboard,
+};
@@ -0,0 +1,267 @@
+/*
+Match history and player statistics.
+
+A Match row is opened at start_game and gets one entry per round when the
+drawing phase ends (word, drawer, who guessed and how fast). endGame
+closes it. The per-player side of a match lives in game_results
+(utils/leaderboard.js), linked by matchId.
+*/
+
+const { Op, fn, col } = require("sequelize");
+const { Match, GameResult, User } = require("../models");
+
+const MAX_PAGE_SIZE = 50;
+const FAVOURITE_CATEGORY_COUNT = 3;
+
+function getOpenMatch(roomId) {
+  return Match.findOne({
+    where: { roomId, status: "playing" },
+    order: [["id", "DESC"]],
+  });
+}
+
+/**
+ * Open the match record for a game that just started
+ * @param {object} room - Room instance (status already "playing")
+ * @param {number} entryCost - Entry fee each player paid
+ */
+async function startMatch(room, entryCost) {
+  // A game that never reached endGame (crash, restart) is left behind
+  await Match.update(
+    { status: "aborted", endedAt: new Date() },
+    { where: { roomId: room.id, status: "playing" } },
+  );
+
+  return Match.create({
+    roomId: room.id,
+    roomName: room.name,
+    gameMode: room.gameMode,
+    language: room.language,
+    category: room.category,
+    isRanked: !!room.isRanked,
+    entryCost,
+    rounds: [],
+    startedAt: room.gameStartedAt || new Date(),
+  });
+}
+
+/**
+ * Append the round that just finished drawing
+ * @param {object} room - Room instance (currentRound, currentWord, currentDrawerId)
+ * @param {object} round - { drawerPoints, guesses: [{ userId, seconds, points }] }
+ */
+async function recordRound(room, { drawerPoints, guesses }) {
+  const match = await getOpenMatch(room.id);
+  if (!match) return;
+
+  // New array so Sequelize sees the JSON change
+  match.rounds = [
+    ...(match.rounds || []),
+    {
+      round: room.currentRound,
+      drawerId: room.currentDrawerId,
+      word: room.currentWord,
+      drawerPoints,
+      guesses,
+    },
+  ];
+  await match.save();
+}
+
+// Returns the match only to the caller that actually closed it, so a game
+// ended twice (recovery racing the timer) is recorded once
+async function closeMatch(room, status) {
+  const match = await getOpenMatch(room.id);
+  if (!match) return null;
+
+  const endedAt = new Date();
+  const [closed] = await Match.update(
+    { status, endedAt },
+    { where: { id: match.id, status: "playing" } },
+  );
+  if (!closed) return null;
+  match.status = status;
+  match.endedAt = endedAt;
+  return match;
+}
+
+function finishMatch(room) {
+  return closeMatch(room, "finished");
+}
+
+function abortMatch(room) {
+  return closeMatch(room, "aborted");
+}
+
+function coinsNet(result) {
+  return result.coinsAwarded - result.coinsSpent;
+}
+
+/**
+ * A page of the user's finished games, newest first
+ * @returns {Promise<object>}
+ */
+async function listMatches(userId, { page = 1, limit = 20 } = {}) {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || 20, 1),
+    MAX_PAGE_SIZE,
+  );
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const { count, rows } = await GameResult.findAndCountAll({
+    where: { userId, matchId: { [Op.ne]: null } },
+    include: [{ model: Match, as: "match" }],
+    order: [["createdAt", "DESC"]],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize,
+  });
+
+  return {
+    page: pageNumber,
+    limit: pageSize,
+    total: count,
+    matches: rows.map((result) => ({
+      matchId: result.matchId,
+      roomName: result.match ? result.match.roomName : null,
+      gameMode: result.gameMode,
+      language: result.language,
+      category: result.category,
+      isRanked: result.isRanked,
+      placement: result.placement,
+      playerCount: result.playerCount,
+      score: result.score,
+      coinsNet: coinsNet(result),
+      ratingChange: result.ratingChange,
+      startedAt: result.match ? result.match.startedAt : null,
+      endedAt: result.match ? result.match.endedAt : result.createdAt,
+    })),
+  };
+}
+
+/**
+ * Full record of one match; only players who took part may read it
+ * @returns {Promise<object|{error: string, status: number}>}
+ */
+async function getMatch(matchId, userId) {
+  const match = await Match.findByPk(matchId, {
+    include: [
+      {
+        model: GameResult,
+        as: "results",
+        include: [{ model: User, as: "user", attributes: ["name", "avatar"] }],
+      },
+    ],
+  });
+  if (!match) return { error: "match_not_found", status: 404 };
+
+  const results = match.results || [];
+  if (!results.some((r) => r.userId === userId)) {
+    return { error: "not_in_match", status: 403 };
+  }
+
+  return {
+    id: match.id,
+    roomId: match.roomId,
+    roomName: match.roomName,
+    gameMode: match.gameMode,
+    language: match.language,
+    category: match.category,
+    isRanked: match.isRanked,
+    status: match.status,
+    entryCost: match.entryCost,
+    startedAt: match.startedAt,
+    endedAt: match.endedAt,
+    participants: results
+      .sort((a, b) => a.placement - b.placement)
+      .map((r) => ({
+        userId: r.userId,
+        name: r.user ? r.user.name : "Guest",
+        avatar: r.user ? r.user.avatar : null,
+        team: r.team,
+        placement: r.placement,
+        score: r.score,
+        correctGuesses: r.correctGuesses,
+        drawerPoints: r.drawerPoints,
+        coinsSpent: r.coinsSpent,
+        coinsAwarded: r.coinsAwarded,
+        coinsNet: coinsNet(r),
+        ratingChange: r.ratingChange,
+      })),
+    // Words drawn and every correct guess, round by round
+    rounds: match.rounds || [],
+  };
+}
+
+/**
+ * Lifetime statistics for a user
+ * @returns {Promise<object|null>} null if the user doesn't exist
+ */
+async function getUserStats(userId) {
+  const user = await User.findByPk(userId, {
+    attributes: ["id", "name", "avatar", "rating", "ratedGames"],
+  });
+  if (!user) return null;
+
+  const totals = await GameResult.findOne({
+    where: { userId },
+    attributes: [
+      [fn("COUNT", col("id")), "gamesPlayed"],
+      [fn("SUM", col("correctGuesses")), "correctGuesses"],
+      [fn("SUM", col("guessSeconds")), "guessSeconds"],
+      [fn("MAX", col("drawerPoints")), "bestDrawerScore"],
+      [fn("MAX", col("score")), "bestScore"],
+      [fn("SUM", col("coinsAwarded")), "coinsAwarded"],
+      [fn("SUM", col("coinsSpent")), "coinsSpent"],
+    ],
+    raw: true,
+  });
+  const wins = await GameResult.count({ where: { userId, placement: 1 } });
+
+  const categories = await GameResult.findAll({
+    where: { userId, category: { [Op.ne]: null } },
+    attributes: ["category", [fn("COUNT", col("id")), "games"]],
+    group: ["category"],
+    order: [[fn("COUNT", col("id")), "DESC"]],
+    limit: FAVOURITE_CATEGORY_COUNT,
+    raw: true,
+  });
+
+  const gamesPlayed = Number(totals.gamesPlayed) || 0;
+  const correctGuesses = Number(totals.correctGuesses) || 0;
+  return {
+    user: {
+      id: user.id,
+      name: user.name,
+      avatar: user.avatar,
+      rating: user.rating,
+      ratedGames: user.ratedGames,
+    },
+    gamesPlayed,
+    wins,
+    // Fraction of games won (0..1)
+    winRate: gamesPlayed ? Number((wins / gamesPlayed).toFixed(3)) : 0,
+    correctGuesses,
+    // Seconds from the start of the drawing phase to a correct guess
+    averageGuessSeconds: correctGuesses
+      ? Number(((Number(totals.guessSeconds) || 0) / correctGuesses).toFixed(1))
+      : null,
+    bestDrawerScore: Number(totals.bestDrawerScore) || 0,
+    bestScore: Number(totals.bestScore) || 0,
+    coinsNet:
+      (Number(totals.coinsAwarded) || 0) - (Number(totals.coinsSpent) || 0),
+    favouriteCategories: categories.map((c) => ({
+      category: c.category,
+      games: Number(c.games),
+    })),
+  };
+}
+
+module.exports = {
+  startMatch,
+  recordRound,
+  finishMatch,
+  abortMatch,
+  listMatches,
+  getMatch,
+  getUserStats,
+};
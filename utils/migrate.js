@@ -0,0 +1,62 @@
+/*
+Schema migration for databases created by an earlier version.
+
+sequelize.sync() creates missing tables and indexes, but never adds columns
+to a table that already exists: the wallet ledger columns on
+coin_transactions, ratings and flags on users, room settings and the
+participant role/mute columns would be missing, and every query naming them
+fails. addMissingColumns() compares each existing table with its model and
+adds the missing columns with the model's type, default and UNIQUE flag
+(existing rows get the default).
+
+server.js runs it before sync(), since sync then adds the models' indexes,
+some of which cover the new columns. It can also be run on its own at
+deploy: npm run migrate
+*/
+
+const { sequelize } = require("../models");
+
+/**
+ * Add every model column that its (already existing) table lacks
+ * @returns {Promise<string[]>} "table.column" for each column added
+ */
+async function addMissingColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = new Set(
+    (await queryInterface.showAllTables()).map((t) =>
+      typeof t === "string" ? t : t.tableName,
+    ),
+  );
+
+  const added = [];
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    if (!tables.has(table)) continue; // sync() creates it whole
+
+    const existing = await queryInterface.describeTable(table);
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      const column = attribute.field || name;
+      if (existing[column]) continue;
+
+      await queryInterface.addColumn(table, column, attribute);
+      added.push(`${table}.${column}`);
+      console.log(`🛠️ Added column ${table}.${column}`);
+    }
+  }
+  return added;
+}
+
+module.exports = { addMissingColumns };
+
+// Run if called directly
+if (require.main === module) {
+  addMissingColumns()
+    .then(async (added) => {
+      console.log(`✅ Schema up to date (${added.length} columns added)`);
+      await sequelize.close();
+    })
+    .catch((err) => {
+      console.error("❌ Migration failed:", err);
+      process.exit(1);
+    });
+}
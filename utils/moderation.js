@@ -0,0 +1,262 @@
+/*
+Moderation pipeline for chat messages and guesses.
+
+moderateText() splits the text into words, normalises each one (leetspeak,
+look-alike letters from other scripts, spelled-out words) and runs every
+registered stage over them. Stages push hits; the result says whether to
+allow, mask or drop the text.
+
+Stretched letters ("fuuuck") are matched through variants: runs of three
+or more letters count as two ("asssss" is "ass"), and a fully squeezed word
+matches a term's squeezed form only when that form is long enough not to be
+an ordinary word ("ass" squeezes to "as", so it never matches that way).
+
+Blocklists live in utils/blocklists/<lang>.json as { mask: [], drop: [] }.
+English is always checked, plus the room's language.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { ModerationHit } = require("../models");
+const { normalizeLanguageCode } = require("./wordSelector");
+const { reportUser } = require("./reportUser");
+
+const BLOCKLIST_DIR = path.join(__dirname, "blocklists");
+// Hits in one room before moderation files a report against the user
+const HITS_BEFORE_REPORT = 3;
+// Shortest squeezed term still matched in its squeezed form
+const MIN_SQUEEZED_LENGTH = 4;
+
+const LEET_MAP = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  8: "b",
+  "@": "a",
+  $: "s",
+  "!": "i",
+  "|": "l",
+};
+
+// Cyrillic/Greek letters that look Latin ("ѕhіt")
+const HOMOGLYPHS = {
+  а: "a",
+  в: "b",
+  е: "e",
+  ё: "e",
+  к: "k",
+  м: "m",
+  н: "h",
+  о: "o",
+  р: "p",
+  с: "c",
+  т: "t",
+  у: "y",
+  х: "x",
+  і: "i",
+  ї: "i",
+  ј: "j",
+  ѕ: "s",
+  α: "a",
+  ε: "e",
+  ι: "i",
+  κ: "k",
+  ν: "v",
+  ο: "o",
+  ρ: "p",
+  τ: "t",
+  υ: "u",
+  χ: "x",
+};
+
+/**
+ * Normalise one word for blocklist lookup
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  // Trailing "!!!" is punctuation, not leetspeak; "sh!t" keeps its "!"
+  const trimmed = word
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/^[^\p{L}\p{M}\p{N}@$]+|[^\p{L}\p{M}\p{N}@$]+$/gu, "");
+
+  const mapped = Array.from(trimmed)
+    .map((ch) => HOMOGLYPHS[ch] || LEET_MAP[ch] || ch)
+    .join("");
+
+  return (
+    mapped
+      // Latin accents only; Indic vowel signs are part of the word
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .normalize("NFC")
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, "")
+  );
+}
+
+function squeezeRepeats(word) {
+  return word.replace(/(.)\1+/gu, "$1");
+}
+
+// { exact: Map<term, severity>, squeezed: Map<squeezedTerm, { term, severity }> } per language
+function loadBlocklists() {
+  const lists = new Map();
+  for (const file of fs.readdirSync(BLOCKLIST_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    const lang = path.basename(file, ".json");
+    const raw = JSON.parse(fs.readFileSync(path.join(BLOCKLIST_DIR, file)));
+
+    const exact = new Map();
+    const squeezed = new Map();
+    for (const severity of ["mask", "drop"]) {
+      for (const term of raw[severity] || []) {
+        const normalized = normalizeWord(term);
+        exact.set(normalized, severity);
+        const short = squeezeRepeats(normalized);
+        if (Array.from(short).length >= MIN_SQUEEZED_LENGTH) {
+          squeezed.set(short, { term: normalized, severity });
+        }
+      }
+    }
+    lists.set(lang, { exact, squeezed });
+  }
+  return lists;
+}
+
+// Blocklist term a normalised word stands for, if any
+function matchTerm(terms, word) {
+  for (const candidate of [word, word.replace(/(.)\1{2,}/gu, "$1$1")]) {
+    const severity = terms.exact.get(candidate);
+    if (severity) return { term: candidate, severity };
+  }
+  return terms.squeezed.get(squeezeRepeats(word)) || null;
+}
+
+const blocklists = loadBlocklists();
+
+// Split text into words, remembering which parts of the original each
+// word came from so masking can put the stars in the right place
+function tokenize(text) {
+  const parts = text.split(/(\s+)/);
+  const words = [];
+  let run = null;
+
+  parts.forEach((part, index) => {
+    if (!part || /^\s+$/.test(part)) return;
+    const normalized = normalizeWord(part);
+    if (!normalized) return;
+
+    // Spelled-out words ("f u c k") become one token
+    if (Array.from(normalized).length === 1) {
+      if (!run) {
+        run = { parts: [], normalized: "" };
+        words.push(run);
+      }
+      run.parts.push(index);
+      run.normalized += normalized;
+      return;
+    }
+    run = null;
+    words.push({ parts: [index], normalized });
+  });
+  return { parts, words };
+}
+
+function blocklistStage(ctx) {
+  const langs = new Set(["en", normalizeLanguageCode(ctx.language)]);
+  for (const lang of langs) {
+    const terms = blocklists.get(lang);
+    if (!terms) continue;
+    ctx.words.forEach((word, index) => {
+      const match = matchTerm(terms, word.normalized);
+      if (!match) return;
+      ctx.hits.push({ index, ...match, lang });
+    });
+  }
+}
+
+const stages = [blocklistStage];
+
+/**
+ * Add a stage to the pipeline (e.g. an external classifier).
+ * A stage receives { text, language, words, hits } and pushes
+ * { index, term, severity: "mask"|"drop" } entries onto hits.
+ * @param {function(object): void} stage
+ */
+function registerModerationStage(stage) {
+  stages.push(stage);
+}
+
+/**
+ * Run text through the moderation pipeline
+ * @param {string} text - Raw text from the client
+ * @param {object} options
+ * @param {string} options.language - Room language
+ * @param {"mask"|"drop"} options.onHit - What to do with any hit (default "mask")
+ * @returns {{ action: "allow"|"mask"|"drop", text: string, hits: Array<object> }}
+ */
+function moderateText(text, { language, onHit = "mask" } = {}) {
+  const raw = (text || "").toString();
+  const { parts, words } = tokenize(raw);
+  const ctx = { text: raw, language, words, hits: [] };
+
+  for (const stage of stages) {
+    stage(ctx);
+  }
+
+  if (!ctx.hits.length) return { action: "allow", text: raw, hits: [] };
+
+  const drop =
+    onHit === "drop" || ctx.hits.some((hit) => hit.severity === "drop");
+  if (drop) return { action: "drop", text: "", hits: ctx.hits };
+
+  const masked = [...parts];
+  for (const hit of ctx.hits) {
+    for (const index of words[hit.index].parts) {
+      masked[index] = "*".repeat(Array.from(parts[index]).length);
+    }
+  }
+  return { action: "mask", text: masked.join(""), hits: ctx.hits };
+}
+
+/**
+ * Store a moderation hit and report the user once they keep offending
+ * @param {object} io - Socket.IO server
+ * @param {object} params - { userId, roomId, event: "chat"|"guess", language, result }
+ */
+async function recordModerationHit(
+  io,
+  { userId, roomId, event, language, result },
+) {
+  if (!userId || !result.hits.length) return;
+
+  await ModerationHit.create({
+    userId,
+    roomId,
+    event,
+    action: result.action,
+    language: normalizeLanguageCode(language),
+    terms: [...new Set(result.hits.map((hit) => hit.term))],
+  });
+
+  const hitCount = await ModerationHit.count({ where: { userId, roomId } });
+  if (hitCount === HITS_BEFORE_REPORT) {
+    // Counts as one report towards the usual ban threshold
+    await reportUser(io, {
+      roomId,
+      userToBlockId: userId,
+      reporterId: "moderation",
+    });
+  }
+}
+
+module.exports = {
+  normalizeWord,
+  moderateText,
+  registerModerationStage,
+  recordModerationHit,
+};
@@ -0,0 +1,134 @@
+/*
+Skill rating (Glicko-1).
+
+A finished game is scored as a set of head-to-head results: every player
+"beats" each opponent with a lower final score and draws with an equal one.
+Teammates are not rated against each other. Ratings are updated once per
+ranked game, with the rating deviation (RD) growing again while a player is
+idle.
+*/
+
+const { User } = require("../models");
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const MIN_RD = 30;
+// RD regained per idle day, so returning players move faster again
+const RD_GROWTH_PER_DAY = 5;
+
+const Q = Math.log(10) / 400;
+
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+function expectedScore(rating, opponentRating, opponentRd) {
+  return 1 / (1 + 10 ** ((-g(opponentRd) * (rating - opponentRating)) / 400));
+}
+
+// RD at the start of this game, after time away
+function currentRd(user, now) {
+  const rd = user.ratingDeviation || DEFAULT_RD;
+  if (!user.lastRatedAt) return rd;
+  const days = (now - new Date(user.lastRatedAt)) / (24 * 3600 * 1000);
+  return Math.min(
+    Math.sqrt(rd * rd + RD_GROWTH_PER_DAY * RD_GROWTH_PER_DAY * days),
+    DEFAULT_RD,
+  );
+}
+
+/**
+ * Glicko-1 update for one player against several opponents
+ * @param {{rating: number, rd: number}} player
+ * @param {Array<{rating: number, rd: number, score: number}>} results - score is 1, 0.5 or 0
+ * @returns {{rating: number, rd: number}}
+ */
+function glickoUpdate(player, results) {
+  if (!results.length) return { rating: player.rating, rd: player.rd };
+
+  let dInverse = 0;
+  let gain = 0;
+  for (const result of results) {
+    const gRd = g(result.rd);
+    const expected = expectedScore(player.rating, result.rating, result.rd);
+    dInverse += Q * Q * gRd * gRd * expected * (1 - expected);
+    gain += gRd * (result.score - expected);
+  }
+
+  const precision = 1 / (player.rd * player.rd) + dInverse;
+  return {
+    rating: player.rating + (Q / precision) * gain,
+    rd: Math.max(Math.sqrt(1 / precision), MIN_RD),
+  };
+}
+
+/**
+ * Update the ratings of everyone who finished a game
+ * @param {object} room - Room instance (gameMode decides who are opponents)
+ * @param {Array<object>} participants - Players with userId, score and team
+ * @returns {Promise<Map<number, {rating: number, change: number}>>}
+ */
+async function updateRatings(room, participants) {
+  const changes = new Map();
+  if (participants.length < 2) return changes;
+
+  const users = await User.findAll({
+    where: { id: participants.map((p) => p.userId) },
+  });
+  const usersById = new Map(users.map((u) => [u.id, u]));
+  const now = new Date();
+
+  // Everyone is rated from the ratings they had before this game
+  const before = participants
+    .filter((p) => usersById.has(p.userId))
+    .map((p) => {
+      const user = usersById.get(p.userId);
+      return {
+        participant: p,
+        user,
+        rating: user.rating || DEFAULT_RATING,
+        rd: currentRd(user, now),
+      };
+    });
+  if (before.length < 2) return changes;
+
+  const teamGame = room.gameMode === "team_vs_team";
+  for (const player of before) {
+    const results = [];
+    for (const opponent of before) {
+      if (opponent === player) continue;
+      if (teamGame && opponent.participant.team === player.participant.team) {
+        continue;
+      }
+      const diff = player.participant.score - opponent.participant.score;
+      results.push({
+        rating: opponent.rating,
+        rd: opponent.rd,
+        score: diff > 0 ? 1 : diff === 0 ? 0.5 : 0,
+      });
+    }
+    if (!results.length) continue;
+
+    const next = glickoUpdate(player, results);
+    const rating = Math.round(next.rating);
+    changes.set(player.user.id, {
+      rating,
+      change: rating - Math.round(player.rating),
+    });
+
+    player.user.rating = rating;
+    player.user.ratingDeviation = Math.round(next.rd);
+    player.user.ratedGames = (player.user.ratedGames || 0) + 1;
+    player.user.lastRatedAt = now;
+  }
+
+  await Promise.all(before.map((p) => p.user.save()));
+  return changes;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  glickoUpdate,
+  updateRatings,
+};
@@ -0,0 +1,73 @@
+const { Report, Room } = require("../models");
+const { banFromRoom } = require("./roomModeration");
+const { forfeitEntry } = require("./escrow");
+
+// Reports from distinct reporters before a user is banned from the room
+const REPORT_BAN_THRESHOLD = 3;
+
+/**
+ * Add a report against a user and ban them once enough reporters agree
+ * @param {object} io - Socket.IO server (optional)
+ * @param {object} params
+ * @param {number} params.roomId
+ * @param {number} params.userToBlockId
+ * @param {string|number} params.reporterId - User id, or "moderation" for automatic reports
+ * @returns {Promise<{duplicate: boolean, reportCount: number, banned: boolean}>}
+ */
+async function reportUser(io, { roomId, userToBlockId, reporterId }) {
+  // Find or create report entry
+  let report = await Report.findOne({
+    where: { roomId, userToBlockId },
+  });
+
+  if (!report) {
+    // Create new report entry
+    report = await Report.create({
+      roomId,
+      userToBlockId,
+      reportedBy: [],
+      reportCount: 0,
+    });
+  }
+
+  // Check if this reporter has already reported this user in this room
+  const reportedByArray = report.reportedBy || [];
+  const reporterKey = reporterId.toString();
+  if (reportedByArray.includes(reporterKey)) {
+    return {
+      duplicate: true,
+      reportCount: reportedByArray.length,
+      banned: false,
+    };
+  }
+
+  // Add reporter to reportedBy array (new array so Sequelize sees the change)
+  const reportedBy = [...reportedByArray, reporterKey];
+  const newReportCount = reportedBy.length;
+
+  await report.update({
+    reportedBy,
+    reportCount: newReportCount,
+  });
+
+  if (newReportCount < REPORT_BAN_THRESHOLD) {
+    return { duplicate: false, reportCount: newReportCount, banned: false };
+  }
+
+  const room = await Room.findByPk(roomId);
+  if (!room) {
+    return { duplicate: false, reportCount: newReportCount, banned: false };
+  }
+
+  // The banned player's stake is forfeited rather than refunded on removal.
+  // If the ban leaves a running game without opponents it closes, and the
+  // others get their entry fees back.
+  await forfeitEntry(room, userToBlockId);
+  await banFromRoom(io, room, userToBlockId, { reason: "multiple reports" });
+  return { duplicate: false, reportCount: newReportCount, banned: true };
+}
+
+module.exports = {
+  REPORT_BAN_THRESHOLD,
+  reportUser,
+};
@@ -0,0 +1,195 @@
+/*
+Rewards engine: every free coin grant (daily login, rewarded ads) goes
+through a rule for its source. A rule sets the coins per grant, a cooldown
+between grants, a maximum number of grants per day and a daily coin cap
+(days are UTC). Grants are counted from the coin ledger, inside the same
+transaction that locks the user's wallet, so concurrent claims can't both
+slip under a limit.
+
+Rules can be overridden per source with the REWARD_RULES env variable
+(JSON), e.g. {"ad_reward": {"coins": 500, "maxPerDay": 5}}.
+*/
+
+const { Op } = require("sequelize");
+const { sequelize, User, CoinTransaction } = require("../models");
+const { credit } = require("./wallet");
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// type: ledger type of the grants; each source needs its own
+const DEFAULT_REWARD_RULES = {
+  daily_login: {
+    type: "daily_bonus",
+    coins: 1000,
+    cooldownSeconds: DAY_SECONDS,
+    maxPerDay: 1,
+    dailyCap: 1000,
+  },
+  ad_reward: {
+    type: "ad_reward",
+    coins: 1000,
+    cooldownSeconds: 30,
+    maxPerDay: 10,
+    dailyCap: 10000,
+  },
+};
+
+function loadRules() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.REWARD_RULES || "{}");
+  } catch (e) {
+    console.error("Invalid REWARD_RULES, using defaults:", e.message);
+  }
+  const rules = {};
+  for (const [source, rule] of Object.entries(DEFAULT_REWARD_RULES)) {
+    rules[source] = { ...rule, ...(overrides[source] || {}) };
+  }
+  return rules;
+}
+
+const REWARD_RULES = loadRules();
+
+function startOfUtcDay(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+}
+
+// Where the user stands against a rule right now
+async function evaluateRule(userId, rule, transaction) {
+  const now = new Date();
+  const dayStart = startOfUtcDay(now);
+  const secondsToNextDay = Math.ceil(
+    (dayStart.getTime() + DAY_SECONDS * 1000 - now.getTime()) / 1000,
+  );
+  const grants = { userId, account: "wallet", type: rule.type };
+
+  const last = await CoinTransaction.findOne({
+    where: grants,
+    order: [["id", "DESC"]],
+    transaction,
+  });
+  const today = await CoinTransaction.findAll({
+    where: { ...grants, createdAt: { [Op.gte]: dayStart } },
+    attributes: ["amount"],
+    transaction,
+  });
+  const grantsToday = today.length;
+  const coinsToday = today.reduce((sum, t) => sum + t.amount, 0);
+  const coins = Math.min(rule.coins, rule.dailyCap - coinsToday);
+
+  const status = {
+    coins: Math.max(coins, 0),
+    grantsToday,
+    coinsToday,
+    maxPerDay: rule.maxPerDay,
+    dailyCap: rule.dailyCap,
+    lastGrantAt: last ? last.createdAt : null,
+  };
+
+  if (last) {
+    const elapsed = (now - new Date(last.createdAt)) / 1000;
+    if (elapsed < rule.cooldownSeconds) {
+      return {
+        ...status,
+        error: "cooldown",
+        retryAfterSeconds: Math.ceil(rule.cooldownSeconds - elapsed),
+      };
+    }
+  }
+  if (grantsToday >= rule.maxPerDay) {
+    return {
+      ...status,
+      error: "daily_limit_reached",
+      retryAfterSeconds: secondsToNextDay,
+    };
+  }
+  if (coins <= 0) {
+    return {
+      ...status,
+      error: "daily_cap_reached",
+      retryAfterSeconds: secondsToNextDay,
+    };
+  }
+  return status;
+}
+
+/**
+ * Grant a reward if the source's rule allows it
+ * @param {number} userId
+ * @param {string} source - Key of REWARD_RULES
+ * @param {object} [options]
+ * @param {string} [options.reason] - Ledger reason (defaults to the source)
+ * @param {string} [options.idempotencyKey] - A repeat returns the first grant
+ * @param {object} [options.transaction] - Join an outer transaction
+ * @returns {Promise<object>} { user, coins, entry, duplicate } or { error, retryAfterSeconds }
+ */
+function grantReward(
+  userId,
+  source,
+  { reason, idempotencyKey = null, transaction } = {},
+) {
+  const rule = REWARD_RULES[source];
+  if (!rule) return Promise.resolve({ error: "unknown_reward_source" });
+
+  const grant = async (t) => {
+    // Lock the wallet before counting so concurrent claims go one at a time
+    const user = await User.findByPk(userId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!user) return { error: "user_not_found" };
+
+    if (idempotencyKey) {
+      const entry = await CoinTransaction.findOne({
+        where: { idempotencyKey },
+        transaction: t,
+      });
+      if (entry) return { user, coins: entry.amount, entry, duplicate: true };
+    }
+
+    const status = await evaluateRule(userId, rule, t);
+    if (status.error) {
+      return { error: status.error, retryAfterSeconds: status.retryAfterSeconds };
+    }
+
+    const { user: funded, entry } = await credit(userId, status.coins, {
+      type: rule.type,
+      reason: reason || source,
+      idempotencyKey,
+      transaction: t,
+    });
+    return { user: funded, coins: status.coins, entry, duplicate: false };
+  };
+  return transaction ? grant(transaction) : sequelize.transaction(grant);
+}
+
+// Ledger idempotency key for the grant of one rewarded-ad view
+function adRewardKey(transactionId) {
+  return `ad_ssv:${transactionId}`;
+}
+
+/**
+ * Whether the user can claim from a source now, without granting anything
+ * @returns {Promise<object>} { canClaim, coins, retryAfterSeconds, grantsToday, ... }
+ */
+async function getRewardStatus(userId, source) {
+  const rule = REWARD_RULES[source];
+  if (!rule) return { error: "unknown_reward_source" };
+  const { error, ...status } = await evaluateRule(userId, rule);
+  return {
+    source,
+    ...status,
+    canClaim: !error,
+    reason: error || null,
+    retryAfterSeconds: status.retryAfterSeconds || 0,
+  };
+}
+
+module.exports = {
+  REWARD_RULES,
+  grantReward,
+  getRewardStatus,
+  adRewardKey,
+};
@@ -0,0 +1,106 @@
+/*
+Scoring for /rooms/play-random.
+
+Language is the only hard filter. Category, voice, target points and
+country are soft preferences: a room that matches gets the preference's
+weight, one that doesn't is still a candidate and the preference is
+reported back as relaxed. Lobby rooms the newcomer brings to half full (at
+least two players) rank highest; rooms already playing are only offered
+between rounds.
+*/
+
+const { normalizeLanguageCode } = require("./wordSelector");
+
+// Points for each soft preference that matches
+const PREFERENCE_WEIGHTS = {
+  category: 30,
+  voiceEnabled: 25,
+  targetPoints: 20,
+  country: 15,
+};
+// Players needed before an owner can start a game
+const MIN_PLAYERS_TO_START = 2;
+// Bonus for lobbies the newcomer brings to half full, where games get going
+const NEAR_START_BONUS = 25;
+// Up to this much for how full the room already is
+const FILL_WEIGHT = 20;
+// Joining mid-game is worse than a fresh lobby with the same preferences
+const IN_PROGRESS_PENALTY = 20;
+// Phases where a newcomer can take a seat without landing mid-turn
+const BETWEEN_ROUND_PHASES = ["reveal", "interval", "selecting_drawer"];
+
+function sameText(a, b) {
+  const norm = (value) => String(value || "").trim().toLowerCase();
+  return norm(a) === norm(b);
+}
+
+// Half the seats (at least the minimum to start a game)
+function startThreshold(room) {
+  return Math.max(MIN_PLAYERS_TO_START, Math.ceil(room.maxPlayers / 2));
+}
+
+const MATCHERS = {
+  category: (room, value) => sameText(room.category, value),
+  country: (room, value) =>
+    sameText(room.country, value) || sameText(room.country, "All"),
+  voiceEnabled: (room, value) => room.voiceEnabled === value,
+  targetPoints: (room, value) => room.targetPoints === parseInt(value, 10),
+};
+
+/**
+ * Score one room against a player's preferences
+ * @param {object} room - Room instance
+ * @param {number} playerCount - Active players in the room
+ * @param {object} prefs - { category, country, voiceEnabled, targetPoints }
+ * @returns {{score: number, relaxed: string[]}}
+ */
+function scoreRoom(room, playerCount, prefs) {
+  let score = 0;
+  const relaxed = [];
+
+  for (const [field, weight] of Object.entries(PREFERENCE_WEIGHTS)) {
+    if (prefs[field] === undefined || prefs[field] === null) continue;
+    if (MATCHERS[field](room, prefs[field])) score += weight;
+    else relaxed.push(field);
+  }
+
+  if (room.status === "playing") {
+    score -= IN_PROGRESS_PENALTY;
+  } else {
+    if (playerCount + 1 >= startThreshold(room)) score += NEAR_START_BONUS;
+    score += Math.round((FILL_WEIGHT * playerCount) / room.maxPlayers);
+  }
+
+  return { score, relaxed };
+}
+
+/**
+ * Rank candidate rooms for a player, best first
+ * @param {Array<{room: object, playerCount: number}>} candidates
+ * @param {object} prefs - { language, category, country, voiceEnabled, targetPoints }
+ * @param {object} options
+ * @param {boolean} options.allowInProgress - Offer playing rooms between rounds
+ * @returns {Array<{room: object, playerCount: number, score: number, relaxed: string[]}>}
+ */
+function rankRooms(candidates, prefs, { allowInProgress = false } = {}) {
+  const language = normalizeLanguageCode(prefs.language);
+
+  return candidates
+    .filter(({ room, playerCount }) => {
+      if (normalizeLanguageCode(room.language) !== language) return false;
+      if (playerCount >= room.maxPlayers) return false;
+      if (room.status !== "playing") return true;
+      return allowInProgress && BETWEEN_ROUND_PHASES.includes(room.roundPhase);
+    })
+    .map((candidate) => ({
+      ...candidate,
+      ...scoreRoom(candidate.room, candidate.playerCount, prefs),
+    }))
+    .sort((a, b) => b.score - a.score || b.playerCount - a.playerCount);
+}
+
+module.exports = {
+  PREFERENCE_WEIGHTS,
+  scoreRoom,
+  rankRooms,
+};
@@ -0,0 +1,303 @@
+/*
+Room moderation: kick, ban and mute, shared by the REST routes, the socket
+handlers and automatic paths (reports). Every action is announced to the
+room as a system message.
+*/
+
+const {
+  Room,
+  RoomParticipant,
+  RoomBan,
+  User,
+  Message,
+} = require("../models");
+const {
+  refreshParticipants,
+  getParticipantList,
+} = require("../sockets/roomState");
+const { emitToRoom } = require("../sockets/broadcastDelay");
+const { refundIfNotStarted } = require("./escrow");
+
+// Owner actions and the HTTP status for each failure
+const OWNER_ACTIONS = [
+  "kick",
+  "ban",
+  "unban",
+  "mute_chat",
+  "unmute_chat",
+  "mute_voice",
+  "unmute_voice",
+];
+const ERROR_STATUS = {
+  room_not_found: 404,
+  user_not_found: 404,
+  user_not_in_room: 404,
+  only_owner_can_moderate: 403,
+  cannot_target_self: 400,
+  invalid_action: 400,
+};
+
+async function isBannedFromRoom(roomId, userId) {
+  if (!userId) return false;
+  const ban = await RoomBan.findOne({ where: { roomId, userId } });
+  return !!ban;
+}
+
+// Room ids a user may not join (used to filter matchmaking)
+async function getBannedRoomIds(userId) {
+  const bans = await RoomBan.findAll({
+    where: { userId },
+    attributes: ["roomId"],
+  });
+  return bans.map((b) => b.roomId);
+}
+
+// Persist and broadcast a system line in the room chat
+async function postSystemMessage(io, room, content) {
+  const msg = await Message.create({
+    roomId: room.id,
+    userId: null,
+    content,
+    type: "system",
+  });
+  if (io) {
+    emitToRoom(io, room.code, "chat_message", {
+      id: msg.id,
+      content,
+      user: null,
+      createdAt: msg.createdAt,
+      type: "system",
+      channel: "room",
+    });
+  }
+  return msg;
+}
+
+async function broadcastParticipants(io, room) {
+  const state = await refreshParticipants(room.id);
+  if (!io) return;
+
+  let participants;
+  if (state) {
+    participants = getParticipantList(state);
+  } else {
+    const rows = await RoomParticipant.findAll({
+      where: { roomId: room.id, isActive: true },
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "name", "avatar", "coins"],
+        },
+      ],
+    });
+    participants = rows.map((p) => ({
+      id: p.userId,
+      name: p.user ? p.user.name : "Guest",
+      avatar: p.user ? p.user.avatar : null,
+      coins: p.user ? p.user.coins : 0,
+      score: p.score,
+      team: p.team,
+      role: p.role,
+      isDrawer: p.isDrawer,
+      socketId: p.socketId,
+      hasPaidEntry: p.hasPaidEntry,
+    }));
+  }
+  emitToRoom(io, room.code, "room_participants", { participants });
+}
+
+// Take a player out of the room; the removed socket gets `event`
+async function removeFromRoom(io, room, userId, event, message) {
+  const participant = await RoomParticipant.findOne({
+    where: { roomId: room.id, userId },
+  });
+  // Store socketId before updating (since we'll set it to null)
+  const userSocketId = participant ? participant.socketId : null;
+
+  await RoomParticipant.update(
+    { isActive: false, socketId: null },
+    { where: { roomId: room.id, userId } },
+  );
+  await refundIfNotStarted(room, userId);
+
+  if (io && userSocketId) {
+    const userSocket = io.sockets.sockets.get(userSocketId);
+    if (userSocket) {
+      userSocket.leave(room.code);
+      userSocket.emit(event, { message, roomId: room.id });
+    }
+  }
+
+  await broadcastParticipants(io, room);
+
+  // A removed drawer ends their turn like any other leaver, and a game left
+  // without opponents closes (the others get their entry fees back)
+  if (room.status === "playing") {
+    const {
+      handleDrawerLeave,
+      checkAndCloseEmptyRoom,
+    } = require("../sockets/roundPhases");
+    await handleDrawerLeave(io, room, userId);
+    if (io) await checkAndCloseEmptyRoom(io, room.id);
+  }
+}
+
+async function userName(userId) {
+  const user = await User.findByPk(userId, { attributes: ["name"] });
+  return user ? user.name : "User";
+}
+
+/**
+ * Ban a user from a room (persisted) and remove them if present
+ * @param {object} io - Socket.IO server (optional)
+ * @param {object} room - Room instance
+ * @param {number} userId - User to ban
+ * @param {object} options - { bannedBy: userId|null, reason: string }
+ */
+async function banFromRoom(io, room, userId, { bannedBy = null, reason }) {
+  const name = await userName(userId);
+
+  const [ban, created] = await RoomBan.findOrCreate({
+    where: { roomId: room.id, userId },
+    defaults: { bannedBy, reason },
+  });
+  if (!created) await ban.update({ bannedBy, reason });
+
+  await removeFromRoom(
+    io,
+    room,
+    userId,
+    "user_banned",
+    `You have been banned from this room due to ${reason}`,
+  );
+
+  if (io) {
+    // Broadcast to room that user was banned
+    io.to(room.code).emit("user_banned_from_room", {
+      message: `${name} has been banned from the room for ${reason}`,
+      bannedUserId: userId,
+      roomId: room.id,
+    });
+  }
+  await postSystemMessage(io, room, `${name} was banned (${reason})`);
+
+  console.log(
+    `🚫 User ${userId} (${name}) banned from room ${room.id} for ${reason}`,
+  );
+}
+
+async function kickFromRoom(io, room, userId) {
+  const name = await userName(userId);
+  await removeFromRoom(
+    io,
+    room,
+    userId,
+    "user_kicked",
+    "You have been kicked from this room",
+  );
+  await postSystemMessage(io, room, `${name} was kicked by the owner`);
+  console.log(`👢 User ${userId} (${name}) kicked from room ${room.id}`);
+}
+
+async function unbanFromRoom(io, room, userId) {
+  const name = await userName(userId);
+  await RoomBan.destroy({ where: { roomId: room.id, userId } });
+  await postSystemMessage(io, room, `${name} was unbanned`);
+}
+
+// type: "chat" | "voice"
+async function setMuted(io, room, participant, type, muted) {
+  const field = type === "chat" ? "isChatMuted" : "isVoiceMuted";
+  await RoomParticipant.update(
+    { [field]: muted },
+    { where: { id: participant.id } },
+  );
+
+  if (type === "voice" && participant.socketId) {
+    // Pause on the server so the client can't just unmute itself
+    const voiceManager = require("../sockets/voiceManager");
+    const producer = voiceManager.getProducerBySocketId(participant.socketId);
+    if (producer) {
+      if (muted) await producer.pause();
+      else await producer.resume();
+    }
+  }
+
+  await broadcastParticipants(io, room);
+  if (io) {
+    io.to(room.code).emit("user_muted", {
+      userId: participant.userId,
+      type,
+      muted,
+    });
+  }
+
+  const name = await userName(participant.userId);
+  const what = type === "chat" ? "chat" : "voice chat";
+  await postSystemMessage(
+    io,
+    room,
+    muted ? `${name} was muted in ${what}` : `${name} was unmuted in ${what}`,
+  );
+}
+
+/**
+ * Run an owner moderation action
+ * @param {object} io - Socket.IO server
+ * @param {object} params - { roomId, actorId, targetUserId, action, reason }
+ * @returns {Promise<{ok: true}|{ok: false, error: string, status: number}>}
+ */
+async function runOwnerAction(
+  io,
+  { roomId, actorId, targetUserId, action, reason },
+) {
+  const fail = (error) => ({ ok: false, error, status: ERROR_STATUS[error] });
+
+  if (!OWNER_ACTIONS.includes(action)) return fail("invalid_action");
+
+  const room = await Room.findByPk(roomId);
+  if (!room) return fail("room_not_found");
+  if (room.ownerId !== actorId) return fail("only_owner_can_moderate");
+
+  const targetId = Number(targetUserId);
+  if (!targetId) return fail("user_not_found");
+  if (targetId === actorId) return fail("cannot_target_self");
+
+  if (action === "ban" || action === "unban") {
+    const target = await User.findByPk(targetId, { attributes: ["id"] });
+    if (!target) return fail("user_not_found");
+    if (action === "ban") {
+      await banFromRoom(io, room, targetId, {
+        bannedBy: actorId,
+        reason: reason || "owner decision",
+      });
+    } else {
+      await unbanFromRoom(io, room, targetId);
+    }
+    return { ok: true };
+  }
+
+  const participant = await RoomParticipant.findOne({
+    where: { roomId: room.id, userId: targetId, isActive: true },
+  });
+  if (!participant) return fail("user_not_in_room");
+
+  if (action === "kick") {
+    await kickFromRoom(io, room, targetId);
+  } else {
+    const [verb, type] = action.split("_");
+    await setMuted(io, room, participant, type, verb === "mute");
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  OWNER_ACTIONS,
+  isBannedFromRoom,
+  getBannedRoomIds,
+  postSystemMessage,
+  banFromRoom,
+  kickFromRoom,
+  runOwnerAction,
+};
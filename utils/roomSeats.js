@@ -0,0 +1,53 @@
+/*
+Bringing back a user who already has a participant row in a room, shared by
+the REST joins and the join_room socket event so both charge the same way.
+*/
+
+const { sequelize } = require("../models");
+const { topUpEntry } = require("./escrow");
+
+/**
+ * Reactivate a participant. Someone still seated keeps their seat as is;
+ * taking a seat again tops their held stake up to the entry fee (a stake
+ * refunded on leaving is charged again).
+ * @param {object} room - Room instance
+ * @param {object} participant - RoomParticipant instance
+ * @param {object} options
+ * @param {boolean} options.asSpectator - Come back as a spectator (no charge)
+ * @param {boolean} [options.spectate] - Spectating by choice, not waiting for a seat
+ * @returns {Promise<object>} The saved participant
+ * @throws {WalletError} insufficient_coins, user_not_found
+ */
+async function rejoinRoom(room, participant, { asSpectator, spectate }) {
+  if (participant.isActive && participant.role === "player") {
+    return participant;
+  }
+
+  if (asSpectator) {
+    participant.isActive = true;
+    participant.role = "spectator";
+    participant.wantsToPlay = !spectate;
+    return participant.save();
+  }
+
+  return sequelize.transaction(async (t) => {
+    const { user, charged } = await topUpEntry(
+      room,
+      participant.userId,
+      room.entryPoints,
+      { transaction: t },
+    );
+    if (charged) {
+      console.log(
+        `💰 Deducted ${charged} coins from user ${participant.userId}. Remaining: ${user.coins}`,
+      );
+    }
+    participant.isActive = true;
+    participant.role = "player";
+    participant.wantsToPlay = false;
+    participant.hasPaidEntry = true;
+    return participant.save({ transaction: t });
+  });
+}
+
+module.exports = { rejoinRoom };
@@ -0,0 +1,215 @@
+/*
+Coin store: in-app purchases of coin packs.
+
+The client buys a pack through Google Play or the App Store and sends the
+receipt to POST /api/store/purchase. The platform's verifier (see
+utils/storeVerifiers.js) confirms it with the store, then the pack's coins
+are credited through the wallet once per store order: the order id is
+unique in purchases and keys the ledger entry, so replaying a receipt
+returns the first grant.
+
+A refunded or voided order (store notification, or a cancelled receipt sent
+again) claws its coins back. Coins already spent stay spent; the part that
+couldn't be taken back is kept on the purchase for support to follow up.
+
+The catalogue can be replaced with the STORE_PRODUCTS env variable (JSON
+array of { productId, coins, title }); product ids must match the ones set
+up in both stores.
+*/
+
+const { sequelize, User, Purchase } = require("../models");
+const { credit, debit } = require("./wallet");
+const { StoreError, getVerifier } = require("./storeVerifiers");
+
+const DEFAULT_PRODUCTS = [
+  { productId: "coins_pack_small", coins: 5000, title: "Handful of Coins" },
+  { productId: "coins_pack_medium", coins: 12000, title: "Bag of Coins" },
+  { productId: "coins_pack_large", coins: 30000, title: "Chest of Coins" },
+];
+
+function loadProducts() {
+  try {
+    if (process.env.STORE_PRODUCTS) return JSON.parse(process.env.STORE_PRODUCTS);
+  } catch (e) {
+    console.error("Invalid STORE_PRODUCTS, using defaults:", e.message);
+  }
+  return DEFAULT_PRODUCTS;
+}
+
+const PRODUCTS = loadProducts();
+
+function findProduct(productId) {
+  return PRODUCTS.find((p) => p.productId === productId) || null;
+}
+
+// Ledger idempotency key for the coins of one store order
+function purchaseKey(platform, orderId) {
+  return `iap:${platform}:${orderId}`;
+}
+
+/**
+ * The coin packs on sale (prices are shown by the store on the client)
+ * @returns {Array<{productId: string, coins: number, title: string}>}
+ */
+function listProducts() {
+  return PRODUCTS;
+}
+
+/**
+ * Verify a store receipt and credit its coin pack, once per order
+ * @param {number} userId
+ * @param {string} platform - "google_play", "app_store" (or "fake")
+ * @param {object} receipt - Platform specific, see utils/storeVerifiers.js
+ * @returns {Promise<{purchase: object, user: object, duplicate: boolean}>}
+ * @throws {StoreError} unsupported_platform, invalid_receipt, unknown_product,
+ *   purchase_pending, purchase_cancelled, order_already_redeemed
+ */
+async function purchaseCoins(userId, platform, receipt) {
+  const verifier = getVerifier(platform);
+  if (!verifier) throw new StoreError("unsupported_platform");
+
+  const verified = await verifier.verifyPurchase(receipt);
+  const product = findProduct(verified.productId);
+  if (!product) throw new StoreError("unknown_product");
+  if (verified.state === "pending") throw new StoreError("purchase_pending", 202);
+  if (verified.state === "cancelled") {
+    // Already credited? Then the refund notification hasn't reached us yet
+    await revokePurchase(platform, verified.orderId, "cancelled");
+    throw new StoreError("purchase_cancelled", 409);
+  }
+
+  let result;
+  try {
+    result = await sequelize.transaction(async (t) => {
+      // Lock the buyer first so replays of one receipt go one at a time
+      const user = await User.findByPk(userId, {
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      const existing = await Purchase.findOne({
+        where: { platform, orderId: verified.orderId },
+        transaction: t,
+      });
+      if (existing) {
+        if (existing.userId !== userId) {
+          throw new StoreError("order_already_redeemed", 409);
+        }
+        if (existing.status === "refunded") {
+          throw new StoreError("purchase_cancelled", 409);
+        }
+        return { purchase: existing, user, duplicate: true };
+      }
+
+      const purchase = await Purchase.create(
+        {
+          userId,
+          platform,
+          orderId: verified.orderId,
+          productId: product.productId,
+          purchaseToken: verified.purchaseToken || null,
+          coins: product.coins,
+          purchasedAt: verified.purchasedAt,
+        },
+        { transaction: t },
+      );
+      const { user: funded } = await credit(userId, product.coins, {
+        type: "purchase",
+        reason: `purchase_${product.productId}`,
+        idempotencyKey: purchaseKey(platform, verified.orderId),
+        transaction: t,
+      });
+      return { purchase, user: funded, duplicate: false };
+    });
+  } catch (e) {
+    // Another account redeemed the same order at the same moment
+    if (e.name === "SequelizeUniqueConstraintError") {
+      throw new StoreError("order_already_redeemed", 409);
+    }
+    throw e;
+  }
+
+  if (!result.duplicate) {
+    console.log(
+      `🛒 User ${userId} bought ${product.productId} (${product.coins} coins, ${platform} order ${verified.orderId})`,
+    );
+  }
+
+  // Replays retry it too, in case the first attempt failed
+  if (verifier.completePurchase) {
+    try {
+      await verifier.completePurchase(verified);
+    } catch (e) {
+      console.error(`Completing ${platform} order ${verified.orderId} failed:`, e);
+    }
+  }
+  return result;
+}
+
+/**
+ * Refunded, voided or revoked order: take its coins back, as far as the
+ * balance allows
+ * @param {string} platform
+ * @param {string} orderId
+ * @param {string} reason - Store event, e.g. "refund", "voided"
+ * @returns {Promise<object|null>} The purchase, or null if it was never credited or already revoked
+ */
+async function revokePurchase(platform, orderId, reason) {
+  const purchase = await sequelize.transaction(async (t) => {
+    const found = await Purchase.findOne({
+      where: { platform, orderId },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!found || found.status === "refunded") return null;
+
+    const user = await User.findByPk(found.userId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    const clawedBack = user ? Math.min(found.coins, user.coins) : 0;
+    if (clawedBack) {
+      await debit(user.id, clawedBack, {
+        type: "purchase_refund",
+        reason: `purchase_${reason}`.slice(0, 255),
+        idempotencyKey: `iap_refund:${platform}:${orderId}`,
+        transaction: t,
+      });
+    }
+
+    await found.update(
+      { status: "refunded", clawedBack, refundedAt: new Date() },
+      { transaction: t },
+    );
+    return found;
+  });
+
+  if (purchase) {
+    const shortfall = purchase.coins - purchase.clawedBack;
+    console.log(
+      `↩️ ${platform} order ${orderId} ${reason}: took back ${purchase.clawedBack} coins from user ${purchase.userId}` +
+        (shortfall ? ` (${shortfall} already spent)` : ""),
+    );
+  }
+  return purchase;
+}
+
+/**
+ * Handle a store server notification
+ * @returns {Promise<object|null>} The revoked purchase, or null if nothing changed
+ * @throws {StoreError} unsupported_platform, invalid_notification, invalid_signature
+ */
+async function handleStoreNotification(platform, req) {
+  const verifier = getVerifier(platform);
+  if (!verifier) throw new StoreError("unsupported_platform");
+
+  const notification = await verifier.parseNotification(req);
+  if (!notification) return null;
+  return revokePurchase(platform, notification.orderId, notification.event);
+}
+
+module.exports = {
+  listProducts,
+  purchaseCoins,
+  revokePurchase,
+  handleStoreNotification,
+};
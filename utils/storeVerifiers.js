@@ -0,0 +1,325 @@
+/*
+Receipt verifiers for in-app coin pack purchases, one per store platform.
+
+A verifier is an object with:
+- verifyPurchase(receipt): asks the store about a purchase and resolves to
+  { orderId, productId, state, purchasedAt }, state being "purchased",
+  "pending" or "cancelled" (refunded, voided or never paid)
+- parseNotification(req): authenticates a store server notification and
+  resolves to { orderId, event } when it cancels a purchase, null otherwise
+- completePurchase(verified) (optional): called once the coins are credited
+
+Google Play uses the Android Publisher API with a service account and
+real-time developer notifications (Pub/Sub push). The App Store uses the
+App Store Server API and App Store Server Notifications v2, whose signed
+payloads are checked against Apple's root certificate.
+
+STORE_FAKE_VERIFIER=true registers a "fake" platform outside production:
+the receipt is taken at its word ({ orderId, productId, state }), so tests
+and local clients can buy coins without a store. registerVerifier() swaps
+in any other implementation.
+*/
+
+const crypto = require("crypto");
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+
+const GOOGLE_SCOPE = "https://www.googleapis.com/auth/androidpublisher";
+const GOOGLE_API =
+  "https://androidpublisher.googleapis.com/androidpublisher/v3/applications";
+const APPLE_API = {
+  production: "https://api.storekit.itunes.apple.com",
+  sandbox: "https://api.storekit-sandbox.itunes.apple.com",
+};
+const APPLE_CANCEL_EVENTS = ["REFUND", "REVOKE"];
+
+class StoreError extends Error {
+  // status: HTTP status the route answers with
+  constructor(code, status = 400) {
+    super(code);
+    this.name = "StoreError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Contents of the file an env variable points at (PEM or DER, so a Buffer)
+function readFileSetting(name) {
+  const path = process.env[name];
+  if (!path) throw new StoreError("store_not_configured", 503);
+  return fs.readFileSync(path);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// ===================================
+// GOOGLE PLAY
+// ===================================
+
+let googleToken = null;
+let googleTokenExpiresAt = 0;
+
+// OAuth access token for the service account (JWT bearer grant), cached
+async function googleAccessToken() {
+  if (googleToken && Date.now() < googleTokenExpiresAt) return googleToken;
+
+  const account = JSON.parse(
+    readFileSetting("GOOGLE_PLAY_SERVICE_ACCOUNT_PATH").toString(),
+  );
+  const tokenUri = account.token_uri || "https://oauth2.googleapis.com/token";
+  const assertion = jwt.sign(
+    { iss: account.client_email, scope: GOOGLE_SCOPE, aud: tokenUri },
+    account.private_key,
+    { algorithm: "RS256", expiresIn: "1h" },
+  );
+
+  const response = await fetch(tokenUri, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Google token request failed: ${response.status}`);
+  }
+  const body = await response.json();
+  googleToken = body.access_token;
+  googleTokenExpiresAt = Date.now() + (body.expires_in - 60) * 1000;
+  return googleToken;
+}
+
+function googleProductUrl(productId, purchaseToken) {
+  const packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+  if (!packageName) throw new StoreError("store_not_configured", 503);
+  return `${GOOGLE_API}/${encodeURIComponent(packageName)}/purchases/products/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(purchaseToken)}`;
+}
+
+const googlePlay = {
+  // receipt: { productId, purchaseToken } from the Play Billing library
+  async verifyPurchase(receipt) {
+    const { productId, purchaseToken } = receipt || {};
+    if (!productId || !purchaseToken) throw new StoreError("invalid_receipt");
+
+    const response = await fetch(googleProductUrl(productId, purchaseToken), {
+      headers: { Authorization: `Bearer ${await googleAccessToken()}` },
+    });
+    if ([400, 404, 410].includes(response.status)) {
+      throw new StoreError("invalid_receipt");
+    }
+    if (!response.ok) {
+      throw new Error(`Google Play verification failed: ${response.status}`);
+    }
+
+    // purchaseState: 0 purchased, 1 cancelled, 2 pending
+    const purchase = await response.json();
+    if (!purchase.orderId) throw new StoreError("invalid_receipt");
+    return {
+      orderId: purchase.orderId,
+      productId,
+      purchaseToken,
+      state: ["purchased", "cancelled", "pending"][purchase.purchaseState],
+      purchasedAt: new Date(Number(purchase.purchaseTimeMillis)),
+    };
+  },
+
+  // Consume the pack so the player can buy it again (also acknowledges it,
+  // which Play requires within 3 days or it refunds the order)
+  async completePurchase({ productId, purchaseToken }) {
+    const response = await fetch(
+      `${googleProductUrl(productId, purchaseToken)}:consume`,
+      {
+        method: "POST",
+        headers: { Authorization: `Bearer ${await googleAccessToken()}` },
+      },
+    );
+    if (!response.ok) {
+      throw new Error(`Google Play consume failed: ${response.status}`);
+    }
+  },
+
+  // Pub/Sub push; the subscription's endpoint URL carries ?token=
+  async parseNotification(req) {
+    const expected = process.env.GOOGLE_PLAY_PUSH_TOKEN;
+    if (!expected || req.query.token !== expected) {
+      throw new StoreError("invalid_notification", 401);
+    }
+    const data = req.body && req.body.message && req.body.message.data;
+    if (!data) throw new StoreError("invalid_notification");
+
+    const notification = JSON.parse(Buffer.from(data, "base64").toString());
+    const voided = notification.voidedPurchaseNotification;
+    if (!voided || !voided.orderId) return null;
+    return { orderId: voided.orderId, event: "voided" };
+  },
+};
+
+// ===================================
+// APP STORE
+// ===================================
+
+let appleToken = null;
+let appleTokenExpiresAt = 0;
+
+// App Store Server API token (ES256 with the In-App Purchase key), cached
+function appleAccessToken() {
+  if (appleToken && Date.now() < appleTokenExpiresAt) return appleToken;
+
+  appleToken = jwt.sign(
+    { aud: "appstoreconnect-v1", bid: process.env.APPLE_BUNDLE_ID },
+    readFileSetting("APPLE_PRIVATE_KEY_PATH"),
+    {
+      algorithm: "ES256",
+      issuer: process.env.APPLE_ISSUER_ID,
+      keyid: process.env.APPLE_KEY_ID,
+      expiresIn: "20m",
+    },
+  );
+  appleTokenExpiresAt = Date.now() + 15 * 60 * 1000;
+  return appleToken;
+}
+
+/**
+ * Verify an Apple signed payload (JWS): its x5c chain must end at the
+ * configured Apple root certificate and the leaf must have signed it
+ * @param {string} jws
+ * @returns {object} The decoded payload
+ * @throws {StoreError} invalid_signature
+ */
+function verifyAppleJws(jws) {
+  const root = new crypto.X509Certificate(
+    readFileSetting("APPLE_ROOT_CA_PATH"),
+  );
+  try {
+    const header = decodeSegment(String(jws).split(".")[0]);
+    const chain = (header.x5c || []).map(
+      (der) => new crypto.X509Certificate(Buffer.from(der, "base64")),
+    );
+    if (chain.length < 2) throw new Error("short chain");
+
+    const now = new Date();
+    chain.forEach((cert, i) => {
+      const issuer = chain[i + 1] || root;
+      if (!cert.verify(issuer.publicKey)) throw new Error("broken chain");
+      if (new Date(cert.validTo) < now || new Date(cert.validFrom) > now) {
+        throw new Error("expired certificate");
+      }
+    });
+
+    return jwt.verify(jws, chain[0].publicKey, { algorithms: ["ES256"] });
+  } catch (e) {
+    throw new StoreError("invalid_signature", 401);
+  }
+}
+
+function checkBundle(bundleId) {
+  if (bundleId !== process.env.APPLE_BUNDLE_ID) {
+    throw new StoreError("invalid_receipt");
+  }
+}
+
+const appStore = {
+  // receipt: { transactionId } from StoreKit 2
+  async verifyPurchase(receipt) {
+    const { transactionId } = receipt || {};
+    if (!transactionId) throw new StoreError("invalid_receipt");
+
+    const base =
+      APPLE_API[process.env.APPLE_ENVIRONMENT] || APPLE_API.production;
+    const response = await fetch(
+      `${base}/inApps/v1/transactions/${encodeURIComponent(transactionId)}`,
+      { headers: { Authorization: `Bearer ${appleAccessToken()}` } },
+    );
+    if ([400, 404].includes(response.status)) {
+      throw new StoreError("invalid_receipt");
+    }
+    if (!response.ok) {
+      throw new Error(`App Store verification failed: ${response.status}`);
+    }
+
+    const { signedTransactionInfo } = await response.json();
+    const transaction = verifyAppleJws(signedTransactionInfo);
+    checkBundle(transaction.bundleId);
+    return {
+      orderId: transaction.transactionId,
+      productId: transaction.productId,
+      state: transaction.revocationDate ? "cancelled" : "purchased",
+      purchasedAt: new Date(transaction.purchaseDate),
+    };
+  },
+
+  // App Store Server Notifications v2: { signedPayload }
+  async parseNotification(req) {
+    const signedPayload = req.body && req.body.signedPayload;
+    if (!signedPayload) throw new StoreError("invalid_notification");
+
+    const notification = verifyAppleJws(signedPayload);
+    if (!APPLE_CANCEL_EVENTS.includes(notification.notificationType)) {
+      return null;
+    }
+    const transaction = verifyAppleJws(
+      notification.data.signedTransactionInfo,
+    );
+    checkBundle(transaction.bundleId);
+    return {
+      orderId: transaction.transactionId,
+      event: notification.notificationType.toLowerCase(),
+    };
+  },
+};
+
+// ===================================
+// FAKE (tests and local development)
+// ===================================
+
+const fake = {
+  async verifyPurchase(receipt) {
+    const { orderId, productId, state = "purchased" } = receipt || {};
+    if (!orderId || !productId) throw new StoreError("invalid_receipt");
+    return { orderId: String(orderId), productId, state, purchasedAt: new Date() };
+  },
+
+  // { orderId, event }
+  async parseNotification(req) {
+    const { orderId, event = "refund" } = req.body || {};
+    if (!orderId) throw new StoreError("invalid_notification");
+    return { orderId: String(orderId), event };
+  },
+};
+
+const verifiers = {
+  google_play: googlePlay,
+  app_store: appStore,
+};
+
+if (
+  process.env.STORE_FAKE_VERIFIER === "true" &&
+  process.env.NODE_ENV !== "production"
+) {
+  verifiers.fake = fake;
+  console.log("🧪 Fake store verifier enabled: receipts are not checked");
+}
+
+/**
+ * Use a custom verifier for a platform (e.g. a test double)
+ * @param {string} platform - "google_play", "app_store" or "fake"
+ * @param {object} verifier - { verifyPurchase, parseNotification, completePurchase? }
+ */
+function registerVerifier(platform, verifier) {
+  verifiers[platform] = verifier;
+}
+
+function getVerifier(platform) {
+  return verifiers[platform] || null;
+}
+
+module.exports = {
+  StoreError,
+  registerVerifier,
+  getVerifier,
+  verifyAppleJws,
+  fakeVerifier: fake,
+};
@@ -0,0 +1,425 @@
+/*
+Wallet service: the only place user coin balances change.
+
+Each change runs in a database transaction that locks the user row, moves
+the balance and writes the ledger transfer: a 'wallet' row for the user and
+an opposite row on the 'house' account (or 'escrow' for entry fees held by
+utils/escrow.js), so every transfer sums to zero. Repeating an idempotency
+key is a no-op that returns the first entry.
+
+reconcileBalances() compares users.coins with the sum of each user's wallet
+rows and flags (users.walletFlaggedAt) the accounts that disagree.
+
+Balances from before the ledger (and coins older code moved without a
+ledger row) are brought in once by postOpeningBalances() at startup: one
+'opening_balance' transfer per user who existed before the first ledger
+transfer, for the difference between their coins and their ledger rows.
+*/
+
+const { v4: uuidv4 } = require("uuid");
+const { Op, fn, col } = require("sequelize");
+const {
+  sequelize,
+  User,
+  CoinTransaction,
+  EntryEscrow,
+} = require("../models");
+
+const LEDGER_TYPES = [
+  "signup_bonus",
+  "daily_bonus",
+  "ad_reward",
+  "room_entry",
+  "game_entry",
+  "game_reward",
+  "game_refund",
+  "voice_chat",
+  "adjustment",
+  "purchase",
+  "purchase_refund",
+  "escrow_release",
+  "opening_balance",
+];
+const COUNTER_ACCOUNTS = ["house", "escrow"];
+const RECONCILE_BATCH_SIZE = 500;
+const RECONCILE_INTERVAL_MINUTES = 60;
+
+let reconcileTimer = null;
+
+class WalletError extends Error {
+  // details: e.g. { userId } of the wallet that couldn't pay
+  constructor(code, details = {}) {
+    super(code);
+    this.name = "WalletError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+async function postTransfer(
+  t,
+  {
+    userId,
+    amount,
+    type,
+    reason,
+    roomId = null,
+    idempotencyKey = null,
+    counterAccount = "house",
+  },
+) {
+  if (!LEDGER_TYPES.includes(type)) throw new WalletError("invalid_ledger_type");
+  if (!COUNTER_ACCOUNTS.includes(counterAccount)) {
+    throw new WalletError("invalid_account");
+  }
+  if (!Number.isInteger(amount)) throw new WalletError("invalid_amount");
+
+  // Lock first: concurrent changes to one wallet queue up here, which also
+  // makes the idempotency lookup below race-free
+  const user = await User.findByPk(userId, {
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+  if (!user) throw new WalletError("user_not_found");
+
+  if (idempotencyKey) {
+    const existing = await CoinTransaction.findOne({
+      where: { idempotencyKey },
+      transaction: t,
+    });
+    if (existing) return { user, entry: existing, duplicate: true };
+  }
+
+  // Free rooms and the like: nothing to move or record
+  if (amount === 0) return { user, entry: null, duplicate: false };
+  if (user.coins + amount < 0) {
+    throw new WalletError("insufficient_coins", { userId });
+  }
+
+  user.coins += amount;
+  await user.save({ transaction: t });
+
+  const transferId = uuidv4();
+  const entry = await CoinTransaction.create(
+    {
+      transferId,
+      account: "wallet",
+      userId,
+      roomId,
+      type,
+      amount,
+      balanceAfter: user.coins,
+      reason: reason || type,
+      idempotencyKey,
+    },
+    { transaction: t },
+  );
+  await CoinTransaction.create(
+    {
+      transferId,
+      account: counterAccount,
+      userId,
+      roomId,
+      type,
+      amount: -amount,
+      reason: reason || type,
+    },
+    { transaction: t },
+  );
+
+  return { user, entry, duplicate: false };
+}
+
+/**
+ * Change a user's balance and write its ledger transfer atomically
+ * @param {number} userId
+ * @param {number} amount - Positive credits, negative debits
+ * @param {object} details
+ * @param {string} details.type - One of LEDGER_TYPES
+ * @param {string} [details.reason] - Finer detail, e.g. "game_reward_place_1" (defaults to type)
+ * @param {number} [details.roomId]
+ * @param {string} [details.idempotencyKey] - Repeating a key returns the first entry
+ * @param {"house"|"escrow"} [details.counterAccount] - Other side of the transfer (default "house")
+ * @param {object} [details.transaction] - Join an outer transaction instead of opening one
+ * @returns {Promise<{user: object, entry: object|null, duplicate: boolean}>}
+ * @throws {WalletError} insufficient_coins, user_not_found, invalid_amount, invalid_ledger_type
+ */
+function changeBalance(userId, amount, { transaction, ...details }) {
+  const change = { ...details, userId, amount };
+  if (transaction) return postTransfer(transaction, change);
+  return sequelize.transaction((t) => postTransfer(t, change));
+}
+
+function credit(userId, amount, details) {
+  if (amount < 0) return Promise.reject(new WalletError("invalid_amount"));
+  return changeBalance(userId, amount, details);
+}
+
+function debit(userId, amount, details) {
+  if (amount < 0) return Promise.reject(new WalletError("invalid_amount"));
+  return changeBalance(userId, -amount, details);
+}
+
+/**
+ * Move coins between two system accounts (no user balance changes), e.g.
+ * escrow into the house when a game's prize pot is paid out
+ * @param {"house"|"escrow"} from
+ * @param {"house"|"escrow"} to
+ * @param {number} amount
+ * @param {object} details - { type, reason, userId, roomId, transaction }
+ */
+async function moveBetweenAccounts(from, to, amount, details) {
+  const { type, reason, userId = null, roomId = null, transaction } = details;
+  if (!LEDGER_TYPES.includes(type)) throw new WalletError("invalid_ledger_type");
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new WalletError("invalid_amount");
+  }
+  if (!amount) return;
+
+  const transferId = uuidv4();
+  const leg = { transferId, userId, roomId, type, reason: reason || type };
+  await CoinTransaction.bulkCreate(
+    [
+      { ...leg, account: from, amount: -amount },
+      { ...leg, account: to, amount },
+    ],
+    { transaction },
+  );
+}
+
+/**
+ * Idempotency key from a request's Idempotency-Key header, scoped to the
+ * caller and the endpoint
+ * @returns {string|null}
+ */
+function requestIdempotencyKey(req, scope) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return null;
+  return `${scope}:${req.user.id}:${key.toString().slice(0, 100)}`;
+}
+
+function isWalletError(e, code) {
+  return e instanceof WalletError && (!code || e.code === code);
+}
+
+function openingBalanceKey(userId) {
+  return `opening_balance:${userId}`;
+}
+
+// Bring one user's ledger up to their balance, unless already done
+function openAccount(userId) {
+  return sequelize.transaction(async (t) => {
+    const user = await User.findByPk(userId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    const idempotencyKey = openingBalanceKey(userId);
+    const opened = await CoinTransaction.findOne({
+      where: { idempotencyKey },
+      transaction: t,
+    });
+    if (!user || opened) return false;
+
+    const ledger =
+      (await CoinTransaction.sum("amount", {
+        where: { userId, account: "wallet" },
+        transaction: t,
+      })) || 0;
+    const amount = user.coins - ledger;
+
+    // Written even when zero, so the user is never opened twice
+    const transferId = uuidv4();
+    const leg = {
+      transferId,
+      userId,
+      type: "opening_balance",
+      reason: "opening_balance",
+    };
+    await CoinTransaction.bulkCreate(
+      [
+        {
+          ...leg,
+          account: "wallet",
+          amount,
+          balanceAfter: user.coins,
+          idempotencyKey,
+        },
+        { ...leg, account: "house", amount: -amount },
+      ],
+      { transaction: t },
+    );
+    return true;
+  });
+}
+
+/**
+ * One-time opening balances for users from before the ledger. Run at
+ * startup before anything else writes transfers; users created since the
+ * first ledger transfer got theirs through signup and are left alone.
+ * @returns {Promise<number>} Accounts opened
+ */
+async function postOpeningBalances() {
+  const first = await CoinTransaction.findOne({
+    where: { transferId: { [Op.ne]: null } },
+    order: [["id", "ASC"]],
+  });
+  const where = first ? { createdAt: { [Op.lt]: first.createdAt } } : {};
+
+  let opened = 0;
+  let afterId = 0;
+  for (;;) {
+    const users = await User.findAll({
+      where: { ...where, id: { [Op.gt]: afterId } },
+      attributes: ["id"],
+      order: [["id", "ASC"]],
+      limit: RECONCILE_BATCH_SIZE,
+    });
+    if (!users.length) break;
+
+    const done = await CoinTransaction.findAll({
+      where: { idempotencyKey: users.map((u) => openingBalanceKey(u.id)) },
+      attributes: ["userId"],
+    });
+    const doneIds = new Set(done.map((row) => String(row.userId)));
+    for (const { id } of users) {
+      if (!doneIds.has(String(id)) && (await openAccount(id))) opened++;
+    }
+    afterId = users[users.length - 1].id;
+  }
+
+  if (opened) console.log(`📒 Opened ledger balances for ${opened} users`);
+  return opened;
+}
+
+// One batch of users against their ledger, read from a single snapshot so a
+// transfer committing in between can't show up as a mismatch
+async function reconcileBatch(afterId) {
+  return sequelize.transaction(async (t) => {
+    const users = await User.findAll({
+      where: { id: { [Op.gt]: afterId } },
+      attributes: ["id", "coins", "walletFlaggedAt"],
+      order: [["id", "ASC"]],
+      limit: RECONCILE_BATCH_SIZE,
+      transaction: t,
+    });
+    if (!users.length) return { users, sums: new Map() };
+
+    const rows = await CoinTransaction.findAll({
+      where: { account: "wallet", userId: users.map((u) => u.id) },
+      attributes: ["userId", [fn("SUM", col("amount")), "total"]],
+      group: ["userId"],
+      raw: true,
+      transaction: t,
+    });
+    return {
+      users,
+      sums: new Map(rows.map((r) => [String(r.userId), Number(r.total) || 0])),
+    };
+  });
+}
+
+/**
+ * Compare every balance with its ledger, flag users that disagree and clear
+ * the flag on users that agree again
+ * @returns {Promise<{checked: number, mismatches: Array<object>, escrowDifference: number, unbalancedTransfers: string[]}>}
+ */
+async function reconcileBalances() {
+  const mismatches = [];
+  const balancedIds = [];
+  let checked = 0;
+  let afterId = 0;
+
+  for (;;) {
+    const { users, sums } = await reconcileBatch(afterId);
+    if (!users.length) break;
+
+    for (const user of users) {
+      const ledger = sums.get(String(user.id)) || 0;
+      if (ledger !== user.coins) {
+        mismatches.push({
+          userId: user.id,
+          coins: user.coins,
+          ledger,
+          difference: user.coins - ledger,
+          alreadyFlagged: !!user.walletFlaggedAt,
+        });
+      } else if (user.walletFlaggedAt) {
+        balancedIds.push(user.id);
+      }
+    }
+    checked += users.length;
+    afterId = users[users.length - 1].id;
+  }
+
+  const newlyFlagged = mismatches
+    .filter((m) => !m.alreadyFlagged)
+    .map((m) => m.userId);
+  if (newlyFlagged.length) {
+    await User.update(
+      { walletFlaggedAt: new Date() },
+      { where: { id: newlyFlagged } },
+    );
+  }
+  if (balancedIds.length) {
+    await User.update({ walletFlaggedAt: null }, { where: { id: balancedIds } });
+  }
+
+  // Coins on the escrow account must match the stakes still held
+  const [escrowLedger, escrowHeld] = await Promise.all([
+    CoinTransaction.sum("amount", { where: { account: "escrow" } }),
+    EntryEscrow.sum("amount", { where: { status: "held" } }),
+  ]);
+
+  // Both legs of a transfer must cancel out
+  const unbalanced = await CoinTransaction.findAll({
+    where: { transferId: { [Op.ne]: null } },
+    attributes: ["transferId"],
+    group: ["transferId"],
+    having: sequelize.where(fn("SUM", col("amount")), { [Op.ne]: 0 }),
+    raw: true,
+  });
+
+  return {
+    checked,
+    mismatches,
+    escrowDifference: (escrowLedger || 0) - (escrowHeld || 0),
+    unbalancedTransfers: unbalanced.map((r) => r.transferId),
+  };
+}
+
+// Run reconcileBalances() on a fixed interval
+function startReconciliationJob(minutes = RECONCILE_INTERVAL_MINUTES) {
+  if (reconcileTimer) return;
+  reconcileTimer = setInterval(async () => {
+    try {
+      const report = await reconcileBalances();
+      if (
+        report.mismatches.length ||
+        report.unbalancedTransfers.length ||
+        report.escrowDifference
+      ) {
+        console.warn(
+          `⚠️ Wallet reconciliation: ${report.mismatches.length}/${report.checked} balances differ from the ledger, ${report.unbalancedTransfers.length} unbalanced transfers, escrow off by ${report.escrowDifference}`,
+        );
+      } else {
+        console.log(`✅ Wallet reconciliation: ${report.checked} balances match`);
+      }
+    } catch (e) {
+      console.error("Wallet reconciliation error:", e);
+    }
+  }, minutes * 60 * 1000);
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  WalletError,
+  isWalletError,
+  requestIdempotencyKey,
+  changeBalance,
+  credit,
+  debit,
+  moveBetweenAccounts,
+  postOpeningBalances,
+  reconcileBalances,
+  startReconciliationJob,
+};
@@ -1,45 +1,51 @@
 const { Keyword, Translation, Language, Theme } = require("../models");
 const { Op } = require("sequelize");
 
+// Expanded map for better language handling
+const langCodeMap = {
+  EN: "en",
+  TE: "te",
+  HI: "hi",
+  KN: "kn",
+  MR: "mr",
+  FR: "fr",
+  DE: "de",
+  ENGLISH: "en",
+  HINDI: "hi",
+  TELUGU: "te",
+  KANNADA: "kn",
+  MARATHI: "mr",
+  FRENCH: "fr",
+  GERMAN: "de",
+};
+
+// Normalization logic to handle case-insensitive language names/codes
+function normalizeLanguageCode(roomLanguage) {
+  const uppercaseLang = roomLanguage?.toUpperCase();
+  return langCodeMap[uppercaseLang] || roomLanguage?.toLowerCase() || "en";
+}
+
 /**
- * Get words for a theme based on room's language and script settings
+ * Get word options for a theme based on room's language and script settings
  * @param {number} themeId - Theme ID
  * @param {string} roomLanguage - Room language (EN, TE, HI, German, French, etc.)
  * @param {string} roomScript - Room script ('english' or 'default')
  * @param {number} limit - Optional limit for random words
- * @returns {Promise<Array<string>>} Array of word texts
+ * @returns {Promise<Array<{text: string, keywordId: number}>>} Word texts with their keyword
  */
-async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3) {
+async function getWordOptionsForTheme(
+  themeId,
+  roomLanguage,
+  roomScript,
+  limit = 3,
+) {
   try {
     console.log(
-      `🔍 getWordsForTheme: themeId=${themeId}, language=${roomLanguage}, script=${roomScript}, limit=${limit}`,
+      `🔍 getWordOptionsForTheme: themeId=${themeId}, language=${roomLanguage}, script=${roomScript}, limit=${limit}`,
     );
 
     // --- 1. NORMALIZATION ---
-    // Expanded map for better language handling
-    const langCodeMap = {
-      EN: "en",
-      TE: "te",
-      HI: "hi",
-      KN: "kn",
-      MR: "mr",
-      FR: "fr",
-      DE: "de",
-      ENGLISH: "en",
-      HINDI: "hi",
-      TELUGU: "te",
-      KANNADA: "kn",
-      MARATHI: "mr",
-      FRENCH: "fr",
-      GERMAN: "de",
-    };
-    
-    // Normalization logic to handle case-insensitive language names/codes
-    const uppercaseLang = roomLanguage?.toUpperCase();
-    const normalizedLangCode =
-      langCodeMap[uppercaseLang] || 
-      roomLanguage?.toLowerCase() ||
-      "en"; 
+    const normalizedLangCode = normalizeLanguageCode(roomLanguage);
 
     // Normalize script input to 'roman' (for english-like script) or 'native' (for default)
     let targetScriptType = (roomScript || "default").toLowerCase();
@@ -163,7 +169,10 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3) {
       );
 
       if (finalTranslation) {
-        words.push(finalTranslation.translatedText);
+        words.push({
+          text: finalTranslation.translatedText,
+          keywordId: keyword.id,
+        });
         // console.log(`    ✅ Found primary translation for "${keyword.keyName}": ${finalTranslation.translatedText}`);
         continue;
       }
@@ -181,7 +190,10 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3) {
         );
 
         if (finalTranslation) {
-          words.push(finalTranslation.translatedText);
+          words.push({
+          text: finalTranslation.translatedText,
+          keywordId: keyword.id,
+        });
           // console.log(`    ⚠️ Found fallback script (${fallbackScript}) for "${keyword.keyName}": ${finalTranslation.translatedText}`);
           continue;
         }
@@ -194,7 +206,10 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3) {
       );
 
       if (finalTranslation) {
-        words.push(finalTranslation.translatedText);
+        words.push({
+          text: finalTranslation.translatedText,
+          keywordId: keyword.id,
+        });
         // console.log(`    ⚠️ Universal fallback to English Roman for "${keyword.keyName}": ${finalTranslation.translatedText}`);
       } else {
         console.log(
@@ -215,12 +230,26 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3) {
 
     return result;
   } catch (error) {
-    console.error("❌ Error in getWordsForTheme:", error);
+    console.error("❌ Error in getWordOptionsForTheme:", error);
     console.error("Stack trace:", error.stack);
     return [];
   }
 }
 
+/**
+ * Get words for a theme based on room's language and script settings
+ * @returns {Promise<Array<string>>} Array of word texts
+ */
+async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3) {
+  const options = await getWordOptionsForTheme(
+    themeId,
+    roomLanguage,
+    roomScript,
+    limit,
+  );
+  return options.map((o) => o.text);
+}
+
 async function getRandomWordForTheme(themeId, roomLanguage, roomScript) {
   try {
     const words = await getWordsForTheme(themeId, roomLanguage, roomScript, 3);
@@ -231,7 +260,52 @@ async function getRandomWordForTheme(themeId, roomLanguage, roomScript) {
   }
 }
 
+/**
+ * Every spelling a guesser may type for a keyword in the room's language:
+ * native script, roman script and (optionally) the English keyName.
+ * @param {number} keywordId - Keyword the drawer picked
+ * @param {string} roomLanguage - Room language (EN, TE, HI, ...)
+ * @param {object} options
+ * @param {boolean} options.includeKeyName - Also accept the English keyName
+ * @returns {Promise<Array<string>>} Distinct accepted answers
+ */
+async function getAcceptedAnswers(
+  keywordId,
+  roomLanguage,
+  { includeKeyName = true } = {},
+) {
+  try {
+    if (!keywordId) return [];
+
+    const keyword = await Keyword.findByPk(keywordId, {
+      include: [
+        {
+          model: Translation,
+          as: "translations",
+          include: [{ model: Language, as: "language" }],
+        },
+      ],
+    });
+    if (!keyword) return [];
+
+    const languageCode = normalizeLanguageCode(roomLanguage);
+    const answers = (keyword.translations || [])
+      .filter((t) => t.language && t.language.languageCode === languageCode)
+      .map((t) => t.translatedText);
+
+    if (includeKeyName && keyword.keyName) answers.push(keyword.keyName);
+
+    return Array.from(new Set(answers.filter(Boolean)));
+  } catch (error) {
+    console.error("❌ Error in getAcceptedAnswers:", error);
+    return [];
+  }
+}
+
 module.exports = {
   getWordsForTheme,
+  getWordOptionsForTheme,
   getRandomWordForTheme,
-};
\ No newline at end of file
+  getAcceptedAnswers,
+  normalizeLanguageCode,
+};